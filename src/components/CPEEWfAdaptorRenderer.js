@@ -4,6 +4,10 @@
  * Leverages the authentic CPEE graph rendering system
  */
 
+import { TreeDiffService } from '../services/TreeDiffService.js';
+import { GraphSourceService } from '../services/GraphSourceService.js';
+import { GraphExportControls } from './GraphExportControls.js';
+
 export class CPEEWfAdaptorRenderer {
     
     constructor() {
@@ -11,6 +15,30 @@ export class CPEEWfAdaptorRenderer {
         this.isRendered = false;
         this.container = null;
         this.svgContainer = null;
+        this.renderedDescription = null;
+        this.changeMarks = [];
+        this.onNodeSelect = null;
+        this.selectedNode = null;
+        this.exportName = 'cpee-tree';
+        
+        // Settles once the graph of the last renderGraph call is drawn (see waitForRender)
+        this.rendered = null;
+    }
+    
+    /**
+     * Set the file name (without extension) of exported images
+     * @param {string} name - File name
+     */
+    setExportName(name) {
+        this.exportName = name;
+    }
+    
+    /**
+     * Set callback for when a node of the graph is clicked
+     * @param {Function} callback - Callback function receiving the element-id, or null when deselected
+     */
+    setOnNodeSelect(callback) {
+        this.onNodeSelect = callback;
     }
     
     /**
@@ -143,6 +171,20 @@ export class CPEEWfAdaptorRenderer {
         gridDiv.appendChild(this.svgContainer);
         graphDiv.appendChild(gridDiv);
         this.container.appendChild(graphDiv);
+        
+        // Clicking a node selects it, clicking it again deselects it
+        // Captured before the theme's click handler, which expects the CPEE editor page
+        this.svgContainer.addEventListener('click', (e) => {
+            const node = e.target.closest('g.element[element-id]');
+            if (!node) return;
+            
+            e.stopPropagation();
+            const elementId = node.getAttribute('element-id');
+            this.selectNode(elementId === this.selectedNode ? null : elementId);
+            if (this.onNodeSelect) {
+                this.onNodeSelect(this.selectedNode);
+            }
+        }, true);
     }
     
     /**
@@ -158,11 +200,23 @@ export class CPEEWfAdaptorRenderer {
      *  6. Render as SVG in container
      */
     async renderGraph(cpeeXML) {
+        // WfAdaptor draws in a callback once its theme is loaded, after this method returned
+        let markRendered;
+        this.rendered = new Promise(resolve => { markRendered = resolve; });
+        this.renderedDescription = null;
+        
         try {
             this.showStatus('🎨 Loading CPEE WfAdaptor...', 'loading');
             
             // Validate XML first
-            const cleanedXML = this.cleanAndValidateXML(cpeeXML);
+            const cleanedXML = GraphSourceService.cleanXML(cpeeXML);
+            try {
+                GraphSourceService.validateXML(cleanedXML);
+            } catch (error) {
+                console.error('❌ XML validation failed:', error);
+                throw error;
+            }
+            console.log('✅ XML validation successful');
             
             // Placeholder removed as requested
             
@@ -215,21 +269,28 @@ export class CPEEWfAdaptorRenderer {
                         const rootDesc = $(xmlDoc.documentElement);
                         const wrapperDoc = $('<xml></xml>').append(rootDesc.clone());
                         graphrealization.set_description(wrapperDoc, true);
+                        self.renderedDescription = wrapperDoc.children().get(0);
                     } else {
                         throw new Error('No description element found in XML');
                     }
                 } else {
                     console.log('📋 Found description as child element');
                     graphrealization.set_description(jqueryXmlDoc, true);
+                    self.renderedDescription = descElement.get(0);
                 }
                 
                 console.log('✅ CPEE graph rendered successfully');
                 // Success message removed as requested
                 this.isRendered = true;
                 
+                // Mark what the step changed (see setChangeMarks)
+                self.highlightChanges();
+                self.applyNodeSelection();
+                
                 // Dynamically adjust SVG height based on actual content dimensions
                 setTimeout(() => {
                     self.adjustSVGHeight();
+                    markRendered(true);
                 }, 100);
                 
                 // Add controls
@@ -240,9 +301,24 @@ export class CPEEWfAdaptorRenderer {
             console.error('❌ Error rendering CPEE graph:', error);
             this.showStatus(`❌ Failed to render graph: ${error.message}`, 'error');
             this.resetContainer();
+            markRendered(false);
         }
     }
     
+    /**
+     * Wait until the graph of the last renderGraph call is drawn
+     * @param {number} timeout - Milliseconds to wait at most
+     * @returns {Promise<boolean>} True if the graph was drawn in time
+     */
+    waitForRender(timeout = 10000) {
+        if (!this.rendered) return Promise.resolve(false);
+        
+        return Promise.race([
+            this.rendered,
+            new Promise(resolve => setTimeout(() => resolve(false), timeout))
+        ]);
+    }
+    
     /**
      * Load the WfAdaptor and required dependencies
      */
@@ -295,55 +371,109 @@ export class CPEEWfAdaptorRenderer {
     }
     
     /**
-     * Clean and validate CPEE XML
+     * Set the elements to highlight once the next graph is rendered
+     * @param {Array} marks - Marks ({ path, type }) for this tree, from TreeDiffService.diff
+     *                        or schema violations (type invalid)
      */
-    cleanAndValidateXML(xml) {
-        if (!xml || typeof xml !== 'string') {
-            throw new Error('Invalid XML input');
-        }
-        
-        // Remove HTML comments and extra whitespace
-        let cleanedXML = xml.replace(/<!--[\s\S]*?-->/g, '').trim();
-        
-        // Remove any leading whitespace and newlines
-        cleanedXML = cleanedXML.replace(/^\s+/, '');
-        
-        // If no XML declaration, add one
-        if (!cleanedXML.startsWith('<?xml')) {
-            cleanedXML = '<?xml version="1.0"?>\n' + cleanedXML;
-        }
+    setChangeMarks(marks) {
+        this.changeMarks = marks || [];
+    }
+    
+    /**
+     * Color the symbols of changed elements and add a marker to them
+     * WfAdaptor stores the svg-id of every element on the rendered description,
+     * which links the marks (tree paths) to the SVG symbols (element-id)
+     */
+    highlightChanges() {
+        if (!this.adaptor || !this.renderedDescription || this.changeMarks.length === 0) return;
         
-        // Validate basic XML structure
-        if (!cleanedXML.includes('<description')) {
-            throw new Error('Invalid CPEE XML: Missing <description> element');
-        }
+        const illustrator = this.adaptor.illustrator;
         
-        // Parse and validate the XML structure
-        try {
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(cleanedXML, 'text/xml');
+        this.changeMarks.forEach(mark => {
+            const element = TreeDiffService.findElementByPath(this.renderedDescription, mark.path);
+            const svgId = element?.getAttribute('svg-id');
+            if (!svgId) return;
             
-            // Check for parsing errors
-            const parseError = xmlDoc.querySelector('parsererror');
-            if (parseError) {
-                throw new Error('XML parsing error: ' + parseError.textContent);
-            }
-            
-            // Ensure we have a proper description element
-            const descElement = xmlDoc.querySelector('description');
-            if (!descElement) {
-                throw new Error('No valid <description> element found');
-            }
+            const symbol = illustrator.get_node_by_svg_id(svgId);
+            if (symbol.length === 0) return;
             
-            console.log('✅ XML validation successful');
-            return cleanedXML;
+            symbol.parents('g.element[element-id]').first().addClass(`diff-${mark.type}`);
             
-        } catch (error) {
-            console.error('❌ XML validation failed:', error);
-            throw new Error('Invalid XML structure: ' + error.message);
+            // One marker per symbol, the first mark of an element wins
+            if (symbol.children('.diff-marker').length === 0) {
+                symbol.append(this.createChangeMarker(mark.type));
+            }
+        });
+    }
+    
+    /**
+     * Create the marker shown at the corner of a changed symbol
+     * @param {string} type - added, removed, moved, modified or invalid
+     * @returns {SVGGElement} Marker group
+     */
+    createChangeMarker(type) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const symbols = { added: '+', removed: '−', moved: '↕', modified: '~', invalid: '!' };
+        
+        const marker = document.createElementNS(ns, 'g');
+        marker.setAttribute('class', `diff-marker diff-marker-${type}`);
+        
+        const title = document.createElementNS(ns, 'title');
+        title.textContent = type;
+        
+        const circle = document.createElementNS(ns, 'circle');
+        circle.setAttribute('cx', '0');
+        circle.setAttribute('cy', '0');
+        circle.setAttribute('r', '7');
+        
+        const text = document.createElementNS(ns, 'text');
+        text.setAttribute('x', '0');
+        text.setAttribute('y', '4');
+        text.setAttribute('text-anchor', 'middle');
+        text.textContent = symbols[type] || '!';
+        
+        marker.append(title, circle, text);
+        return marker;
+    }
+    
+    /**
+     * Select a node, also when the graph is rendered later
+     * @param {string|null} elementId - element-id of the node, or null to deselect
+     */
+    selectNode(elementId) {
+        this.selectedNode = elementId;
+        this.applyNodeSelection();
+    }
+    
+    /**
+     * Mark the selected node in the rendered graph
+     */
+    applyNodeSelection() {
+        if (!this.svgContainer) return;
+        
+        this.svgContainer.querySelectorAll('g.element.selected').forEach(node => node.classList.remove('selected'));
+        if (!this.selectedNode) return;
+        
+        const node = Array.from(this.svgContainer.querySelectorAll('g.element[element-id]'))
+            .find(element => element.getAttribute('element-id') === this.selectedNode);
+        if (node) {
+            node.classList.add('selected');
         }
     }
     
+    /**
+     * Get the description element a node was drawn for
+     * @param {string} elementId - element-id of the node (WfAdaptor's svg-id of the element)
+     * @returns {Element|null} Element of the rendered description, null if not drawn
+     */
+    getNodeElement(elementId) {
+        if (!this.renderedDescription || !elementId) return null;
+        if (this.renderedDescription.getAttribute('svg-id') === elementId) return this.renderedDescription;
+        
+        return Array.from(this.renderedDescription.querySelectorAll('[svg-id]'))
+            .find(element => element.getAttribute('svg-id') === elementId) || null;
+    }
+    
     /**
      * Add additional controls for the rendered graph
      */
@@ -354,8 +484,9 @@ export class CPEEWfAdaptorRenderer {
             existingControls.remove();
         }
         
-        // Graph controls have been removed as requested
-        // The graph will display without additional control buttons
+        // SVG and PNG export
+        const controls = new GraphExportControls(() => this.svgContainer, () => this.exportName);
+        this.container.appendChild(controls.element);
     }
     
     /**
@@ -0,0 +1,401 @@
+/**
+ * Comparison View Component
+ * Shows the steps of two instances (or two ranges of one instance) side by side
+ * with synchronized navigation
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { CPEEWfAdaptorRenderer } from './CPEEWfAdaptorRenderer.js';
+import { MermaidRenderer } from './MermaidRenderer.js';
+import { ComparisonService } from '../services/ComparisonService.js';
+import { ErrorAnalysisService } from '../services/ErrorAnalysisService.js';
+
+export class ComparisonView {
+    // idPrefix matches the container IDs of the step viewer so the graph styles apply
+    static SECTIONS = [
+        { key: 'userInput', name: 'User Input', type: 'text' },
+        { key: 'inputCpeeTree', name: 'Input CPEE-Tree', type: 'cpee', idPrefix: 'step' },
+        { key: 'inputIntermediate', name: 'Input Intermediate', type: 'mermaid', idPrefix: 'input-intermediate' },
+        { key: 'outputIntermediate', name: 'Output Intermediate', type: 'mermaid', idPrefix: 'output-intermediate' },
+        { key: 'outputCpeeTree', name: 'Output CPEE-Tree', type: 'cpee', idPrefix: 'output-step' }
+    ];
+
+    constructor(instanceService) {
+        this.instanceService = instanceService;
+        this.onClose = null;
+        this.onChange = null;
+        this.selection = null;
+        this.pairs = [];
+        this.pairIndex = 0;
+
+        // Incremented per rendered pair so stale graph renders stop early
+        this.renderCount = 0;
+
+        this.setupToggle();
+    }
+
+    /**
+     * Set callback for when the comparison is closed
+     * @param {Function} callback - Callback function
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Set callback for when a comparison is opened or shows another pair
+     * @param {Function} callback - Callback function
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Setup header button that opens the panel
+     */
+    setupToggle() {
+        const openButton = DOMUtils.getElementById('open-compare');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Check if the setup panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('compare-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle setup panel visibility
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the setup panel (closes other header panels)
+     */
+    show() {
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('compare-panel', 'hidden');
+    }
+
+    /**
+     * Hide the setup panel
+     */
+    hide() {
+        DOMUtils.addClass('compare-panel', 'hidden');
+    }
+
+    /**
+     * Render the setup panel: both sides, their first step and the alignment
+     */
+    render() {
+        const panel = DOMUtils.getElementById('compare-panel');
+        if (!panel) return;
+
+        const instances = this.instanceService.getInstances();
+        const current = this.instanceService.currentUUID;
+        const selection = this.selection || {
+            leftUUID: current || instances[0]?.uuid,
+            leftStart: 1,
+            rightUUID: instances.find(instance => instance.uuid !== current)?.uuid || current || instances[0]?.uuid,
+            rightStart: 1,
+            alignment: 'stepNumber'
+        };
+
+        const instanceOptions = (selected) => instances.map(instance => `
+            <option value="${DOMUtils.escapeHtml(instance.uuid)}" ${instance.uuid === selected ? 'selected' : ''}>
+                ${DOMUtils.escapeHtml(instance.getDisplayName())} (${instance.getStepCount()} steps)
+            </option>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Compare</h3>
+                <button id="close-compare" class="settings-close" title="Close">×</button>
+            </div>
+            <section class="settings-section">
+                ${instances.length === 0 ? '<p class="settings-hint">Load an instance first.</p>' : `
+                    <p class="settings-description">Pick two instances, or the same instance twice with different first steps.</p>
+                    <form id="compare-form" class="settings-form">
+                        <div class="compare-side">
+                            <label>Left <select name="leftUUID">${instanceOptions(selection.leftUUID)}</select></label>
+                            <label>From step <input type="number" name="leftStart" min="1" value="${selection.leftStart}" /></label>
+                        </div>
+                        <div class="compare-side">
+                            <label>Right <select name="rightUUID">${instanceOptions(selection.rightUUID)}</select></label>
+                            <label>From step <input type="number" name="rightStart" min="1" value="${selection.rightStart}" /></label>
+                        </div>
+                        <label>Align steps
+                            <select name="alignment">
+                                ${Object.entries(ComparisonService.ALIGNMENTS).map(([key, name]) => `
+                                    <option value="${key}" ${key === selection.alignment ? 'selected' : ''}>${DOMUtils.escapeHtml(name)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <button type="submit">Compare</button>
+                    </form>
+                `}
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-compare').addEventListener('click', () => this.hide());
+
+        const form = DOMUtils.getElementById('compare-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.start({
+                    leftUUID: form.elements.leftUUID.value,
+                    leftStart: parseInt(form.elements.leftStart.value, 10) || 1,
+                    rightUUID: form.elements.rightUUID.value,
+                    rightStart: parseInt(form.elements.rightStart.value, 10) || 1,
+                    alignment: form.elements.alignment.value
+                });
+            });
+        }
+    }
+
+    /**
+     * Align the selected steps and open the comparison
+     * @param {Object} selection - { leftUUID, leftStart, rightUUID, rightStart, alignment }
+     * @param {number} pairIndex - Pair to show first
+     * @returns {boolean} True if the comparison was opened
+     */
+    start(selection, pairIndex = 0) {
+        const left = this.instanceService.getInstance(selection.leftUUID);
+        const right = this.instanceService.getInstance(selection.rightUUID);
+        if (!left || !right) {
+            alert('Please select two loaded instances.');
+            return false;
+        }
+
+        const leftSteps = left.getAllSteps().slice(selection.leftStart - 1);
+        const rightSteps = right.getAllSteps().slice(selection.rightStart - 1);
+        if (leftSteps.length === 0 || rightSteps.length === 0) {
+            alert('There are no steps to compare from the selected step numbers.');
+            return false;
+        }
+
+        const alignment = selection.alignment in ComparisonService.ALIGNMENTS ? selection.alignment : 'stepNumber';
+        this.selection = {
+            leftUUID: selection.leftUUID,
+            leftStart: selection.leftStart,
+            rightUUID: selection.rightUUID,
+            rightStart: selection.rightStart,
+            alignment
+        };
+        this.left = left;
+        this.right = right;
+        this.pairs = ComparisonService.align(leftSteps, rightSteps, alignment);
+        this.pairIndex = Math.min(Math.max(pairIndex, 0), this.pairs.length - 1);
+
+        console.log(`Comparing ${left.getDisplayName()} with ${right.getDisplayName()}: ${this.pairs.length} aligned pairs`);
+
+        this.hide();
+        DOMUtils.addClass('step-details', 'hidden');
+        DOMUtils.addClass('process-analysis', 'hidden');
+        DOMUtils.addClass('raw-log-section', 'hidden');
+        DOMUtils.addClass('timeline-section', 'hidden');
+        DOMUtils.addClass('step-navigation', 'hidden');
+        DOMUtils.removeClass('comparison-view', 'hidden');
+
+        this.renderPair();
+        if (this.onChange) {
+            this.onChange();
+        }
+        return true;
+    }
+
+    /**
+     * Check if the comparison is shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        const view = DOMUtils.getElementById('comparison-view');
+        return Boolean(view) && !view.classList.contains('hidden');
+    }
+
+    /**
+     * Close the comparison and return to the normal step view
+     */
+    close() {
+        this.hideView();
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Hide the comparison without notifying (another view takes over)
+     */
+    hideView() {
+        if (!this.isOpen()) return;
+
+        this.renderCount++;
+        DOMUtils.addClass('comparison-view', 'hidden');
+        DOMUtils.removeClass('step-navigation', 'hidden');
+
+        const view = DOMUtils.getElementById('comparison-view');
+        view.innerHTML = '';
+    }
+
+    /**
+     * Show another aligned pair on both sides
+     * @param {number} index - Pair index
+     */
+    goToPair(index) {
+        if (index < 0 || index >= this.pairs.length) return;
+
+        this.pairIndex = index;
+        this.renderPair();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Render the current pair with navigation
+     */
+    async renderPair() {
+        const view = DOMUtils.getElementById('comparison-view');
+        if (!view) return;
+
+        const renderId = ++this.renderCount;
+        const pair = this.pairs[this.pairIndex];
+
+        view.innerHTML = `
+            <div class="step-navigation comparison-navigation">
+                <button id="compare-prev" class="nav-btn" ${this.pairIndex === 0 ? 'disabled' : ''}>← Previous</button>
+                <span class="comparison-counter">
+                    Pair ${this.pairIndex + 1} of ${this.pairs.length}
+                    ${pair.left && pair.right ? `· user input similarity ${Math.round(pair.similarity * 100)}%` : ''}
+                </span>
+                <button id="compare-next" class="nav-btn" ${this.pairIndex === this.pairs.length - 1 ? 'disabled' : ''}>Next →</button>
+                <button id="compare-close" class="settings-close" title="Close comparison">×</button>
+            </div>
+            <div class="comparison-grid">
+                ${this.renderColumnHeader(this.left, pair.left)}
+                ${this.renderColumnHeader(this.right, pair.right)}
+                ${ComparisonView.SECTIONS.map(section => `
+                    <h4 class="comparison-section-title">${section.name}</h4>
+                    ${this.renderCell(section, pair.left, this.getCellId(section, 'left', renderId))}
+                    ${this.renderCell(section, pair.right, this.getCellId(section, 'right', renderId))}
+                `).join('')}
+            </div>
+        `;
+
+        DOMUtils.getElementById('compare-prev').addEventListener('click', () => this.goToPair(this.pairIndex - 1));
+        DOMUtils.getElementById('compare-next').addEventListener('click', () => this.goToPair(this.pairIndex + 1));
+        DOMUtils.getElementById('compare-close').addEventListener('click', () => this.close());
+
+        // Graphs are rendered one after the other to avoid renderer conflicts
+        for (const section of ComparisonView.SECTIONS.filter(section => section.type !== 'text')) {
+            for (const [side, step, instance] of [['left', pair.left, this.left], ['right', pair.right, this.right]]) {
+                if (renderId !== this.renderCount) return;
+                await this.renderGraph(section, step, this.getCellId(section, side, renderId), instance);
+            }
+        }
+    }
+
+    /**
+     * Get the unique ID of a cell
+     * @param {Object} section - Entry of SECTIONS
+     * @param {string} side - left or right
+     * @param {number} renderId - Render count of the pair
+     * @returns {string} Cell ID
+     */
+    getCellId(section, side, renderId) {
+        return `compare-${side}-${section.idPrefix || section.key}-${renderId}`;
+    }
+
+    /**
+     * Render the header of one side
+     * @param {CPEEInstance} instance - Instance of the side
+     * @param {CPEEStep|null} step - Step of the side in the current pair
+     * @returns {string} HTML string
+     */
+    renderColumnHeader(instance, step) {
+        return `
+            <div class="comparison-column-header">
+                <strong>${DOMUtils.escapeHtml(instance.getDisplayName())}</strong>
+                <span>${step ? `${step.getDisplayName()} · ${DOMUtils.escapeHtml(step.getFormattedTimestamp())}` : 'No matching step'}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one cell (graphs get a container that is filled afterwards)
+     * @param {Object} section - Entry of SECTIONS
+     * @param {CPEEStep|null} step - Step of the side
+     * @param {string} cellId - Unique id of the cell
+     * @returns {string} HTML string
+     */
+    renderCell(section, step, cellId) {
+        if (!step || !step.hasContent(section.key) || ErrorAnalysisService.isEmptySection(step.getContent(section.key))) {
+            return `<div class="comparison-cell"><div class="no-content">${step ? `No ${section.name}` : '–'}</div></div>`;
+        }
+
+        if (section.type === 'text') {
+            return `<div class="comparison-cell"><pre class="comparison-text">${DOMUtils.escapeHtml(step.getUserInputText())}</pre></div>`;
+        }
+
+        return `<div id="${cellId}" class="comparison-cell"><div class="loading-graph">Loading...</div></div>`;
+    }
+
+    /**
+     * Render the graph of one cell
+     * @param {Object} section - Entry of SECTIONS
+     * @param {CPEEStep|null} step - Step of the side
+     * @param {string} cellId - ID of the cell
+     * @param {CPEEInstance} instance - Instance of the side
+     */
+    async renderGraph(section, step, cellId, instance) {
+        const cell = DOMUtils.getElementById(cellId);
+        if (!cell) return;
+
+        const content = step.getContent(section.key);
+        const exportName = `${instance.getDisplayName()}-step-${step.stepNumber}-${section.key}`;
+        cell.innerHTML = `<div id="${cellId}-graph-container" class="comparison-graph"></div>`;
+
+        try {
+            if (section.type === 'cpee') {
+                // Hidden input and modelling elements the WfAdaptor expects, as in the step viewer
+                const inputElement = document.createElement('textarea');
+                inputElement.id = `${cellId}-input`;
+                inputElement.value = content;
+                inputElement.setAttribute('readonly', true);
+                inputElement.style.display = 'none';
+
+                const modellingDiv = document.createElement('div');
+                modellingDiv.id = `${cellId}-modelling`;
+                modellingDiv.style.display = 'none';
+
+                cell.prepend(inputElement, modellingDiv);
+
+                const renderer = new CPEEWfAdaptorRenderer();
+                await renderer.initialize(`${cellId}-graph-container`, null, `${cellId}-input`);
+                renderer.setExportName(exportName);
+                await renderer.renderGraph(content);
+            } else {
+                const renderer = new MermaidRenderer();
+                await renderer.initialize(`${cellId}-graph-container`);
+                renderer.setExportName(exportName);
+                await renderer.renderGraph(content);
+            }
+        } catch (error) {
+            console.error(`Error rendering ${section.name} for comparison:`, error);
+            cell.innerHTML = `<div class="error-message">${DOMUtils.escapeHtml(error.message)}</div>`;
+        }
+    }
+}
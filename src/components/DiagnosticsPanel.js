@@ -0,0 +1,151 @@
+/**
+ * Diagnostics Panel Component
+ * Shows route health and failed request attempts recorded by the HttpClient
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { HttpClient } from '../services/HttpClient.js';
+
+export class DiagnosticsPanel {
+    constructor() {
+        this.setupToggle();
+
+        HttpClient.onChange(() => {
+            this.updateFailureCount();
+            if (this.isVisible()) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Setup header button that opens the panel
+     */
+    setupToggle() {
+        const openButton = DOMUtils.getElementById('open-diagnostics');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('diagnostics-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the panel (closes other header panels)
+     */
+    show() {
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('diagnostics-panel', 'hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMUtils.addClass('diagnostics-panel', 'hidden');
+    }
+
+    /**
+     * Show the number of failed attempts on the header button
+     */
+    updateFailureCount() {
+        const count = HttpClient.getDiagnostics().length;
+        const badge = DOMUtils.getElementById('diagnostics-count');
+        if (badge) {
+            badge.textContent = count;
+            badge.classList.toggle('hidden', count === 0);
+        }
+    }
+
+    /**
+     * Render route health and failed attempts
+     */
+    render() {
+        const panel = DOMUtils.getElementById('diagnostics-panel');
+        if (!panel) return;
+
+        const routes = HttpClient.getRouteHealth();
+        const attempts = HttpClient.getDiagnostics();
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Diagnostics</h3>
+                <button id="close-diagnostics" class="settings-close" title="Close">×</button>
+            </div>
+            <section class="settings-section">
+                <h4>Connections</h4>
+                ${routes.length === 0 ? '<p class="settings-hint">No requests made yet.</p>' : `
+                    <table class="diagnostics-table">
+                        <thead>
+                            <tr><th>Route</th><th>Status</th><th>Failures</th><th>Last success</th></tr>
+                        </thead>
+                        <tbody>
+                            ${routes.map(route => `
+                                <tr>
+                                    <td>${DOMUtils.escapeHtml(route.label)}</td>
+                                    <td class="${route.healthy ? 'route-healthy' : 'route-unhealthy'}"
+                                        title="${DOMUtils.escapeHtml(route.lastError || '')}">
+                                        ${route.healthy ? 'Healthy' : `Skipped until ${this.formatTime(route.unhealthyUntil)}`}
+                                    </td>
+                                    <td>${route.failures}</td>
+                                    <td>${route.lastSuccessAt ? this.formatTime(route.lastSuccessAt) : '–'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </section>
+            <section class="settings-section">
+                <h4>Failed Attempts</h4>
+                ${attempts.length === 0 ? '<p class="settings-hint">No failed requests.</p>' : `
+                    <ul class="diagnostics-list">
+                        ${attempts.map(attempt => `
+                            <li>
+                                <div class="diagnostics-meta">
+                                    ${this.formatTime(attempt.time)} · ${DOMUtils.escapeHtml(attempt.method)} · ${DOMUtils.escapeHtml(attempt.route)}
+                                    · attempt ${attempt.attempt} · ${attempt.duration} ms
+                                </div>
+                                <div class="diagnostics-url" title="${DOMUtils.escapeHtml(attempt.url)}">${DOMUtils.escapeHtml(attempt.url)}</div>
+                                <div class="diagnostics-error">${DOMUtils.escapeHtml(attempt.error)}</div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+                <div class="settings-form">
+                    <button id="clear-diagnostics" type="button">Clear</button>
+                </div>
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-diagnostics').addEventListener('click', () => this.hide());
+        DOMUtils.getElementById('clear-diagnostics').addEventListener('click', () => HttpClient.clearDiagnostics());
+    }
+
+    /**
+     * Format a time for the panel
+     * @param {string|number} time - ISO string or timestamp
+     * @returns {string} Local time
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString();
+    }
+}
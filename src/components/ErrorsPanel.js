@@ -0,0 +1,194 @@
+/**
+ * Errors Panel Component
+ * Lists the errors found in the steps of the current instance and links back to each step
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { ErrorAnalysisService } from '../services/ErrorAnalysisService.js';
+
+export class ErrorsPanel {
+    constructor(instanceService) {
+        this.instanceService = instanceService;
+        this.onStepSelect = null;
+        this.categoryFilter = '';
+        this.errors = [];
+        this.analyzing = false;
+
+        this.setupToggle();
+    }
+
+    /**
+     * Set callback for when an error's step is clicked
+     * @param {Function} callback - Callback function receiving the step index
+     */
+    setOnStepSelect(callback) {
+        this.onStepSelect = callback;
+    }
+
+    /**
+     * Setup header button that opens the panel
+     */
+    setupToggle() {
+        const openButton = DOMUtils.getElementById('open-errors');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('errors-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the panel (closes other header panels)
+     */
+    show() {
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('errors-panel', 'hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMUtils.addClass('errors-panel', 'hidden');
+    }
+
+    /**
+     * Analyze the current instance and refresh the count and the panel
+     * Called whenever the current instance or its steps change
+     */
+    async update() {
+        const instance = this.instanceService.getCurrentInstance();
+
+        if (!instance) {
+            this.errors = [];
+            this.refresh();
+            return;
+        }
+
+        this.analyzing = true;
+        this.refresh();
+
+        try {
+            const errors = await ErrorAnalysisService.analyzeInstance(instance);
+
+            // Ignore results for an instance that is no longer shown
+            if (this.instanceService.getCurrentInstance() !== instance) return;
+
+            this.errors = errors;
+        } catch (error) {
+            console.error('Error analysis failed:', error);
+        } finally {
+            this.analyzing = false;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Update the count on the header button and re-render if open
+     */
+    refresh() {
+        const badge = DOMUtils.getElementById('errors-count');
+        if (badge) {
+            badge.textContent = this.errors.length;
+            badge.classList.toggle('hidden', this.errors.length === 0);
+        }
+
+        if (this.isVisible()) {
+            this.render();
+        }
+    }
+
+    /**
+     * Render the error list of the current instance
+     */
+    render() {
+        const panel = DOMUtils.getElementById('errors-panel');
+        if (!panel) return;
+
+        const instance = this.instanceService.getCurrentInstance();
+        const errors = this.errors.filter(error => !this.categoryFilter || error.category === this.categoryFilter);
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Errors</h3>
+                <button id="close-errors" class="settings-close" title="Close">×</button>
+            </div>
+            <section class="settings-section">
+                ${!instance ? '<p class="settings-hint">No instance selected.</p>' : `
+                    <h4>${DOMUtils.escapeHtml(instance.getDisplayName())}</h4>
+                    <div class="settings-form">
+                        <label for="errors-category">Category</label>
+                        <select id="errors-category">
+                            <option value="">All categories (${this.errors.length})</option>
+                            ${Object.entries(ErrorAnalysisService.CATEGORIES).map(([key, name]) => `
+                                <option value="${key}" ${key === this.categoryFilter ? 'selected' : ''}>
+                                    ${DOMUtils.escapeHtml(name)} (${this.errors.filter(error => error.category === key).length})
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    ${this.analyzing ? '<p class="settings-hint">Analyzing steps...</p>' : ''}
+                    ${!this.analyzing && errors.length === 0 ? '<p class="settings-hint">No errors found.</p>' : ''}
+                    <ul class="errors-list">
+                        ${errors.map(error => this.renderError(error)).join('')}
+                    </ul>
+                `}
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-errors').addEventListener('click', () => this.hide());
+
+        const categorySelect = DOMUtils.getElementById('errors-category');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', () => {
+                this.categoryFilter = categorySelect.value;
+                this.render();
+            });
+        }
+
+        panel.querySelectorAll('.error-step-link').forEach(link => {
+            link.addEventListener('click', () => {
+                if (this.onStepSelect) {
+                    this.onStepSelect(parseInt(link.dataset.stepIndex, 10));
+                }
+            });
+        });
+    }
+
+    /**
+     * Render a single error as list item
+     * @param {Object} error - Error found by the ErrorAnalysisService
+     * @returns {string} HTML string
+     */
+    renderError(error) {
+        return `
+            <li class="errors-item error-category-${error.category}">
+                <div class="errors-meta">
+                    <button class="error-step-link" data-step-index="${error.stepIndex}" title="Go to step">Step ${error.stepNumber}</button>
+                    <span class="error-category">${DOMUtils.escapeHtml(ErrorAnalysisService.getCategoryName(error.category))}</span>
+                    ${error.section ? `<span class="error-section">${DOMUtils.escapeHtml(ErrorAnalysisService.getSectionName(error.section))}</span>` : ''}
+                </div>
+                <div class="errors-message">${DOMUtils.escapeHtml(error.message)}</div>
+            </li>
+        `;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Export Panel Component
+ * Saves shareable files of the current instance (debugging report, instance bundle),
+ * evaluation datasets of one or all loaded instances and restores instances from bundles
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { CPEEWfAdaptorRenderer } from './CPEEWfAdaptorRenderer.js';
+import { MermaidRenderer } from './MermaidRenderer.js';
+import { ReportService } from '../services/ReportService.js';
+import { BundleService } from '../services/BundleService.js';
+import { DatasetService } from '../services/DatasetService.js';
+
+export class ExportPanel {
+    constructor(instanceService) {
+        this.instanceService = instanceService;
+        this.onBundleImport = null;
+        this.progress = null;
+
+        // Choices of the dataset export, kept while the panel re-renders
+        this.datasetOptions = { scope: 'current', format: 'jsonl', filter: 'all' };
+
+        this.setupToggle();
+    }
+
+    /**
+     * Set callback for when a bundle file is picked
+     * @param {Function} callback - Callback function receiving the File
+     */
+    setOnBundleImport(callback) {
+        this.onBundleImport = callback;
+    }
+
+    /**
+     * Setup header button that opens the panel
+     */
+    setupToggle() {
+        const openButton = DOMUtils.getElementById('open-export');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('export-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the panel (closes other header panels)
+     */
+    show() {
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('export-panel', 'hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMUtils.addClass('export-panel', 'hidden');
+    }
+
+    /**
+     * Re-render if open, called whenever the current instance changes
+     */
+    refresh() {
+        if (this.isVisible()) {
+            this.render();
+        }
+    }
+
+    /**
+     * Render the exports of the current instance
+     */
+    render() {
+        const panel = DOMUtils.getElementById('export-panel');
+        if (!panel) return;
+
+        const instance = this.instanceService.getCurrentInstance();
+        const instanceCount = this.instanceService.getAllInstances().length;
+        const options = this.datasetOptions;
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Export</h3>
+                <button id="close-export" class="settings-close" title="Close">×</button>
+            </div>
+            ${!instance ? `
+                <section class="settings-section">
+                    <p class="settings-hint">No instance selected.</p>
+                </section>
+            ` : `
+                <section class="settings-section">
+                    <h4>Debugging Report</h4>
+                    <p class="settings-description">
+                        Metadata, user input, rendered graphs, diffs and detected errors of every step of
+                        ${DOMUtils.escapeHtml(instance.getDisplayName())} in a single file that opens without the console.
+                    </p>
+                    <div class="settings-form">
+                        <button type="button" class="export-report" data-format="html" ${this.progress ? 'disabled' : ''}>HTML Report</button>
+                        <button type="button" class="export-report" data-format="md" ${this.progress ? 'disabled' : ''}>Markdown Report</button>
+                    </div>
+                    ${this.progress ? `<p class="settings-hint">${DOMUtils.escapeHtml(this.progress)}</p>` : ''}
+                </section>
+            `}
+            <section class="settings-section">
+                <h4>Instance Bundle</h4>
+                <p class="settings-description">
+                    JSON file with the parsed steps, raw log, process number and step notes of an instance.
+                    Importing it restores the instance as it was exported.
+                </p>
+                <div class="settings-form">
+                    <button id="export-bundle" type="button" ${instance ? '' : 'disabled'}>Export Instance</button>
+                    <button id="import-bundle" type="button">Import Bundle</button>
+                    <input type="file" id="bundle-file-input" accept="${BundleService.FILE_EXTENSION}" hidden />
+                </div>
+            </section>
+            <section class="settings-section">
+                <h4>Evaluation Dataset</h4>
+                <p class="settings-description">
+                    One row per step with user input, input and output tree and intermediate,
+                    a success flag with the detected errors and the step timing.
+                </p>
+                <div class="settings-form">
+                    <label for="dataset-scope">Instances</label>
+                    <select id="dataset-scope" class="dataset-option">
+                        <option value="current" ${options.scope === 'current' ? 'selected' : ''} ${instance ? '' : 'disabled'}>Current instance</option>
+                        <option value="all" ${options.scope === 'all' ? 'selected' : ''}>All loaded instances (${instanceCount})</option>
+                    </select>
+                    <label for="dataset-filter">Steps</label>
+                    <select id="dataset-filter" class="dataset-option">
+                        ${Object.entries(DatasetService.FILTERS).map(([key, name]) => `
+                            <option value="${key}" ${key === options.filter ? 'selected' : ''}>${name}</option>
+                        `).join('')}
+                    </select>
+                    <label for="dataset-format">Format</label>
+                    <select id="dataset-format" class="dataset-option">
+                        ${Object.entries(DatasetService.FORMATS).map(([key, format]) => `
+                            <option value="${key}" ${key === options.format ? 'selected' : ''}>${format.name}</option>
+                        `).join('')}
+                    </select>
+                    <button id="export-dataset" type="button" ${instanceCount > 0 ? '' : 'disabled'}>Export Dataset</button>
+                </div>
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-export').addEventListener('click', () => this.hide());
+
+        panel.querySelectorAll('.export-report').forEach(button => {
+            button.addEventListener('click', () => this.exportReport(instance, button.dataset.format));
+        });
+
+        DOMUtils.getElementById('export-bundle').addEventListener('click', () => this.exportBundle(instance));
+
+        const fileInput = DOMUtils.getElementById('bundle-file-input');
+        DOMUtils.getElementById('import-bundle').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file && this.onBundleImport) {
+                this.onBundleImport(file);
+            }
+        });
+
+        panel.querySelectorAll('.dataset-option').forEach(select => {
+            select.addEventListener('change', () => {
+                this.datasetOptions[select.id.replace('dataset-', '')] = select.value;
+            });
+        });
+        DOMUtils.getElementById('export-dataset').addEventListener('click', () => this.exportDataset());
+    }
+
+    /**
+     * Save the dataset of the current or all loaded instances with the chosen options
+     */
+    async exportDataset() {
+        const { scope, format, filter } = this.datasetOptions;
+        const current = this.instanceService.getCurrentInstance();
+        const instances = scope === 'current' && current
+            ? [current]
+            : this.instanceService.getInstances();
+
+        try {
+            const rows = await DatasetService.createRows(instances, filter);
+            if (rows.length === 0) {
+                alert('No steps match the selected filter.');
+                return;
+            }
+
+            const name = instances.length === 1
+                ? `${FileUtils.toFileName(instances[0].getDisplayName())}-dataset`
+                : `cpee-dataset-${instances.length}-instances`;
+            const { extension, type } = DatasetService.FORMATS[format];
+            FileUtils.download(DatasetService.serialize(rows, format), `${name}${extension}`, type);
+
+            console.log(`Dataset with ${rows.length} steps of ${instances.length} instance(s) saved as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Dataset export failed:', error);
+            alert(`Dataset export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the bundle of an instance
+     * @param {CPEEInstance} instance - Instance to export
+     */
+    async exportBundle(instance) {
+        try {
+            const bundle = await BundleService.createBundle(instance);
+            FileUtils.download(BundleService.toJSON(bundle), `${FileUtils.toFileName(instance.getDisplayName())}${BundleService.FILE_EXTENSION}`, 'application/json');
+
+            console.log(`Bundle of ${instance.uuid} saved${bundle.rawLog ? '' : ' without raw log (not cached)'}`);
+        } catch (error) {
+            console.error('Bundle export failed:', error);
+            alert(`Bundle export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the progress of a running export
+     * @param {string|null} message - Progress message, null when done
+     */
+    setProgress(message) {
+        this.progress = message;
+        this.refresh();
+    }
+
+    /**
+     * Create and save the debugging report of an instance
+     * @param {CPEEInstance} instance - Instance to report on
+     * @param {string} format - html or md
+     */
+    async exportReport(instance, format) {
+        if (!instance.hasSteps()) {
+            alert('The instance has no steps to report on.');
+            return;
+        }
+
+        this.setProgress('Analyzing steps...');
+
+        try {
+            const renderers = { cpee: CPEEWfAdaptorRenderer, mermaid: MermaidRenderer };
+            const report = await ReportService.createReport(instance, renderers, (done, total) => {
+                this.setProgress(`Rendering graphs... step ${Math.min(done + 1, total)} of ${total}`);
+            });
+
+            const fileName = `${FileUtils.toFileName(instance.getDisplayName())}-report`;
+            if (format === 'html') {
+                FileUtils.download(ReportService.toHTML(report), `${fileName}.html`, 'text/html');
+            } else {
+                FileUtils.download(ReportService.toMarkdown(report), `${fileName}.md`, 'text/markdown');
+            }
+
+            console.log(`Report of ${instance.uuid} saved as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Report export failed:', error);
+            alert(`Report export failed: ${error.message}`);
+        } finally {
+            this.setProgress(null);
+        }
+    }
+}
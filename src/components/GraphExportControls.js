@@ -0,0 +1,88 @@
+/**
+ * Graph Export Controls Component
+ * SVG and PNG buttons shown in the corner of a rendered graph
+ */
+
+import { GraphExportService } from '../services/GraphExportService.js';
+import { FileUtils } from '../utils/FileUtils.js';
+
+export class GraphExportControls {
+    /**
+     * @param {Function} getSvgElement - Returns the rendered graph (SVGSVGElement or null)
+     * @param {Function} getFileName - Returns the file name without extension
+     */
+    constructor(getSvgElement, getFileName) {
+        this.getSvgElement = getSvgElement;
+        this.getFileName = getFileName;
+        this.element = this.render();
+    }
+
+    /**
+     * Render the buttons and the PNG scale
+     * @returns {HTMLElement} Controls element
+     */
+    render() {
+        const controls = document.createElement('div');
+        controls.className = 'graph-controls';
+        controls.innerHTML = `
+            <button class="graph-export" data-format="svg" title="Save as standalone SVG">SVG</button>
+            <button class="graph-export" data-format="png" title="Save as PNG">PNG</button>
+            <select class="graph-export-scale" title="PNG scale">
+                ${GraphExportService.SCALES.map(scale => `<option value="${scale}" ${scale === 2 ? 'selected' : ''}>${scale}×</option>`).join('')}
+            </select>
+        `;
+
+        controls.querySelectorAll('.graph-export').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (button.dataset.format === 'svg') {
+                    this.exportSVG();
+                } else {
+                    button.disabled = true;
+                    await this.exportPNG(Number(controls.querySelector('.graph-export-scale').value));
+                    button.disabled = false;
+                }
+            });
+        });
+
+        return controls;
+    }
+
+    /**
+     * Save the graph as standalone SVG
+     */
+    exportSVG() {
+        const svgElement = this.getSvgElement();
+        if (!svgElement) {
+            alert('The graph is not rendered yet.');
+            return;
+        }
+
+        try {
+            const svg = GraphExportService.toStandaloneSVG(svgElement);
+            FileUtils.download(svg, `${FileUtils.toFileName(this.getFileName())}.svg`, 'image/svg+xml');
+        } catch (error) {
+            console.error('SVG export failed:', error);
+            alert(`SVG export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the graph as PNG
+     * @param {number} scale - Pixels per SVG unit
+     */
+    async exportPNG(scale) {
+        const svgElement = this.getSvgElement();
+        if (!svgElement) {
+            alert('The graph is not rendered yet.');
+            return;
+        }
+
+        try {
+            const png = await GraphExportService.toPNG(svgElement, scale);
+            FileUtils.download(png, `${FileUtils.toFileName(this.getFileName())}@${scale}x.png`);
+        } catch (error) {
+            console.error('PNG export failed:', error);
+            alert(`PNG export failed: ${error.message}`);
+        }
+    }
+}
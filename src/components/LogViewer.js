@@ -5,6 +5,7 @@
 
 import { DOMUtils } from '../utils/DOMUtils.js';
 import { LogService } from '../services/LogService.js';
+import { LogSourceService } from '../services/LogSourceService.js';
 
 export class LogViewer {
     constructor() {
@@ -32,41 +33,35 @@ export class LogViewer {
             // Show loading state
             this.showLogLoading();
             
-            // Fetch raw log using the same approach as LogService
-            const logUrl = `https://cpee.org/logs/${uuid}.xes.yaml`;
-            
-            // Create timeout controller
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
-            
-            const response = await fetch(LogService.CORS_PROXY + encodeURIComponent(logUrl), {
-                method: 'GET',
-                headers: {
-                    'Accept': 'text/plain, application/x-yaml, text/yaml'
-                },
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (response.ok) {
-                const content = await response.text();
-                this.displayRawLog(content);
-                this.updateViewLogButton('Hide Log');
-            } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            // Same log cache and log source as loading the instance
+            const content = await LogService.getRawLog(uuid);
+            this.displayRawLog(content);
+            this.updateViewLogButton('Hide Log');
             
         } catch (error) {
             console.error('Error fetching raw log:', error);
-            if (error.name === 'AbortError') {
-                this.showRawLogError('Request timed out. The log file may be large or the server is slow.');
+            if (!this.getOriginalLogURL(uuid)) {
+                // Local sources and unconfigured engines have nothing to fall back to
+                this.showRawLogError(error.message);
             } else {
                 this.showCORSFallback(uuid);
             }
         }
     }
 
+    /**
+     * Get the log URL of the active log source
+     * @param {string} uuid - Instance UUID
+     * @returns {string|null} Log URL or null if the source has none
+     */
+    getOriginalLogURL(uuid) {
+        try {
+            return LogSourceService.getActiveProvider().getLogURL(uuid);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Hide raw log
      */
@@ -151,7 +146,7 @@ export class LogViewer {
                 header.textContent = 'Raw Log Content';
             }
             
-            const originalUrl = `https://cpee.org/logs/${uuid}.xes.yaml`;
+            const originalUrl = this.getOriginalLogURL(uuid);
             rawLogContent.innerHTML = `
                 <div style="color: var(--error-color); margin-bottom: 1rem;">
                     <strong>CORS Error:</strong> Unable to fetch log directly. Try these options:
@@ -5,6 +5,9 @@
  * Similar interface to CPEEWfAdaptorRenderer for consistency
  */
 
+import { GraphExportControls } from './GraphExportControls.js';
+import { GraphSourceService } from '../services/GraphSourceService.js';
+
 export class MermaidRenderer {
     constructor() {
         this.container = null;
@@ -13,6 +16,16 @@ export class MermaidRenderer {
         this.isRendered = false;
         this.mermaidLoaded = false;
         this.renderCount = 0; // To generate unique IDs
+        this.changeMarks = [];
+        this.exportName = 'mermaid-graph';
+    }
+
+    /**
+     * Set the file name (without extension) of exported images
+     * @param {string} name - File name
+     */
+    setExportName(name) {
+        this.exportName = name;
     }
 
     /**
@@ -71,29 +84,9 @@ export class MermaidRenderer {
             return;
         }
 
-        return new Promise((resolve, reject) => {
-            // Check if mermaid is already loaded
-            if (window.mermaid) {
-                this.mermaidLoaded = true;
-                this.initializeMermaid();
-                resolve();
-                return;
-            }
-
-            // Load mermaid from CDN
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js';
-            script.onload = () => {
-                console.log('✅ Mermaid.js loaded successfully');
-                this.mermaidLoaded = true;
-                this.initializeMermaid();
-                resolve();
-            };
-            script.onerror = () => {
-                reject(new Error('Failed to load Mermaid.js from CDN'));
-            };
-            document.head.appendChild(script);
-        });
+        await GraphSourceService.loadMermaid();
+        this.mermaidLoaded = true;
+        this.initializeMermaid();
     }
 
     /**
@@ -180,7 +173,15 @@ export class MermaidRenderer {
             this.showStatus('🎨 Rendering Mermaid graph...', 'loading');
 
             // Validate mermaid code
-            const cleanedCode = this.cleanAndValidateMermaid(mermaidCode);
+            const cleanedCode = GraphSourceService.cleanMermaid(mermaidCode);
+            try {
+                GraphSourceService.validateMermaid(cleanedCode);
+            } catch (error) {
+                console.warn('⚠️ Cleaned Mermaid code:', JSON.stringify(cleanedCode));
+                throw error;
+            }
+            console.log('✅ Mermaid code validation successful');
+            console.log('🔍 Cleaned Mermaid code:', cleanedCode);
 
             // Ensure mermaid is loaded
             await this.loadMermaid();
@@ -224,6 +225,11 @@ export class MermaidRenderer {
             // Style the SVG for consistent appearance
             const svgElement = graphDiv.querySelector('svg');
             
+            // Mark what the step changed (see setChangeMarks)
+            if (svgElement) {
+                this.highlightChanges(svgElement);
+            }
+            
             if (svgElement) {
                 if (isIntermediateGraph) {
                     // Allow natural growth for intermediate graphs
@@ -257,6 +263,10 @@ export class MermaidRenderer {
                 }
             }
 
+            // SVG and PNG export
+            const controls = new GraphExportControls(() => graphDiv.querySelector('svg'), () => this.exportName);
+            this.container.appendChild(controls.element);
+
             console.log('✅ Mermaid graph rendered successfully');
             this.showStatus('✅ Mermaid graph rendered successfully', 'success');
             this.isRendered = true;
@@ -283,123 +293,38 @@ export class MermaidRenderer {
     }
 
     /**
-     * Clean and validate Mermaid code
-     * @param {string} code - Raw mermaid code (can be markdown-wrapped or plain)
-     * @returns {string} Cleaned and validated code
+     * Set the nodes and edges to highlight once the next graph is rendered
+     * @param {Array} marks - Marks ({ kind, type, id, from, to }) from MermaidDiffService.diff
      */
-    cleanAndValidateMermaid(code) {
-        if (!code || typeof code !== 'string') {
-            throw new Error('Invalid Mermaid code input');
-        }
-
-        // Remove HTML comments and extra whitespace
-        let cleanedCode = code.replace(/<!--[\s\S]*?-->/g, '').trim();
-
-        // Remove CPEE-style comments (e.g., "%% Output Intermediate", "%% Input Intermediate")
-        cleanedCode = cleanedCode.replace(/^\s*%%.*$/gm, '').trim();
-
-        // Extract Mermaid code from markdown code blocks
-        const mermaidBlockMatch = cleanedCode.match(/```mermaid\s*\n([\s\S]*?)\n\s*```/);
-        if (mermaidBlockMatch) {
-            cleanedCode = mermaidBlockMatch[1].trim();
-        }
-
-        // Remove any remaining markdown code block syntax that might be incomplete
-        cleanedCode = cleanedCode.replace(/^```.*$/gm, '').trim();
-        cleanedCode = cleanedCode.replace(/```\s*$/gm, '').trim();
-
-        // Remove any leading/trailing whitespace and normalize line endings
-        cleanedCode = cleanedCode.replace(/^\s+|\s+$/g, '');
-        cleanedCode = cleanedCode.replace(/\r\n/g, '\n');
-
-        // Fix common CPEE-to-Mermaid conversion issues
-        cleanedCode = this.preprocessMermaidSyntax(cleanedCode);
-
-        if (cleanedCode.length === 0) {
-            throw new Error('Empty Mermaid code provided after cleaning');
-        }
-
-        // Basic validation - check for common mermaid diagram types
-        const mermaidTypes = [
-            'graph', 'flowchart', 'sequenceDiagram', 'classDiagram', 
-            'stateDiagram', 'erDiagram', 'gantt', 'pie', 'journey',
-            'gitgraph', 'mindmap', 'timeline'
-        ];
-
-        const hasValidType = mermaidTypes.some(type => 
-            cleanedCode.toLowerCase().includes(type.toLowerCase())
-        );
-
-        if (!hasValidType) {
-            console.warn('⚠️ Cleaned Mermaid code:', JSON.stringify(cleanedCode));
-            throw new Error(`Mermaid code does not contain a recognized diagram type. Cleaned content: "${cleanedCode.substring(0, 100)}..."`);
-        }
-
-        console.log('✅ Mermaid code validation successful');
-        console.log('🔍 Cleaned Mermaid code:', cleanedCode);
-        return cleanedCode;
+    setChangeMarks(marks) {
+        this.changeMarks = marks || [];
     }
 
     /**
-     * Preprocess Mermaid syntax to fix common CPEE-to-Mermaid conversion issues
-     * @param {string} code - Raw mermaid code
-     * @returns {string} Preprocessed code
+     * Add a diff class to the nodes and edges of changed elements
+     * Mermaid keeps the node ID in data-id (or id="flowchart-<id>-<n>") and
+     * the edge ends in the LS-<from>/LE-<to> classes of the edge path
+     * @param {SVGElement} svgElement - Rendered diagram
      */
-    preprocessMermaidSyntax(code) {
-        let processedCode = code;
-
-        // Fix 1: Remove empty edge labels that cause parse errors
-        // Pattern: -->|""| becomes -->
-        processedCode = processedCode.replace(/-->\|\"\"\|/g, '-->');
-        
-        // Also handle variations with single quotes or no quotes
-        processedCode = processedCode.replace(/-->\|''\|/g, '-->');
-        processedCode = processedCode.replace(/-->\|\|\|/g, '-->');
-        
-        // Fix 2: Handle problematic node IDs starting with numbers or special chars
-        // Pattern: -1:escalate becomes N1_escalate (prefix with N, replace special chars)
-        processedCode = processedCode.replace(/(\W|^)(-\d+)(:\w+)/g, function(match, prefix, number, suffix) {
-            return prefix + 'N' + number.replace('-', '') + suffix.replace(':', '_');
-        });
-        
-        // Fix 3: Remove spaces after node IDs that cause parsing issues
-        // Pattern: "a9:task: (Task b)" becomes "a9:task:(Task b)"
-        processedCode = processedCode.replace(/(\w+:\w+:)\s+(\([^)]+\))/g, '$1$2');
-        
-        // Fix 4: Handle triple parentheses in node shapes
-        // Pattern: (((text))) becomes ((text))
-        processedCode = processedCode.replace(/\(\(\(([^)]+)\)\)\)/g, '(($1))');
-        
-        // Fix 5: Handle malformed node references in edge labels
-        // Ensure node IDs in edge targets don't have extra spaces
-        processedCode = processedCode.replace(/(\|\s*[^|]*\s*\|\s*)(\w+:\w+:)\s+(\([^)]+\))/g, '$1$2$3');
-        
-        console.log('🔧 Mermaid preprocessing applied');
-        if (code !== processedCode) {
-            console.log('📝 Preprocessing changes detected');
-            console.log('Original length:', code.length, 'Processed length:', processedCode.length);
-            
-            // Show specific changes for debugging
-            const changes = [];
-            if (code.includes('|""|') && !processedCode.includes('|""|')) {
-                changes.push('✅ Removed empty edge labels |""|');
-            }
-            if (code.includes(': (') && !processedCode.includes(': (')) {
-                changes.push('✅ Fixed spaces after node IDs');
-            }
-            if (code.includes('(((') && !processedCode.includes('(((')) {
-                changes.push('✅ Fixed triple parentheses');
-            }
-            if (code.includes('-1:escalate') && !processedCode.includes('-1:escalate')) {
-                changes.push('✅ Fixed problematic node IDs');
+    highlightChanges(svgElement) {
+        if (this.changeMarks.length === 0) return;
+
+        const nodeMarks = new Map(this.changeMarks.filter(mark => mark.kind === 'node').map(mark => [mark.id, mark.type]));
+        const edgeMarks = this.changeMarks.filter(mark => mark.kind === 'edge');
+
+        svgElement.querySelectorAll('g.node').forEach(node => {
+            const id = node.dataset.id || (node.id.match(/^flowchart-(.+)-\d+$/) || [])[1];
+            if (nodeMarks.has(id)) {
+                node.classList.add(`mermaid-diff-${nodeMarks.get(id)}`);
             }
-            
-            if (changes.length > 0) {
-                console.log('🔧 Applied fixes:', changes);
+        });
+
+        svgElement.querySelectorAll('path.flowchart-link').forEach(path => {
+            const mark = edgeMarks.find(edge => path.classList.contains(`LS-${edge.from}`) && path.classList.contains(`LE-${edge.to}`));
+            if (mark) {
+                path.classList.add(`mermaid-diff-${mark.type}`);
             }
-        }
-        
-        return processedCode;
+        });
     }
 
     /**
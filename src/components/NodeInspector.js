@@ -0,0 +1,232 @@
+/**
+ * Node Inspector Component
+ * Shows the element behind the selected node of a CPEE graph: type, endpoint, arguments,
+ * code blocks, annotations, documentation and its pretty-printed XML
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { XMLUtils } from '../utils/XMLUtils.js';
+
+export class NodeInspector {
+    // Code blocks of a call, in the order CPEE runs them
+    static CODE_BLOCKS = ['prepare', 'finalize', 'update', 'rescue'];
+
+    // Attributes WfAdaptor adds to the description while drawing it
+    static RENDER_ATTRIBUTES = ['svg-id', 'svg-type', 'svg-subtype', 'svg-label'];
+
+    constructor() {
+        this.onClose = null;
+    }
+
+    /**
+     * Set callback for when the inspector is closed
+     * @param {Function} callback - Callback function
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Check if the inspector is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('node-inspector');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Show a node
+     * @param {Element|null} element - Description element of the node, null if it is not drawn
+     * @param {Object} node - { graph: 'input' or 'output', id: element-id }
+     */
+    show(element, node) {
+        this.render(element, node);
+        DOMUtils.removeClass('node-inspector', 'hidden');
+    }
+
+    /**
+     * Hide the inspector
+     */
+    hide() {
+        DOMUtils.addClass('node-inspector', 'hidden');
+    }
+
+    /**
+     * Render a node
+     * @param {Element|null} element - Description element of the node
+     * @param {Object} node - { graph, id }
+     */
+    render(element, node) {
+        const panel = DOMUtils.getElementById('node-inspector');
+        if (!panel) return;
+
+        const graphName = node.graph === 'input' ? 'Input CPEE-Tree' : 'Output CPEE-Tree';
+        const details = element ? this.getDetails(element) : null;
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>${DOMUtils.escapeHtml(details ? details.type : 'Node')} <span class="node-inspector-id">${DOMUtils.escapeHtml(node.id)}</span></h3>
+                <button id="close-node-inspector" class="settings-close" title="Close">×</button>
+            </div>
+            <p class="settings-hint">${graphName}</p>
+            ${details ? this.renderDetails(details) : `
+                <section class="settings-section">
+                    <p class="settings-hint">The node is not part of the rendered graph.</p>
+                </section>
+            `}
+        `;
+
+        DOMUtils.getElementById('close-node-inspector').addEventListener('click', () => {
+            this.hide();
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+    }
+
+    /**
+     * Render the sections of a node
+     * @param {Object} details - Details from getDetails
+     * @returns {string} HTML string
+     */
+    renderDetails(details) {
+        const properties = [
+            ['Label', details.label],
+            ['Endpoint', details.endpoint],
+            ['Method', details.method],
+            ...details.attributes
+        ].filter(([, value]) => value);
+
+        const section = (title, content) => `
+            <section class="settings-section">
+                <h4>${title}</h4>
+                ${content}
+            </section>
+        `;
+
+        return `
+            ${properties.length > 0 ? section('Element', this.renderProperties(properties)) : ''}
+            ${details.arguments.length > 0 ? section('Arguments', this.renderProperties(details.arguments)) : ''}
+            ${details.code.length > 0 ? section('Code', details.code.map(({ name, code }) => `
+                <h5 class="node-code-name">${name}</h5>
+                <pre class="node-code"><code>${DOMUtils.escapeHtml(code)}</code></pre>
+            `).join('')) : ''}
+            ${details.annotations ? section('Annotations', `<pre class="xml-source">${details.annotations}</pre>`) : ''}
+            ${details.documentation ? section('Documentation', details.documentation) : ''}
+            ${section('XML', `<pre class="xml-source">${details.xml}</pre>`)}
+        `;
+    }
+
+    /**
+     * Render name/value pairs
+     * @param {Array} properties - [name, value] pairs, values of type { html } are not escaped
+     * @returns {string} HTML string
+     */
+    renderProperties(properties) {
+        return `
+            <dl class="node-properties">
+                ${properties.map(([name, value]) => `
+                    <dt>${DOMUtils.escapeHtml(name)}</dt>
+                    <dd>${typeof value === 'object' ? `<pre class="xml-source">${value.html}</pre>` : DOMUtils.escapeHtml(value)}</dd>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    /**
+     * Collect what the inspector shows of an element
+     * @param {Element} element - Description element
+     * @returns {Object} { type, label, endpoint, method, attributes, arguments, code, annotations, documentation, xml }
+     */
+    getDetails(element) {
+        const parameters = this.getChild(element, 'parameters');
+        const codeElement = this.getChild(element, 'code');
+        const annotations = this.getChild(element, 'annotations');
+        const documentation = this.getChild(element, 'documentation');
+
+        // A manipulate is a script itself, a call runs its code blocks around the endpoint
+        const code = element.localName === 'manipulate'
+            ? [{ name: 'script', code: element.textContent }]
+            : this.constructor.CODE_BLOCKS.map(name => ({ name, code: this.getChild(codeElement, name)?.textContent || '' }));
+
+        return {
+            type: element.localName,
+            label: this.getChild(parameters, 'label')?.textContent.trim() || null,
+            endpoint: element.getAttribute('endpoint'),
+            method: this.getChild(parameters, 'method')?.textContent.trim() || null,
+            attributes: Array.from(element.attributes)
+                .filter(attribute => attribute.name !== 'endpoint' && !this.constructor.RENDER_ATTRIBUTES.includes(attribute.name))
+                .map(attribute => [attribute.name, attribute.value]),
+            arguments: this.getChildren(this.getChild(parameters, 'arguments')).map(argument => [argument.localName, this.getValue(argument)]),
+            code: code
+                .filter(block => block.code.trim() !== '')
+                .map(block => ({ name: block.name, code: XMLUtils.dedent(block.code.trim()) })),
+            annotations: annotations && this.getChildren(annotations).length > 0
+                ? this.getChildren(this.clean(annotations)).map(child => XMLUtils.highlight(child)).join('\n')
+                : null,
+            documentation: this.renderDocumentation(documentation),
+            xml: XMLUtils.highlight(this.clean(element))
+        };
+    }
+
+    /**
+     * Render documentation, which holds text or markup such as XHTML
+     * @param {Element|null} documentation - documentation element
+     * @returns {string|null} HTML string, null without documentation
+     */
+    renderDocumentation(documentation) {
+        if (!documentation || (documentation.textContent.trim() === '' && this.getChildren(documentation).length === 0)) {
+            return null;
+        }
+
+        if (this.getChildren(documentation).length > 0) {
+            return `<pre class="xml-source">${this.getChildren(this.clean(documentation)).map(child => XMLUtils.highlight(child)).join('\n')}</pre>`;
+        }
+        return `<p class="node-documentation">${DOMUtils.escapeHtml(documentation.textContent.trim())}</p>`;
+    }
+
+    /**
+     * Get the value of an argument, text or highlighted XML if it has child elements
+     * @param {Element} argument - Argument element
+     * @returns {string|Object} Text, or { html } of its children
+     */
+    getValue(argument) {
+        const children = this.getChildren(argument);
+        if (children.length === 0) return argument.textContent.trim();
+
+        return { html: children.map(child => XMLUtils.highlight(this.clean(child))).join('\n') };
+    }
+
+    /**
+     * Copy an element without the attributes WfAdaptor added to it
+     * @param {Element} element - Description element
+     * @returns {Element} Clean copy
+     */
+    clean(element) {
+        const copy = element.cloneNode(true);
+        [copy, ...copy.querySelectorAll('*')].forEach(node => {
+            this.constructor.RENDER_ATTRIBUTES.forEach(name => node.removeAttribute(name));
+        });
+        return copy;
+    }
+
+    /**
+     * Get the child elements of an element
+     * @param {Element|null} element - Parent element
+     * @returns {Element[]} Child elements, empty without parent
+     */
+    getChildren(element) {
+        return element ? Array.from(element.childNodes).filter(child => child.nodeType === 1) : [];
+    }
+
+    /**
+     * Get the first child element with a name, ignoring namespaces
+     * @param {Element|null} element - Parent element
+     * @param {string} name - Local name of the child
+     * @returns {Element|null} Child element
+     */
+    getChild(element, name) {
+        return this.getChildren(element).find(child => child.localName === name) || null;
+    }
+}
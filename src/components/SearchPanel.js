@@ -0,0 +1,227 @@
+/**
+ * Search Panel Component
+ * Search bar in the header; lists the matching steps of all loaded instances
+ * grouped by instance, with the matched text highlighted
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { SearchService } from '../services/SearchService.js';
+import { ErrorAnalysisService } from '../services/ErrorAnalysisService.js';
+
+export class SearchPanel {
+    static DEBOUNCE_MS = 250;
+
+    constructor(instanceService) {
+        this.instanceService = instanceService;
+        this.onResultSelect = null;
+        this.query = '';
+        this.result = null;
+        this.searching = false;
+        this.searchCount = 0;
+        this.debounceTimer = null;
+
+        this.setupInput();
+    }
+
+    /**
+     * Set callback for when a result is clicked
+     * @param {Function} callback - Callback function receiving the instance UUID and step index
+     */
+    setOnResultSelect(callback) {
+        this.onResultSelect = callback;
+    }
+
+    /**
+     * Setup the search input in the header
+     */
+    setupInput() {
+        const input = DOMUtils.getElementById('search-input');
+        if (!input) return;
+
+        input.addEventListener('focus', () => this.show());
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.search(input.value), SearchPanel.DEBOUNCE_MS);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(this.debounceTimer);
+                this.search(input.value);
+            } else if (e.key === 'Escape') {
+                this.hide();
+                input.blur();
+            }
+        });
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('search-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Show the panel (closes other header panels)
+     */
+    show() {
+        if (this.isVisible()) return;
+
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('search-panel', 'hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMUtils.addClass('search-panel', 'hidden');
+    }
+
+    /**
+     * Run a query against all loaded instances
+     * @param {string} query - Search query
+     */
+    async search(query) {
+        const searchId = ++this.searchCount;
+        this.query = query.trim();
+        this.searching = true;
+        this.show();
+        this.render();
+
+        try {
+            const result = await SearchService.search(this.instanceService.getInstances(), this.query);
+
+            // A newer query was started in the meantime
+            if (searchId !== this.searchCount) return;
+
+            this.result = result;
+        } catch (error) {
+            console.error('Search failed:', error);
+            this.result = { errors: [error.message], groups: [], total: 0, truncated: false };
+        } finally {
+            if (searchId === this.searchCount) {
+                this.searching = false;
+                this.render();
+            }
+        }
+    }
+
+    /**
+     * Render the results, or the query syntax while there is no query
+     */
+    render() {
+        const panel = DOMUtils.getElementById('search-panel');
+        if (!panel) return;
+
+        const result = this.query ? this.result : null;
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Search</h3>
+                <button id="close-search" class="settings-close" title="Close">×</button>
+            </div>
+            <section class="settings-section">
+                ${!this.query ? this.renderHelp() : ''}
+                ${this.searching ? '<p class="settings-hint">Searching...</p>' : ''}
+                ${result ? result.errors.map(error => `<p class="settings-hint search-error">${DOMUtils.escapeHtml(error)}</p>`).join('') : ''}
+                ${result && !this.searching ? `
+                    <p class="settings-hint">
+                        ${result.total === 0 ? 'No matching steps.' : `${result.total}${result.truncated ? '+' : ''} steps in ${result.groups.length} instance(s)`}
+                    </p>
+                    ${result.groups.map(group => this.renderGroup(group)).join('')}
+                ` : ''}
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-search').addEventListener('click', () => this.hide());
+
+        panel.querySelectorAll('.search-step-link').forEach(link => {
+            link.addEventListener('click', () => {
+                if (this.onResultSelect) {
+                    this.onResultSelect(link.dataset.uuid, parseInt(link.dataset.stepIndex, 10));
+                }
+            });
+        });
+    }
+
+    /**
+     * Render the query syntax
+     * @returns {string} HTML string
+     */
+    renderHelp() {
+        return `
+            <p class="settings-description">
+                Free text searches all five sections of every step in all loaded instances ("quotes" for phrases).
+                Filters narrow it down:
+            </p>
+            <dl class="search-help">
+                ${Object.entries(SearchService.FILTERS).map(([key, description]) => `
+                    <dt>${key}:</dt>
+                    <dd>${DOMUtils.escapeHtml(description)}</dd>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    /**
+     * Render the matching steps of one instance
+     * @param {Object} group - { instance, steps }
+     * @returns {string} HTML string
+     */
+    renderGroup(group) {
+        return `
+            <h4 class="search-instance">${DOMUtils.escapeHtml(group.instance.getDisplayName())}</h4>
+            <ul class="search-results">
+                ${group.steps.map(({ stepIndex, step, hits }) => `
+                    <li class="search-result">
+                        <div class="errors-meta">
+                            <button class="error-step-link search-step-link" data-uuid="${DOMUtils.escapeHtml(group.instance.uuid)}"
+                                    data-step-index="${stepIndex}" title="Go to step">Step ${step.stepNumber}</button>
+                            <span>${DOMUtils.escapeHtml(step.getFormattedTimestamp())}</span>
+                        </div>
+                        ${hits.map(hit => `
+                            <div class="search-hit">
+                                <span class="error-section">${DOMUtils.escapeHtml(ErrorAnalysisService.getSectionName(hit.section))}</span>
+                                ${hit.count > hit.snippets.length ? `<span class="search-count">${hit.count} matches</span>` : ''}
+                                ${hit.snippets.map(snippet => `<div class="search-snippet">${this.renderSnippet(snippet)}</div>`).join('')}
+                            </div>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a snippet with its matches highlighted
+     * @param {Object} snippet - { text, prefix, suffix, highlights }
+     * @returns {string} HTML string
+     */
+    renderSnippet(snippet) {
+        // Matches of different terms may overlap
+        const ranges = [];
+        [...snippet.highlights].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = ranges[ranges.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                ranges.push([start, end]);
+            }
+        });
+
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            html += DOMUtils.escapeHtml(snippet.text.slice(position, start));
+            html += `<mark>${DOMUtils.escapeHtml(snippet.text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        html += DOMUtils.escapeHtml(snippet.text.slice(position));
+
+        return `${snippet.prefix ? '…' : ''}${html}${snippet.suffix ? '…' : ''}`;
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * Settings Panel Component
+ * Lets the user pick and configure the log source provider
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { FormatUtils } from '../utils/FormatUtils.js';
+import { LogSourceService } from '../services/LogSourceService.js';
+import { LogCacheService } from '../services/LogCacheService.js';
+import { LocalDirectoryProvider } from '../providers/LocalDirectoryProvider.js';
+import { PastedTextProvider } from '../providers/PastedTextProvider.js';
+
+export class SettingsPanel {
+    constructor() {
+        this.onLoadLog = null;
+
+        this.setupToggle();
+    }
+
+    /**
+     * Set callback for loading a log offered by a local provider
+     * @param {Function} callback - Callback function receiving the instance UUID
+     */
+    setOnLoadLog(callback) {
+        this.onLoadLog = callback;
+    }
+
+    /**
+     * Setup header button that opens the panel
+     */
+    setupToggle() {
+        const openButton = DOMUtils.getElementById('open-settings');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        const panel = DOMUtils.getElementById('settings-panel');
+        return Boolean(panel) && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the panel (closes other header panels)
+     */
+    show() {
+        DOMUtils.querySelectorAll('.header-panel').forEach(panel => panel.classList.add('hidden'));
+        this.render();
+        DOMUtils.removeClass('settings-panel', 'hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMUtils.addClass('settings-panel', 'hidden');
+    }
+
+    /**
+     * Render panel content for the active provider
+     */
+    render() {
+        const panel = DOMUtils.getElementById('settings-panel');
+        if (!panel) return;
+
+        const activeProvider = LogSourceService.getActiveProvider();
+        const options = LogSourceService.getProviders().map(provider => `
+            <option value="${provider.id}" ${provider.id === activeProvider.id ? 'selected' : ''}>
+                ${DOMUtils.escapeHtml(provider.name)}
+            </option>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="settings-header">
+                <h3>Settings</h3>
+                <button id="close-settings" class="settings-close" title="Close">×</button>
+            </div>
+            <section class="settings-section">
+                <h4>Log Source</h4>
+                <select id="log-source-select">${options}</select>
+                <p class="settings-description">${DOMUtils.escapeHtml(activeProvider.constructor.DESCRIPTION)}</p>
+                <div id="log-source-fields"></div>
+            </section>
+            <section class="settings-section">
+                <h4>Log Cache</h4>
+                <div id="log-cache-usage" class="settings-hint">Calculating cache usage...</div>
+            </section>
+        `;
+
+        DOMUtils.getElementById('close-settings').addEventListener('click', () => this.hide());
+        DOMUtils.getElementById('log-source-select').addEventListener('change', (e) => {
+            LogSourceService.setActiveProvider(e.target.value);
+            this.render();
+        });
+
+        this.renderProviderFields(activeProvider);
+        this.renderCacheUsage();
+    }
+
+    /**
+     * Render size and entries of the log cache
+     */
+    async renderCacheUsage() {
+        const container = DOMUtils.getElementById('log-cache-usage');
+        if (!container) return;
+
+        if (!LogCacheService.isAvailable()) {
+            container.textContent = 'Logs cannot be cached in this browser.';
+            return;
+        }
+
+        try {
+            const usage = await LogCacheService.getUsage();
+
+            container.innerHTML = `
+                <p>${usage.count} cached log${usage.count === 1 ? '' : 's'} · ${FormatUtils.formatBytes(usage.totalSize)}</p>
+                ${usage.count > 0 ? `
+                    <ul class="settings-log-list">
+                        ${usage.entries.map(entry => `
+                            <li>
+                                <span class="settings-log-name" title="${DOMUtils.escapeHtml(entry.uuid)}">${DOMUtils.escapeHtml(entry.uuid)}</span>
+                                <span class="settings-hint" title="Fetched ${DOMUtils.escapeHtml(new Date(entry.fetchedAt).toLocaleString())}">
+                                    ${FormatUtils.formatBytes(entry.size)} · ${entry.source === 'file' ? 'imported' : entry.finished ? 'finished' : 'running'}
+                                </span>
+                                <button type="button" data-remove-uuid="${DOMUtils.escapeHtml(entry.uuid)}">Remove</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <div class="settings-form">
+                        <button id="clear-log-cache" type="button">Clear Cache</button>
+                    </div>
+                ` : ''}
+            `;
+
+            container.querySelectorAll('[data-remove-uuid]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    await LogCacheService.delete(button.dataset.removeUuid);
+                    this.renderCacheUsage();
+                });
+            });
+
+            const clearButton = DOMUtils.getElementById('clear-log-cache');
+            if (clearButton) {
+                clearButton.addEventListener('click', async () => {
+                    if (!confirm('Remove all cached logs? Instances will be downloaded again when needed.')) return;
+                    await LogCacheService.clear();
+                    this.renderCacheUsage();
+                });
+            }
+        } catch (error) {
+            console.error('Failed to read log cache usage:', error);
+            container.textContent = `Could not read the log cache: ${error.message}`;
+        }
+    }
+
+    /**
+     * Render the provider specific settings
+     * @param {LogSourceProvider} provider - Active provider
+     */
+    renderProviderFields(provider) {
+        const container = DOMUtils.getElementById('log-source-fields');
+        if (!container) return;
+
+        if (provider instanceof LocalDirectoryProvider) {
+            this.renderLocalDirectoryFields(container, provider);
+        } else if (provider instanceof PastedTextProvider) {
+            this.renderPastedTextFields(container, provider);
+        } else {
+            this.renderSettingsFields(container, provider);
+        }
+    }
+
+    /**
+     * Render generic form fields from the provider's SETTINGS_FIELDS
+     * @param {HTMLElement} container - Target element
+     * @param {LogSourceProvider} provider - Provider to configure
+     */
+    renderSettingsFields(container, provider) {
+        const fields = provider.constructor.SETTINGS_FIELDS;
+        if (fields.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const settings = provider.getSettings();
+        container.innerHTML = `
+            <form id="log-source-form" class="settings-form">
+                ${fields.map(field => field.type === 'checkbox' ? `
+                    <label class="settings-checkbox">
+                        <input type="checkbox" name="${field.key}" ${settings[field.key] ? 'checked' : ''} />
+                        ${DOMUtils.escapeHtml(field.label)}
+                    </label>
+                ` : `
+                    <label>
+                        ${DOMUtils.escapeHtml(field.label)}
+                        <input type="${field.type}" name="${field.key}"
+                               value="${DOMUtils.escapeHtml(settings[field.key] || '')}"
+                               placeholder="${DOMUtils.escapeHtml(field.placeholder || '')}" />
+                    </label>
+                `).join('')}
+                <button type="submit">Save</button>
+                <span id="log-source-saved" class="settings-saved hidden">Saved</span>
+            </form>
+        `;
+
+        DOMUtils.getElementById('log-source-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const form = e.target;
+            const updated = {};
+            fields.forEach(field => {
+                const input = form.elements[field.key];
+                updated[field.key] = field.type === 'checkbox' ? input.checked : input.value.trim();
+            });
+
+            LogSourceService.updateProviderSettings(provider.id, updated);
+
+            DOMUtils.removeClass('log-source-saved', 'hidden');
+            setTimeout(() => DOMUtils.addClass('log-source-saved', 'hidden'), 2000);
+        });
+    }
+
+    /**
+     * Render folder picker and the logs found in it
+     * @param {HTMLElement} container - Target element
+     * @param {LocalDirectoryProvider} provider - Local directory provider
+     */
+    renderLocalDirectoryFields(container, provider) {
+        const directoryName = provider.getSettings().directoryName;
+
+        container.innerHTML = `
+            <div class="settings-form">
+                <button id="choose-log-directory" type="button">Choose Folder</button>
+                <input type="file" id="log-directory-input" webkitdirectory multiple hidden />
+                <span class="settings-hint">${directoryName ? DOMUtils.escapeHtml(directoryName) : 'No folder selected'}</span>
+            </div>
+            ${this.renderLogList(provider)}
+        `;
+
+        const directoryInput = DOMUtils.getElementById('log-directory-input');
+        DOMUtils.getElementById('choose-log-directory').addEventListener('click', () => directoryInput.click());
+        directoryInput.addEventListener('change', () => {
+            const count = provider.setFiles(directoryInput.files);
+            console.log(`Found ${count} logs in selected directory`);
+            LogSourceService.updateProviderSettings(provider.id, {});
+            this.renderProviderFields(provider);
+        });
+
+        this.bindLogListButtons(container);
+    }
+
+    /**
+     * Render textarea for pasted logs and the logs pasted so far
+     * @param {HTMLElement} container - Target element
+     * @param {PastedTextProvider} provider - Pasted text provider
+     */
+    renderPastedTextFields(container, provider) {
+        container.innerHTML = `
+            <div class="settings-form">
+                <textarea id="pasted-log-input" placeholder="Paste YAML log content here..."></textarea>
+                <button id="add-pasted-log" type="button">Load Pasted Log</button>
+            </div>
+            ${this.renderLogList(provider)}
+        `;
+
+        DOMUtils.getElementById('add-pasted-log').addEventListener('click', () => {
+            const textarea = DOMUtils.getElementById('pasted-log-input');
+            try {
+                const uuid = provider.addLog(textarea.value);
+                if (this.onLoadLog) {
+                    this.onLoadLog(uuid);
+                }
+                this.renderProviderFields(provider);
+            } catch (error) {
+                alert(`Failed to read pasted log: ${error.message}`);
+            }
+        });
+
+        this.bindLogListButtons(container);
+    }
+
+    /**
+     * Render the logs a local provider offers
+     * @param {LogSourceProvider} provider - Local provider
+     * @returns {string} HTML list
+     */
+    renderLogList(provider) {
+        const logs = provider.listLogs();
+        if (logs.length === 0) {
+            return '';
+        }
+
+        return `
+            <ul class="settings-log-list">
+                ${logs.map(log => `
+                    <li>
+                        <span class="settings-log-name" title="${DOMUtils.escapeHtml(log.name)}">${DOMUtils.escapeHtml(log.name)}</span>
+                        <span class="settings-hint">${FormatUtils.formatBytes(log.size)}</span>
+                        <button type="button" data-load-uuid="${DOMUtils.escapeHtml(log.uuid)}">Load</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Bind "Load" buttons of a rendered log list
+     * @param {HTMLElement} container - Element containing the list
+     */
+    bindLogListButtons(container) {
+        container.querySelectorAll('[data-load-uuid]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onLoadLog) {
+                    this.onLoadLog(button.dataset.loadUuid);
+                }
+            });
+        });
+    }
+}
@@ -4,11 +4,24 @@
  */
 
 import { DOMUtils } from '../utils/DOMUtils.js';
+import { FormatUtils } from '../utils/FormatUtils.js';
+import { ErrorAnalysisService } from '../services/ErrorAnalysisService.js';
 
 export class Sidebar {
     constructor(instanceService) {
         this.instanceService = instanceService;
         this.onInstanceSelect = null;
+        this.onLogFilesImport = null;
+        this.onFollowToggle = null;
+        this.onInstanceForget = null;
+        this.onClearWorkspace = null;
+        this.onStepSelect = null;
+
+        // UUIDs of instances whose errors are being analyzed for the step outline
+        this.analyzingOutlines = new Set();
+
+        this.setupLogImport();
+        this.setupClearWorkspace();
     }
 
     /**
@@ -19,6 +32,115 @@ export class Sidebar {
         this.onInstanceSelect = callback;
     }
 
+    /**
+     * Set callback for when local log files are imported
+     * @param {Function} callback - Callback function receiving an array of File objects
+     */
+    setOnLogFilesImport(callback) {
+        this.onLogFilesImport = callback;
+    }
+
+    /**
+     * Set callback for when follow mode of an instance is toggled
+     * @param {Function} callback - Callback function receiving the instance UUID
+     */
+    setOnFollowToggle(callback) {
+        this.onFollowToggle = callback;
+    }
+
+    /**
+     * Set callback for when an instance should be forgotten
+     * @param {Function} callback - Callback function receiving the instance UUID
+     */
+    setOnInstanceForget(callback) {
+        this.onInstanceForget = callback;
+    }
+
+    /**
+     * Set callback for when the whole workspace should be cleared
+     * @param {Function} callback - Callback function
+     */
+    setOnClearWorkspace(callback) {
+        this.onClearWorkspace = callback;
+    }
+
+    /**
+     * Set callback for when a step in a step outline is clicked
+     * @param {Function} callback - Callback function receiving the instance UUID and step index
+     */
+    setOnStepSelect(callback) {
+        this.onStepSelect = callback;
+    }
+
+    /**
+     * Setup the clear workspace button
+     */
+    setupClearWorkspace() {
+        const clearButton = DOMUtils.getElementById('clear-workspace');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (this.onClearWorkspace) {
+                    this.onClearWorkspace();
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup file picker and drag-and-drop import of local log files
+     */
+    setupLogImport() {
+        const sidebar = DOMUtils.querySelector('.sidebar');
+        const importButton = DOMUtils.getElementById('import-log-file');
+        const fileInput = DOMUtils.getElementById('log-file-input');
+
+        // File picker
+        if (importButton && fileInput) {
+            importButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                this.handleImportedFiles(fileInput.files);
+                // Reset so the same file can be imported again
+                fileInput.value = '';
+            });
+        }
+
+        // Drag-and-drop onto the whole sidebar
+        if (sidebar) {
+            sidebar.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                sidebar.classList.add('drag-over');
+            });
+
+            sidebar.addEventListener('dragleave', (e) => {
+                // Ignore leave events fired when moving between child elements
+                if (!sidebar.contains(e.relatedTarget)) {
+                    sidebar.classList.remove('drag-over');
+                }
+            });
+
+            sidebar.addEventListener('drop', (e) => {
+                e.preventDefault();
+                sidebar.classList.remove('drag-over');
+                if (e.dataTransfer) {
+                    this.handleImportedFiles(e.dataTransfer.files);
+                }
+            });
+        }
+    }
+
+    /**
+     * Pass imported files to the registered callback
+     * @param {FileList} fileList - Files from the picker or drop event
+     */
+    handleImportedFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0 || !this.onLogFilesImport) return;
+
+        this.onLogFilesImport(files);
+    }
+
     /**
      * Add instance tab to sidebar
      * @param {string} uuid - Instance UUID
@@ -44,10 +166,69 @@ export class Sidebar {
         const tabElement = document.createElement('div');
         tabElement.className = 'instance-tab';
         tabElement.dataset.uuid = uuid;
-        tabElement.textContent = displayText;
+
+        const labelElement = document.createElement('span');
+        labelElement.className = 'tab-label';
+        labelElement.textContent = displayText;
+        tabElement.appendChild(labelElement);
+
+        const forgetButton = document.createElement('button');
+        forgetButton.className = 'tab-forget';
+        forgetButton.title = 'Forget instance';
+        forgetButton.textContent = '×';
+        forgetButton.addEventListener('click', (e) => {
+            // Don't select the tab that is being removed
+            e.stopPropagation();
+            if (this.onInstanceForget) {
+                this.onInstanceForget(uuid);
+            }
+        });
+        tabElement.appendChild(forgetButton);
+
+        const badgeElement = document.createElement('span');
+        badgeElement.className = 'tab-badge hidden';
+        badgeElement.title = 'New steps since last viewed';
+        tabElement.appendChild(badgeElement);
+
+        const followButton = document.createElement('button');
+        followButton.className = 'tab-follow';
+        followButton.title = 'Follow live updates';
+        followButton.textContent = 'Follow';
+        followButton.addEventListener('click', (e) => {
+            // Don't select the tab when toggling follow mode
+            e.stopPropagation();
+            if (this.onFollowToggle) {
+                this.onFollowToggle(uuid);
+            }
+        });
+        tabElement.appendChild(followButton);
+
+        const outlineButton = document.createElement('button');
+        outlineButton.className = 'tab-outline-toggle';
+        outlineButton.title = 'Show the steps of this instance';
+        outlineButton.textContent = '▸ Steps';
+        outlineButton.addEventListener('click', (e) => {
+            // Expanding the outline doesn't select the instance
+            e.stopPropagation();
+            this.toggleStepOutline(uuid);
+        });
+        tabElement.appendChild(outlineButton);
+
+        const outlineElement = document.createElement('ol');
+        outlineElement.className = 'tab-outline hidden';
+        outlineElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const row = e.target.closest('.outline-step');
+            if (row && this.onStepSelect) {
+                this.clearTabBadge(uuid);
+                this.onStepSelect(uuid, parseInt(row.dataset.stepIndex, 10));
+            }
+        });
+        tabElement.appendChild(outlineElement);
         
         // Add click handler
         tabElement.addEventListener('click', () => {
+            this.clearTabBadge(uuid);
             this.setActiveTab(uuid);
             if (this.onInstanceSelect) {
                 this.onInstanceSelect(uuid);
@@ -115,6 +296,17 @@ export class Sidebar {
         return activeTab ? activeTab.dataset.uuid : null;
     }
 
+    /**
+     * Get the UUIDs of all tabs in display order
+     * @returns {string[]} Instance UUIDs
+     */
+    getTabOrder() {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return [];
+
+        return Array.from(instanceTabs.querySelectorAll('.instance-tab')).map(tab => tab.dataset.uuid);
+    }
+
     /**
      * Clear all tabs
      */
@@ -141,9 +333,212 @@ export class Sidebar {
         const instanceTabs = DOMUtils.getElementById('instance-tabs');
         if (!instanceTabs) return;
 
+        const label = instanceTabs.querySelector(`[data-uuid="${uuid}"] .tab-label`);
+        if (label) {
+            label.textContent = displayName;
+        }
+    }
+
+    /**
+     * Show loading progress on an instance tab
+     * @param {string} uuid - Instance UUID
+     * @param {Object} progress - Progress info (bytesRead, totalBytes, eventsParsed)
+     */
+    setTabProgress(uuid, progress) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
         const tab = instanceTabs.querySelector(`[data-uuid="${uuid}"]`);
-        if (tab) {
-            tab.textContent = displayName;
+        if (!tab) return;
+
+        let progressElement = tab.querySelector('.tab-progress');
+        if (!progressElement) {
+            progressElement = document.createElement('div');
+            progressElement.className = 'tab-progress';
+            progressElement.innerHTML = `
+                <div class="tab-progress-bar"><div class="tab-progress-fill"></div></div>
+                <div class="tab-progress-text"></div>
+            `;
+            tab.appendChild(progressElement);
+        }
+
+        const { bytesRead, totalBytes, eventsParsed } = progress;
+        const size = totalBytes
+            ? `${FormatUtils.formatBytes(bytesRead)} / ${FormatUtils.formatBytes(totalBytes)}`
+            : FormatUtils.formatBytes(bytesRead);
+
+        const fill = progressElement.querySelector('.tab-progress-fill');
+        // Without a known size the bar stays in its indeterminate state
+        progressElement.classList.toggle('indeterminate', !totalBytes);
+        fill.style.width = totalBytes ? `${Math.min(100, (bytesRead / totalBytes) * 100)}%` : '';
+
+        const instance = this.instanceService.getInstance(uuid);
+        const stepCount = instance ? instance.getStepCount() : 0;
+        progressElement.querySelector('.tab-progress-text').textContent =
+            `Loading ${size} · ${eventsParsed} events · ${stepCount} steps`;
+    }
+
+    /**
+     * Remove loading progress from an instance tab
+     * @param {string} uuid - Instance UUID
+     */
+    clearTabProgress(uuid) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const progressElement = instanceTabs.querySelector(`[data-uuid="${uuid}"] .tab-progress`);
+        if (progressElement) {
+            progressElement.remove();
+        }
+    }
+
+    /**
+     * Show the follow state of an instance tab
+     * @param {string} uuid - Instance UUID
+     * @param {string|null} mode - 'subscription', 'polling' or null when not following
+     */
+    setTabFollowing(uuid, mode) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const tab = instanceTabs.querySelector(`[data-uuid="${uuid}"]`);
+        if (!tab) return;
+
+        tab.classList.toggle('following', Boolean(mode));
+
+        const followButton = tab.querySelector('.tab-follow');
+        if (followButton) {
+            followButton.textContent = mode ? 'Live' : 'Follow';
+            followButton.title = {
+                subscription: 'Following engine notifications (click to stop)',
+                polling: 'Polling the log for changes (click to stop)'
+            }[mode] || 'Follow live updates';
+        }
+    }
+
+    /**
+     * Expand or collapse the step outline of an instance tab
+     * @param {string} uuid - Instance UUID
+     */
+    toggleStepOutline(uuid) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const tab = instanceTabs.querySelector(`[data-uuid="${uuid}"]`);
+        if (!tab) return;
+
+        const expanded = tab.classList.toggle('outline-expanded');
+        tab.querySelector('.tab-outline').classList.toggle('hidden', !expanded);
+        tab.querySelector('.tab-outline-toggle').textContent = expanded ? '▾ Steps' : '▸ Steps';
+
+        if (expanded) {
+            this.renderStepOutline(uuid);
+        }
+    }
+
+    /**
+     * Render the step outline of an instance tab if it is expanded
+     * Called whenever the steps, the current step or the errors of the instance change
+     * @param {string} uuid - Instance UUID
+     */
+    async renderStepOutline(uuid) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const tab = instanceTabs.querySelector(`[data-uuid="${uuid}"]`);
+        const instance = this.instanceService.getInstance(uuid);
+        if (!tab || !instance || !tab.classList.contains('outline-expanded')) return;
+
+        const outline = tab.querySelector('.tab-outline');
+        const steps = instance.getAllSteps();
+        const analysisErrors = instance.getAnalysisErrors();
+        const currentIndex = this.instanceService.currentUUID === uuid ? this.instanceService.currentStepIndex : -1;
+        const sectionTotal = Object.keys(ErrorAnalysisService.SECTIONS).length;
+
+        outline.innerHTML = steps.length === 0 ? '<li class="outline-empty">No steps yet</li>' : steps.map((step, index) => {
+            // Until the analysis is done only engine errors are known
+            const errorCount = analysisErrors
+                ? analysisErrors.filter(error => error.stepIndex === index).length
+                : step.getErrorEvents().length;
+            const userInput = step.getUserInputText().replace(/\s+/g, ' ');
+            const time = Number.isNaN(Date.parse(step.timestamp))
+                ? step.getFormattedTimestamp()
+                : new Date(step.timestamp).toLocaleTimeString();
+
+            return `
+                <li class="outline-step${index === currentIndex ? ' current' : ''}${errorCount > 0 ? ' has-errors' : ''}" data-step-index="${index}">
+                    <div class="outline-meta">
+                        <span class="outline-number">${step.stepNumber}</span>
+                        <span class="outline-time" title="${DOMUtils.escapeHtml(step.getFormattedTimestamp())}">${DOMUtils.escapeHtml(time)}</span>
+                        <span class="outline-sections" title="Sections with content">${step.getContentSectionCount()}/${sectionTotal}</span>
+                        ${errorCount > 0 ? `<span class="outline-errors" title="Errors in this step">${errorCount}</span>` : ''}
+                    </div>
+                    <div class="outline-input" title="${DOMUtils.escapeHtml(userInput)}">
+                        ${userInput ? DOMUtils.escapeHtml(FormatUtils.truncate(userInput, 80)) : '<em>No user input</em>'}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const current = outline.querySelector('.outline-step.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+
+        // Analyze once loaded so the badges include invalid trees, diagrams and missing sections
+        const loading = Boolean(tab.querySelector('.tab-progress'));
+        if (!analysisErrors && !loading && steps.length > 0 && !this.analyzingOutlines.has(uuid)) {
+            this.analyzingOutlines.add(uuid);
+            try {
+                await ErrorAnalysisService.analyzeInstance(instance);
+            } catch (error) {
+                console.error('Error analysis for the step outline failed:', error);
+            } finally {
+                this.analyzingOutlines.delete(uuid);
+            }
+
+            if (instance.getAnalysisErrors()) {
+                this.renderStepOutline(uuid);
+            }
+        }
+    }
+
+    /**
+     * Render all expanded step outlines (e.g. after the current step changed)
+     */
+    renderStepOutlines() {
+        this.getTabOrder().forEach(uuid => this.renderStepOutline(uuid));
+    }
+
+    /**
+     * Add new steps to the badge of an instance tab
+     * @param {string} uuid - Instance UUID
+     * @param {number} count - Number of new steps
+     */
+    addTabBadge(uuid, count) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const badge = instanceTabs.querySelector(`[data-uuid="${uuid}"] .tab-badge`);
+        if (!badge) return;
+
+        const total = (parseInt(badge.textContent, 10) || 0) + count;
+        badge.textContent = `+${total}`;
+        badge.classList.remove('hidden');
+    }
+
+    /**
+     * Reset the new steps badge of an instance tab
+     * @param {string} uuid - Instance UUID
+     */
+    clearTabBadge(uuid) {
+        const instanceTabs = DOMUtils.getElementById('instance-tabs');
+        if (!instanceTabs) return;
+
+        const badge = instanceTabs.querySelector(`[data-uuid="${uuid}"] .tab-badge`);
+        if (badge) {
+            badge.textContent = '';
+            badge.classList.add('hidden');
         }
     }
 }
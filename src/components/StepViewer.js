@@ -5,17 +5,56 @@
 
 import { DOMUtils } from '../utils/DOMUtils.js';
 import { CPEEWfAdaptorRenderer } from './CPEEWfAdaptorRenderer.js';
+import { NodeInspector } from './NodeInspector.js';
 import { MermaidRenderer } from './MermaidRenderer.js';
+import { TreeDiffService } from '../services/TreeDiffService.js';
+import { MermaidDiffService } from '../services/MermaidDiffService.js';
+import { ConsistencyCheckService } from '../services/ConsistencyCheckService.js';
+import { SchemaValidationService } from '../services/SchemaValidationService.js';
 
 export class StepViewer {
+    // Sections that can be linked to, by the ID of their content element
+    static SECTIONS = {
+        inputCpeeTree: 'input-cpee-content',
+        inputIntermediate: 'input-intermediate-content',
+        userInput: 'user-input-content',
+        outputIntermediate: 'output-intermediate-content',
+        mermaidDiff: 'mermaid-diff-content',
+        outputCpeeTree: 'output-cpee-content',
+        schema: 'schema-content',
+        treeDiff: 'tree-diff-content',
+        consistency: 'consistency-content',
+        events: 'step-events-content',
+        notes: 'step-notes-content'
+    };
+
     constructor(instanceService) {
         this.instanceService = instanceService;
         this.onStepChange = null;
+        this.onSectionSelect = null;
+        this.onNodeSelect = null;
+        this.onAnnotationChange = null;
         this.inputGraphRenderer = null;
         this.outputGraphRenderer = null;
         this.inputMermaidRenderer = null;
         this.outputMermaidRenderer = null;
         this.currentGraphContainer = null;
+        this.displayedStep = null;
+        this.showMermaidOverlay = true;
+        this.selectedSection = null;
+        this.selectedNode = null;
+
+        // Closing the inspector deselects its node
+        this.nodeInspector = new NodeInspector();
+        this.nodeInspector.setOnClose(() => {
+            this.setSelectedNode(null);
+            if (this.onNodeSelect) {
+                this.onNodeSelect(null);
+            }
+        });
+
+        this.setupSectionLinks();
+        this.setupNotes();
     }
 
     /**
@@ -26,6 +65,171 @@ export class StepViewer {
         this.onStepChange = callback;
     }
 
+    /**
+     * Set callback for when a section heading is clicked
+     * @param {Function} callback - Callback function receiving the section key
+     */
+    setOnSectionSelect(callback) {
+        this.onSectionSelect = callback;
+    }
+
+    /**
+     * Set callback for when a node in one of the CPEE graphs is selected or deselected
+     * @param {Function} callback - Callback function receiving { graph, id } or null
+     */
+    setOnNodeSelect(callback) {
+        this.onNodeSelect = callback;
+    }
+
+    /**
+     * Set callback for when the note of the displayed step was edited
+     * @param {Function} callback - Callback function receiving the instance UUID
+     */
+    setOnAnnotationChange(callback) {
+        this.onAnnotationChange = callback;
+    }
+
+    /**
+     * Store edits of the Notes section on the current instance
+     */
+    setupNotes() {
+        const notes = DOMUtils.getElementById('step-notes-content');
+        if (!notes) return;
+
+        notes.addEventListener('change', () => {
+            const instance = this.instanceService.getCurrentInstance();
+            if (!instance || !this.displayedStep) return;
+
+            instance.setAnnotation(this.displayedStep.changeUuid, notes.value);
+            if (this.onAnnotationChange) {
+                this.onAnnotationChange(instance.uuid);
+            }
+        });
+    }
+
+    /**
+     * Make the section headings links to their section
+     */
+    setupSectionLinks() {
+        Object.keys(StepViewer.SECTIONS).forEach(key => {
+            const heading = this.getSectionContainer(key)?.querySelector('h3');
+            if (!heading) return;
+
+            heading.classList.add('section-link');
+            heading.title = 'Link to this section';
+            heading.addEventListener('click', () => {
+                this.selectSection(key);
+                if (this.onSectionSelect) {
+                    this.onSectionSelect(key);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the element around the heading and content of a section
+     * @param {string} key - Key of SECTIONS
+     * @returns {HTMLElement|null} Section element
+     */
+    getSectionContainer(key) {
+        const content = StepViewer.SECTIONS[key] ? DOMUtils.getElementById(StepViewer.SECTIONS[key]) : null;
+        return content ? content.closest('.cpee-section, .mermaid-section') : null;
+    }
+
+    /**
+     * Mark a section as the linked one
+     * @param {string|null} key - Key of SECTIONS, or null for none
+     */
+    selectSection(key) {
+        this.selectedSection = key in StepViewer.SECTIONS ? key : null;
+
+        Object.keys(StepViewer.SECTIONS).forEach(sectionKey => {
+            this.getSectionContainer(sectionKey)?.classList.toggle('section-selected', sectionKey === this.selectedSection);
+        });
+    }
+
+    /**
+     * Mark a section and scroll it into view
+     * @param {string|null} key - Key of SECTIONS
+     */
+    scrollToSection(key) {
+        this.selectSection(key);
+
+        const container = this.getSectionContainer(this.selectedSection);
+        if (container) {
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Select a node in the input or output CPEE graph (also before the graphs are rendered)
+     * @param {Object|null} node - { graph: 'input' or 'output', id: element-id } or null
+     */
+    setSelectedNode(node) {
+        this.selectedNode = node;
+
+        if (this.inputGraphRenderer) {
+            this.inputGraphRenderer.selectNode(node?.graph === 'input' ? node.id : null);
+        }
+        if (this.outputGraphRenderer) {
+            this.outputGraphRenderer.selectNode(node?.graph === 'output' ? node.id : null);
+        }
+
+        this.updateNodeInspector();
+    }
+
+    /**
+     * Show the selected node in the inspector, once its graph is drawn
+     */
+    async updateNodeInspector() {
+        const node = this.selectedNode;
+        if (!node) {
+            this.nodeInspector.hide();
+            return;
+        }
+
+        const renderer = node.graph === 'input' ? this.inputGraphRenderer : this.outputGraphRenderer;
+        if (renderer) {
+            await renderer.waitForRender();
+        }
+
+        // Selected another node or step meanwhile
+        if (this.selectedNode !== node) return;
+
+        this.nodeInspector.show(renderer ? renderer.getNodeElement(node.id) : null, node);
+    }
+
+    /**
+     * Get the file name of exported graph images
+     * @param {string} section - Section part of the name, e.g. input-cpee-tree
+     * @returns {string} Instance, step and section
+     */
+    getExportName(section) {
+        const instance = this.instanceService.getCurrentInstance();
+        const step = this.displayedStep;
+
+        return [instance?.getDisplayName(), step ? `step-${step.stepNumber}` : null, section]
+            .filter(Boolean)
+            .join('-');
+    }
+
+    /**
+     * Create the renderer of the input or output CPEE graph
+     * @param {string} graph - input or output
+     * @returns {CPEEWfAdaptorRenderer} Renderer
+     */
+    createGraphRenderer(graph) {
+        const renderer = new CPEEWfAdaptorRenderer();
+        renderer.setOnNodeSelect((elementId) => {
+            // Only one node is selected across both graphs
+            this.setSelectedNode(elementId ? { graph, id: elementId } : null);
+            if (this.onNodeSelect) {
+                this.onNodeSelect(this.selectedNode);
+            }
+        });
+        return renderer;
+    }
+
     /**
      * Display step content
      * @param {CPEEStep} step - Step data
@@ -36,6 +240,13 @@ export class StepViewer {
 
         console.log(`Displaying ${step.getDisplayName()}`);
 
+        // A selected node belongs to its step (steps are replaced while a log streams in)
+        const shownStep = this.displayedStep;
+        if (!shownStep || shownStep.stepNumber !== step.stepNumber || shownStep.changeUuid !== step.changeUuid) {
+            this.setSelectedNode(null);
+        }
+        this.displayedStep = step;
+
         // Show process analysis section
         DOMUtils.addClass('step-details', 'hidden');
         DOMUtils.removeClass('process-analysis', 'hidden');
@@ -46,18 +257,41 @@ export class StepViewer {
             stepHeader.textContent = `${step.getDisplayName()} of ${navInfo.totalSteps}`;
         }
 
+        // What the step changed in the process tree, listed below and marked in both graphs
+        const treeDiff = this.diffTrees(step);
+        const marks = treeDiff.result ? treeDiff.result.marks : { input: [], output: [] };
+
+        // Grammar violations of both trees, listed below and marked in the graphs as well
+        const schema = this.validateTrees(step);
+
+        // What the LLM changed in the intermediate flowchart, marked in the output diagram
+        const mermaidDiff = this.diffIntermediates(step);
+
         // Update content sections using CPEEStep methods
         // For input CPEE tree, render as graph instead of raw XML
-        await this.updateInputCpeeSection(step.getContent('inputCpeeTree'));
+        await this.updateInputCpeeSection(step.getContent('inputCpeeTree'), [...this.getSchemaMarks(schema.inputCpeeTree), ...marks.input]);
         await this.updateInputIntermediateSection(step.getContent('inputIntermediate'));
         this.updateUserInputSection(step.getContent('userInput'));
-        await this.updateOutputIntermediateSection(step.getContent('outputIntermediate'));
+        await this.updateOutputIntermediateSection(step.getContent('outputIntermediate'), mermaidDiff.result ? mermaidDiff.result.marks : []);
+        this.updateMermaidDiffSection(mermaidDiff);
         
         // Small delay to prevent renderer conflicts, then render output graph
         setTimeout(async () => {
-            await this.updateOutputCpeeSection(step.getContent('outputCpeeTree'));
+            await this.updateOutputCpeeSection(step.getContent('outputCpeeTree'), [...this.getSchemaMarks(schema.outputCpeeTree), ...marks.output]);
         }, 100);
 
+        this.updateSchemaSection(schema);
+
+        this.updateTreeDiffSection(treeDiff);
+
+        // Whether the output intermediate and the output tree describe the same process
+        this.updateConsistencySection(this.checkConsistency(step));
+
+        // Activity calls, data changes and errors logged around this step
+        this.updateEventsSection(step.getEvents());
+
+        this.updateNotesSection(step);
+
         // Setup/update navigation
         this.setupStepNavigation();
         this.updateStepNavigation(navInfo);
@@ -67,6 +301,7 @@ export class StepViewer {
      * Show default state (no instance selected)
      */
     showDefaultState() {
+        this.displayedStep = null;
         DOMUtils.removeClass('step-details', 'hidden');
         DOMUtils.addClass('process-analysis', 'hidden');
         
@@ -191,8 +426,9 @@ export class StepViewer {
     /**
      * Update the Input CPEE Tree section with a rendered graph
      * @param {string} cpeeXml - CPEE XML content to render as graph
+     * @param {Array} changeMarks - Invalid, removed, moved and modified elements to highlight
      */
-    async updateInputCpeeSection(cpeeXml) {
+    async updateInputCpeeSection(cpeeXml, changeMarks = []) {
         const inputCpeeElement = DOMUtils.getElementById('input-cpee-content');
         if (!inputCpeeElement) return;
 
@@ -252,13 +488,16 @@ export class StepViewer {
             
             // Initialize or reuse input graph renderer
             if (!this.inputGraphRenderer) {
-                this.inputGraphRenderer = new CPEEWfAdaptorRenderer();
+                this.inputGraphRenderer = this.createGraphRenderer('input');
             }
             
             // Initialize the renderer with the container and required elements
             await this.inputGraphRenderer.initialize(`${uniqueId}-graph-container`, null, `${uniqueId}-input`);
             
             // Render the graph
+            this.inputGraphRenderer.setChangeMarks(changeMarks);
+            this.inputGraphRenderer.setExportName(this.getExportName('input-cpee-tree'));
+            this.inputGraphRenderer.selectNode(this.selectedNode?.graph === 'input' ? this.selectedNode.id : null);
             await this.inputGraphRenderer.renderGraph(cpeeXml);
             
             console.log('✅ CPEE graph rendered in step viewer');
@@ -288,8 +527,9 @@ export class StepViewer {
     /**
      * Update the Output CPEE Tree section with a rendered graph
      * @param {string} cpeeXml - CPEE XML content to render as graph
+     * @param {Array} changeMarks - Invalid, added, moved and modified elements to highlight
      */
-    async updateOutputCpeeSection(cpeeXml) {
+    async updateOutputCpeeSection(cpeeXml, changeMarks = []) {
         const outputCpeeElement = DOMUtils.getElementById('output-cpee-content');
         if (!outputCpeeElement) return;
 
@@ -349,13 +589,16 @@ export class StepViewer {
             
             // Initialize or reuse output graph renderer
             if (!this.outputGraphRenderer) {
-                this.outputGraphRenderer = new CPEEWfAdaptorRenderer();
+                this.outputGraphRenderer = this.createGraphRenderer('output');
             }
             
             // Initialize the renderer with the container and required elements
             await this.outputGraphRenderer.initialize(`${uniqueId}-graph-container`, null, `${uniqueId}-input`);
             
             // Render the graph
+            this.outputGraphRenderer.setChangeMarks(changeMarks);
+            this.outputGraphRenderer.setExportName(this.getExportName('output-cpee-tree'));
+            this.outputGraphRenderer.selectNode(this.selectedNode?.graph === 'output' ? this.selectedNode.id : null);
             await this.outputGraphRenderer.renderGraph(cpeeXml);
             
             console.log('✅ Output CPEE graph rendered in step viewer');
@@ -441,6 +684,7 @@ export class StepViewer {
                 
                 // Extract Mermaid code and render
                 const mermaidCode = this.extractMermaidCode(content);
+                this.inputMermaidRenderer.setExportName(this.getExportName('input-intermediate'));
                 await this.inputMermaidRenderer.renderGraph(mermaidCode);
                 
                 console.log('✅ Input intermediate Mermaid graph rendered');
@@ -464,8 +708,9 @@ export class StepViewer {
     /**
      * Update the Output Intermediate section with Mermaid graph or raw content
      * @param {string} content - Content from the log (may contain Mermaid syntax)
+     * @param {Array} changeMarks - Added and relabeled nodes and edges to highlight
      */
-    async updateOutputIntermediateSection(content) {
+    async updateOutputIntermediateSection(content, changeMarks = []) {
         const outputIntermediateElement = DOMUtils.getElementById('output-intermediate-content');
         if (!outputIntermediateElement) return;
 
@@ -520,6 +765,8 @@ export class StepViewer {
                 
                 // Extract Mermaid code and render
                 const mermaidCode = this.extractMermaidCode(content);
+                this.outputMermaidRenderer.setChangeMarks(changeMarks);
+                this.outputMermaidRenderer.setExportName(this.getExportName('output-intermediate'));
                 await this.outputMermaidRenderer.renderGraph(mermaidCode);
                 
                 console.log('✅ Output intermediate Mermaid graph rendered');
@@ -667,6 +914,430 @@ export class StepViewer {
         return cleanedContent.length === 0;
     }
 
+    /**
+     * Validate the input and output tree of a step against the CPEE description grammar
+     * @param {CPEEStep} step - Step to validate
+     * @returns {Object} Per section ({ inputCpeeTree, outputCpeeTree }) { result } on success, { error } otherwise
+     */
+    validateTrees(step) {
+        const validate = (section) => {
+            if (!step.hasContent(section)) {
+                return { error: 'Not available for this step' };
+            }
+
+            try {
+                return { result: SchemaValidationService.validate(step.getContent(section)) };
+            } catch (error) {
+                return { error: error.message };
+            }
+        };
+
+        return {
+            inputCpeeTree: validate('inputCpeeTree'),
+            outputCpeeTree: validate('outputCpeeTree')
+        };
+    }
+
+    /**
+     * Get the graph marks of the violations of a tree
+     * @param {Object} validation - Validation of one tree from validateTrees
+     * @returns {Array} Marks ({ path, type: 'invalid' })
+     */
+    getSchemaMarks(validation) {
+        if (!validation.result) return [];
+
+        return validation.result.violations
+            .filter(violation => violation.path)
+            .map(violation => ({ path: violation.path, type: 'invalid' }));
+    }
+
+    /**
+     * Update the Schema Validation section with the violations of both trees
+     * @param {Object} schema - Validations from validateTrees
+     */
+    updateSchemaSection(schema) {
+        const container = DOMUtils.getElementById('schema-content');
+        if (!container) return;
+
+        const sections = { inputCpeeTree: 'Input CPEE-Tree', outputCpeeTree: 'Output CPEE-Tree' };
+
+        container.innerHTML = Object.entries(sections).map(([section, name]) => {
+            const validation = schema[section];
+            const violations = validation.result ? validation.result.violations : [];
+            const status = validation.error
+                ? DOMUtils.escapeHtml(validation.error)
+                : violations.length === 0 ? '✓ Valid' : `✗ ${violations.length} violation${violations.length === 1 ? '' : 's'}`;
+
+            return `
+                <div class="schema-tree">
+                    <h4>${name} <span class="schema-status ${violations.length > 0 ? 'schema-invalid' : ''}">${status}</span></h4>
+                    ${violations.length > 0 ? `
+                        <ul class="schema-list">
+                            ${violations.map(violation => `
+                                <li class="schema-item">
+                                    <span class="schema-location">${violation.line ? `${violation.line}:${violation.column}` : '–'}</span>
+                                    <code class="schema-xpath">${DOMUtils.escapeHtml(violation.xpath)}</code>
+                                    <span class="schema-message">${DOMUtils.escapeHtml(violation.message)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Diff the input and output tree of a step
+     * @param {CPEEStep} step - Step to diff
+     * @returns {Object} { result } on success, { error } otherwise
+     */
+    diffTrees(step) {
+        if (!step.hasContent('inputCpeeTree') || !step.hasContent('outputCpeeTree')) {
+            return { error: 'Input and output tree are needed for a diff' };
+        }
+
+        try {
+            return { result: TreeDiffService.diff(step.getContent('inputCpeeTree'), step.getContent('outputCpeeTree')) };
+        } catch (error) {
+            return { error: `Tree diff unavailable: ${error.message}` };
+        }
+    }
+
+    /**
+     * Update the Tree Changes section with the structural diff of input and output tree
+     * @param {Object} treeDiff - Diff from diffTrees
+     */
+    updateTreeDiffSection(treeDiff) {
+        const container = DOMUtils.getElementById('tree-diff-content');
+        if (!container) return;
+
+        if (treeDiff.error) {
+            container.innerHTML = `<div class="no-content">${DOMUtils.escapeHtml(treeDiff.error)}</div>`;
+            return;
+        }
+
+        const result = treeDiff.result;
+
+        if (result.changes.length === 0) {
+            container.innerHTML = '<div class="no-content">Output tree is structurally identical to the input tree</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="tree-diff-summary">
+                ${Object.entries(result.summary).map(([type, count]) => `
+                    <span class="tree-diff-count tree-change-${type}">${count} ${type}</span>
+                `).join('')}
+            </div>
+            <ul class="tree-change-list">
+                ${result.changes.map(change => this.renderTreeChange(change)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Check the output intermediate of a step against its output tree
+     * @param {CPEEStep} step - Step to check
+     * @returns {Object} { result } on success, { error } otherwise
+     */
+    checkConsistency(step) {
+        if (!step.hasContent('outputIntermediate') || !step.hasContent('outputCpeeTree')) {
+            return { error: 'Output intermediate and output tree are needed for the check' };
+        }
+
+        try {
+            return { result: ConsistencyCheckService.check(step.getContent('outputIntermediate'), step.getContent('outputCpeeTree')) };
+        } catch (error) {
+            return { error: `Round-trip check unavailable: ${error.message}` };
+        }
+    }
+
+    /**
+     * Update the Round-Trip Check section with the verdict and the mismatches
+     * @param {Object} consistency - Check from checkConsistency
+     */
+    updateConsistencySection(consistency) {
+        const container = DOMUtils.getElementById('consistency-content');
+        if (!container) return;
+
+        if (consistency.error) {
+            container.innerHTML = `<div class="no-content">${DOMUtils.escapeHtml(consistency.error)}</div>`;
+            return;
+        }
+
+        const result = consistency.result;
+        const count = result.mismatches.length;
+
+        container.innerHTML = `
+            <div class="consistency-verdict consistency-${result.verdict}">
+                ${result.verdict === 'consistent'
+                    ? `✓ Consistent: all ${result.matched} mapped elements agree`
+                    : `✗ Inconsistent: ${count} mismatch${count === 1 ? '' : 'es'} (${result.matched} elements mapped)`}
+            </div>
+            ${count > 0 ? `
+                <ul class="consistency-list">
+                    ${result.mismatches.map(mismatch => `
+                        <li class="consistency-item">
+                            <span class="consistency-type">${DOMUtils.escapeHtml(ConsistencyCheckService.getTypeName(mismatch.type))}</span>
+                            <span class="consistency-message">${DOMUtils.escapeHtml(mismatch.message)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render a single tree change as list item
+     * @param {Object} change - Change from the TreeDiffService
+     * @returns {string} HTML string
+     */
+    renderTreeChange(change) {
+        const element = [change.tag, change.id, change.label ? `"${change.label}"` : null].filter(Boolean).join(' ');
+        const location = change.type === 'moved'
+            ? `from ${change.from} to ${change.location}`
+            : `in ${change.location}`;
+
+        return `
+            <li class="tree-change tree-change-${change.type}">
+                <div class="tree-change-header">
+                    <span class="tree-change-type">${change.type}</span>
+                    <span class="tree-change-element">${DOMUtils.escapeHtml(element)}</span>
+                    <span class="tree-change-location">${DOMUtils.escapeHtml(location)}</span>
+                </div>
+                ${change.type !== 'moved' && change.descendantIds.length > 0 ? `
+                    <div class="tree-change-contains">Contains ${DOMUtils.escapeHtml(change.descendantIds.join(', '))}</div>
+                ` : ''}
+                ${change.details.map(detail => `
+                    <div class="tree-change-detail">
+                        <span class="tree-change-property">${DOMUtils.escapeHtml(detail.property)}</span>
+                        <del>${DOMUtils.escapeHtml(detail.before ?? '(none)')}</del>
+                        <ins>${DOMUtils.escapeHtml(detail.after ?? '(none)')}</ins>
+                    </div>
+                `).join('')}
+            </li>
+        `;
+    }
+
+    /**
+     * Diff the input and output intermediate of a step
+     * @param {CPEEStep} step - Step to diff
+     * @returns {Object} { result } on success, { error } otherwise
+     */
+    diffIntermediates(step) {
+        if (!step.hasContent('inputIntermediate') || !step.hasContent('outputIntermediate')) {
+            return { error: 'Input and output intermediate are needed for a diff' };
+        }
+
+        try {
+            return { result: MermaidDiffService.diff(step.getContent('inputIntermediate'), step.getContent('outputIntermediate')) };
+        } catch (error) {
+            return { error: `Intermediate diff unavailable: ${error.message}` };
+        }
+    }
+
+    /**
+     * Update the Intermediate Changes section with the node/edge changes and the source diff
+     * @param {Object} mermaidDiff - Diff from diffIntermediates
+     */
+    updateMermaidDiffSection(mermaidDiff) {
+        const container = DOMUtils.getElementById('mermaid-diff-content');
+        if (!container) return;
+
+        const outputIntermediateElement = DOMUtils.getElementById('output-intermediate-content');
+        if (outputIntermediateElement) {
+            outputIntermediateElement.classList.toggle('show-mermaid-diff', this.showMermaidOverlay);
+        }
+
+        if (mermaidDiff.error) {
+            container.innerHTML = `<div class="no-content">${DOMUtils.escapeHtml(mermaidDiff.error)}</div>`;
+            return;
+        }
+
+        const result = mermaidDiff.result;
+
+        if (result.changes.length === 0) {
+            container.innerHTML = '<div class="no-content">Output intermediate has the same nodes, edges and labels as the input</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="tree-diff-summary">
+                ${Object.entries(result.summary).map(([type, count]) => `
+                    <span class="tree-diff-count tree-change-${type}">${count} ${type}</span>
+                `).join('')}
+                <label class="mermaid-diff-toggle">
+                    <input type="checkbox" id="mermaid-diff-overlay" ${this.showMermaidOverlay ? 'checked' : ''}>
+                    Highlight in output diagram
+                </label>
+            </div>
+            <ul class="tree-change-list">
+                ${result.changes.map(change => this.renderMermaidChange(change)).join('')}
+            </ul>
+            <details class="mermaid-source-diff">
+                <summary>Source diff</summary>
+                <pre>${this.renderSourceDiff(result.lines)}</pre>
+            </details>
+        `;
+
+        const overlayToggle = DOMUtils.getElementById('mermaid-diff-overlay');
+        overlayToggle.addEventListener('change', () => {
+            this.showMermaidOverlay = overlayToggle.checked;
+            if (outputIntermediateElement) {
+                outputIntermediateElement.classList.toggle('show-mermaid-diff', this.showMermaidOverlay);
+            }
+        });
+    }
+
+    /**
+     * Render a single node or edge change as list item
+     * @param {Object} change - Change from the MermaidDiffService
+     * @returns {string} HTML string
+     */
+    renderMermaidChange(change) {
+        const element = change.kind === 'edge'
+            ? `edge ${change.from} → ${change.to}`
+            : `node ${change.id}`;
+
+        return `
+            <li class="tree-change tree-change-${change.type}">
+                <div class="tree-change-header">
+                    <span class="tree-change-type">${change.type}</span>
+                    <span class="tree-change-element">${DOMUtils.escapeHtml(element)}</span>
+                    ${change.type !== 'relabeled' && change.label ? `
+                        <span class="tree-change-location">"${DOMUtils.escapeHtml(change.label)}"</span>
+                    ` : ''}
+                </div>
+                ${change.type === 'relabeled' ? `
+                    <div class="tree-change-detail">
+                        <span class="tree-change-property">label</span>
+                        <del>${DOMUtils.escapeHtml(change.oldLabel ?? '(none)')}</del>
+                        <ins>${DOMUtils.escapeHtml(change.label ?? '(none)')}</ins>
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Render a unified line diff, collapsing long unchanged runs
+     * @param {Array} lines - Lines from MermaidDiffService.diffLines
+     * @returns {string} HTML string
+     */
+    renderSourceDiff(lines) {
+        const context = 3;
+        const prefixes = { context: ' ', added: '+', removed: '-' };
+        const html = [];
+
+        for (let start = 0; start < lines.length;) {
+            if (lines[start].type !== 'context') {
+                const line = lines[start++];
+                html.push(`<span class="diff-line diff-line-${line.type}">${prefixes[line.type]} ${DOMUtils.escapeHtml(line.text)}</span>`);
+                continue;
+            }
+
+            let end = start;
+            while (end < lines.length && lines[end].type === 'context') end++;
+
+            // Keep a few lines around changes, collapse the rest
+            const keepBefore = start === 0 ? 0 : context;
+            const keepAfter = end === lines.length ? 0 : context;
+            const run = lines.slice(start, end);
+            const visible = run.length > keepBefore + keepAfter + 1
+                ? [...run.slice(0, keepBefore), null, ...run.slice(run.length - keepAfter)]
+                : run;
+
+            visible.forEach(line => {
+                html.push(line
+                    ? `<span class="diff-line">  ${DOMUtils.escapeHtml(line.text)}</span>`
+                    : `<span class="diff-line diff-line-skipped">… ${run.length - keepBefore - keepAfter} unchanged lines</span>`);
+            });
+
+            start = end;
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Update the Step Events section with the log events attached to the step
+     * @param {CPEEEvent[]} events - Events without the step's own exposition events
+     */
+    updateEventsSection(events) {
+        const container = DOMUtils.getElementById('step-events-content');
+        if (!container) return;
+
+        if (!events || events.length === 0) {
+            container.innerHTML = '<div class="no-content">No other events logged around this step</div>';
+            return;
+        }
+
+        const errorCount = events.filter(event => event.isError()).length;
+        container.innerHTML = `
+            <div class="step-events-summary">
+                ${events.length} event${events.length === 1 ? '' : 's'}${errorCount > 0 ? `, <span class="event-error-count">${errorCount} error${errorCount === 1 ? '' : 's'}</span>` : ''}
+            </div>
+            <ul class="event-list">
+                ${events.map(event => this.renderEvent(event)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a single log event as list item
+     * @param {CPEEEvent} event - Event to render
+     * @returns {string} HTML string
+     */
+    renderEvent(event) {
+        const activity = [event.label, event.activity ? `(${event.activity})` : null].filter(Boolean).join(' ');
+        const data = this.formatEventData(event.data);
+
+        return `
+            <li class="event-item event-topic-${DOMUtils.escapeHtml(event.getTopic())}${event.isError() ? ' event-error' : ''}">
+                <div class="event-header">
+                    <span class="event-time">${DOMUtils.escapeHtml(event.getFormattedTimestamp())}</span>
+                    <span class="event-transition">${DOMUtils.escapeHtml(event.transition)}</span>
+                    ${activity ? `<span class="event-activity">${DOMUtils.escapeHtml(activity)}</span>` : ''}
+                </div>
+                ${event.endpoint ? `<div class="event-endpoint">${DOMUtils.escapeHtml(event.endpoint)}</div>` : ''}
+                ${event.isError() ? `<div class="event-message">${DOMUtils.escapeHtml(event.getErrorMessage())}</div>` : ''}
+                ${data ? `<details class="event-data"><summary>Data</summary><pre>${DOMUtils.escapeHtml(data)}</pre></details>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Format event data for display
+     * @param {*} data - Event data (string, object or array)
+     * @returns {string} Formatted data or empty string if there is none
+     */
+    formatEventData(data) {
+        if (data === null || data === undefined || data === '') return '';
+        if (typeof data === 'string') return data;
+
+        try {
+            return JSON.stringify(data, null, 2);
+        } catch (error) {
+            return String(data);
+        }
+    }
+
+    /**
+     * Show the note of a step in the Notes section
+     * @param {CPEEStep} step - Displayed step
+     */
+    updateNotesSection(step) {
+        const notes = DOMUtils.getElementById('step-notes-content');
+        const instance = this.instanceService.getCurrentInstance();
+        if (!notes) return;
+
+        // Keep what is being typed while a streaming log replaces the step
+        if (document.activeElement === notes) return;
+
+        notes.value = instance ? instance.getAnnotation(step.changeUuid) : '';
+    }
+
     /**
      * Update content in a section
      * @param {string} elementId - Element ID
@@ -688,6 +1359,7 @@ export class StepViewer {
      * Show loading state
      */
     showLoading() {
+        this.displayedStep = null;
         DOMUtils.removeClass('process-analysis', 'hidden');
         DOMUtils.addClass('step-details', 'hidden');
 
@@ -726,6 +1398,31 @@ export class StepViewer {
         if (outputIntermediateElement) {
             outputIntermediateElement.innerHTML = '<div class="no-content">Loading...</div>';
         }
+        
+        const mermaidDiffElement = DOMUtils.getElementById('mermaid-diff-content');
+        if (mermaidDiffElement) {
+            mermaidDiffElement.innerHTML = '<div class="no-content">Loading...</div>';
+        }
+        
+        const schemaElement = DOMUtils.getElementById('schema-content');
+        if (schemaElement) {
+            schemaElement.innerHTML = '<div class="no-content">Loading...</div>';
+        }
+        
+        const treeDiffElement = DOMUtils.getElementById('tree-diff-content');
+        if (treeDiffElement) {
+            treeDiffElement.innerHTML = '<div class="no-content">Loading...</div>';
+        }
+        
+        const consistencyElement = DOMUtils.getElementById('consistency-content');
+        if (consistencyElement) {
+            consistencyElement.innerHTML = '<div class="no-content">Loading...</div>';
+        }
+        
+        const eventsElement = DOMUtils.getElementById('step-events-content');
+        if (eventsElement) {
+            eventsElement.innerHTML = '<div class="no-content">Loading...</div>';
+        }
     }
 
     /**
@@ -786,5 +1483,30 @@ export class StepViewer {
         if (outputIntermediateElement) {
             outputIntermediateElement.innerHTML = '';
         }
+        
+        const mermaidDiffElement = DOMUtils.getElementById('mermaid-diff-content');
+        if (mermaidDiffElement) {
+            mermaidDiffElement.innerHTML = '';
+        }
+        
+        const schemaElement = DOMUtils.getElementById('schema-content');
+        if (schemaElement) {
+            schemaElement.innerHTML = '';
+        }
+        
+        const treeDiffElement = DOMUtils.getElementById('tree-diff-content');
+        if (treeDiffElement) {
+            treeDiffElement.innerHTML = '';
+        }
+        
+        const consistencyElement = DOMUtils.getElementById('consistency-content');
+        if (consistencyElement) {
+            consistencyElement.innerHTML = '';
+        }
+        
+        const eventsElement = DOMUtils.getElementById('step-events-content');
+        if (eventsElement) {
+            eventsElement.innerHTML = '';
+        }
     }
 }
@@ -0,0 +1,296 @@
+/**
+ * Timeline View Component
+ * Plots the steps and engine events of the current instance on a zoomable time axis
+ */
+
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimelineService } from '../services/TimelineService.js';
+
+export class TimelineView {
+    static LANES = [
+        { key: 'steps', name: 'Steps' },
+        { key: 'events', name: 'Events' },
+        { key: 'errors', name: 'Errors' }
+    ];
+
+    static AXIS_HEIGHT = 24;
+    static LANE_HEIGHT = 30;
+    static PADDING = 12;
+    static MIN_BAR_WIDTH = 4;
+    static MAX_ZOOM = 1024;
+
+    constructor(instanceService) {
+        this.instanceService = instanceService;
+        this.onStepSelect = null;
+        this.instance = null;
+        this.timeline = null;
+        this.zoom = 1;
+    }
+
+    /**
+     * Set callback for when a step bar or event is clicked
+     * @param {Function} callback - Callback function receiving the step index
+     */
+    setOnStepSelect(callback) {
+        this.onStepSelect = callback;
+    }
+
+    /**
+     * Show the timeline of an instance (keeps zoom and scroll for the same instance)
+     * @param {CPEEInstance} instance - Instance
+     */
+    show(instance) {
+        const section = DOMUtils.getElementById('timeline-section');
+        if (!section || !instance) return;
+
+        const scroll = DOMUtils.getElementById('timeline-scroll');
+        const scrollLeft = instance === this.instance && scroll ? scroll.scrollLeft : 0;
+
+        if (instance !== this.instance) {
+            this.zoom = 1;
+        }
+        this.instance = instance;
+        this.timeline = TimelineService.buildTimeline(instance);
+
+        section.classList.remove('hidden');
+        this.render();
+
+        const newScroll = DOMUtils.getElementById('timeline-scroll');
+        if (newScroll) {
+            newScroll.scrollLeft = scrollLeft;
+        }
+    }
+
+    /**
+     * Hide the timeline
+     */
+    hide() {
+        this.instance = null;
+        this.timeline = null;
+        DOMUtils.addClass('timeline-section', 'hidden');
+    }
+
+    /**
+     * Mark the shown step
+     * @param {number} stepIndex - Step index
+     */
+    setCurrentStep(stepIndex) {
+        DOMUtils.querySelectorAll('#timeline-section .timeline-step').forEach(bar => {
+            bar.classList.toggle('current', Number(bar.dataset.stepIndex) === stepIndex);
+        });
+    }
+
+    /**
+     * Render header, lane names and chart
+     */
+    render() {
+        const section = DOMUtils.getElementById('timeline-section');
+        if (!section || !this.timeline) return;
+
+        const { start, end, steps, events } = this.timeline;
+        const errors = events.filter(entry => entry.event.isError()).length;
+        const llmTime = steps.reduce((total, span) => total + (span.llm ? span.llm.end - span.llm.start : 0), 0);
+
+        section.innerHTML = `
+            <div class="timeline-header">
+                <h3>Timeline</h3>
+                <span class="timeline-summary">
+                    ${steps.length} steps · ${events.length} events${errors > 0 ? ` · ${errors} errors` : ''}
+                    ${Number.isNaN(start) ? '' : ` · ${TimelineService.formatDuration(end - start)} total, ${TimelineService.formatDuration(llmTime)} waiting for the LLM`}
+                </span>
+                <div class="timeline-controls">
+                    <button class="timeline-zoom" data-zoom="out" title="Zoom out">−</button>
+                    <button class="timeline-zoom" data-zoom="in" title="Zoom in (Ctrl + wheel)">+</button>
+                    <button class="timeline-zoom" data-zoom="fit" title="Fit the whole instance">Fit</button>
+                </div>
+            </div>
+            ${Number.isNaN(start) ? '<div class="no-content">No timestamps in this log</div>' : `
+                <div class="timeline-body">
+                    <div class="timeline-lanes" style="padding-top: ${TimelineView.AXIS_HEIGHT}px">
+                        ${TimelineView.LANES.map(lane => `<div style="height: ${TimelineView.LANE_HEIGHT}px">${lane.name}</div>`).join('')}
+                    </div>
+                    <div id="timeline-scroll" class="timeline-scroll"></div>
+                </div>
+                <div class="timeline-legend">
+                    <span class="timeline-legend-step">Modification round</span>
+                    <span class="timeline-legend-llm">LLM call (user input → output intermediate)</span>
+                    <span class="timeline-legend-error">Step with errors</span>
+                </div>
+            `}
+        `;
+
+        section.querySelectorAll('.timeline-zoom').forEach(button => {
+            button.addEventListener('click', () => {
+                const zoom = button.dataset.zoom;
+                if (zoom === 'fit') {
+                    this.setZoom(1);
+                } else {
+                    this.setZoom(zoom === 'in' ? this.zoom * 2 : this.zoom / 2);
+                }
+            });
+        });
+
+        const scroll = DOMUtils.getElementById('timeline-scroll');
+        if (!scroll) return;
+
+        scroll.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            const anchor = e.clientX - scroll.getBoundingClientRect().left;
+            this.setZoom(e.deltaY < 0 ? this.zoom * 1.25 : this.zoom / 1.25, anchor);
+        }, { passive: false });
+
+        scroll.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-step-index]');
+            if (target && this.onStepSelect) {
+                this.onStepSelect(Number(target.dataset.stepIndex));
+            }
+        });
+
+        this.renderChart();
+    }
+
+    /**
+     * Change the zoom, keeping the time under the anchor in place
+     * @param {number} zoom - New zoom (1 fits the whole instance)
+     * @param {number} anchor - Pixels from the left edge of the visible area (default: center)
+     */
+    setZoom(zoom, anchor = null) {
+        const scroll = DOMUtils.getElementById('timeline-scroll');
+        if (!scroll) return;
+
+        const newZoom = Math.min(Math.max(zoom, 1), TimelineView.MAX_ZOOM);
+        const offset = anchor ?? scroll.clientWidth / 2;
+        const position = (scroll.scrollLeft + offset) / (scroll.scrollWidth || 1);
+
+        this.zoom = newZoom;
+        this.renderChart();
+
+        scroll.scrollLeft = position * scroll.scrollWidth - offset;
+    }
+
+    /**
+     * Render axis, step bars and event ticks at the current zoom
+     */
+    renderChart() {
+        const scroll = DOMUtils.getElementById('timeline-scroll');
+        if (!scroll || !this.timeline) return;
+
+        const { AXIS_HEIGHT, LANE_HEIGHT, PADDING, MIN_BAR_WIDTH } = TimelineView;
+        const { start, end, steps, events } = this.timeline;
+
+        const width = Math.round((scroll.clientWidth || 800) * this.zoom);
+        const height = AXIS_HEIGHT + LANE_HEIGHT * TimelineView.LANES.length;
+
+        // At least one second so a single point in time still gets an axis
+        const duration = Math.max(end - start, 1000);
+        const msPerPixel = duration / (width - 2 * PADDING);
+        const x = (time) => PADDING + (time - start) / msPerPixel;
+        const laneY = (key) => AXIS_HEIGHT + LANE_HEIGHT * TimelineView.LANES.findIndex(lane => lane.key === key);
+
+        const interval = TimelineService.getTickInterval(msPerPixel);
+        const ticks = [];
+        for (let time = Math.ceil(start / interval) * interval; time <= start + duration; time += interval) {
+            ticks.push(`
+                <line class="timeline-tick" x1="${x(time)}" x2="${x(time)}" y1="${AXIS_HEIGHT - 6}" y2="${height}" />
+                <text class="timeline-tick-label" x="${x(time) + 3}" y="${AXIS_HEIGHT - 10}">${DOMUtils.escapeHtml(TimelineService.formatTick(time, interval))}</text>
+            `);
+        }
+
+        const currentIndex = this.instanceService.getCurrentInstance() === this.instance
+            ? this.instanceService.currentStepIndex
+            : -1;
+
+        const bars = steps.map(span => {
+            const barX = x(span.start);
+            const barWidth = Math.max(x(span.end) - barX, MIN_BAR_WIDTH);
+            const y = laneY('steps') + 5;
+            const barHeight = LANE_HEIGHT - 10;
+
+            const classes = ['timeline-step'];
+            if (span.step.hasErrors()) classes.push('has-errors');
+            if (span.index === currentIndex) classes.push('current');
+
+            const llm = span.llm ? `
+                <rect class="timeline-llm" x="${x(span.llm.start)}" y="${y + 3}"
+                      width="${Math.max(x(span.llm.end) - x(span.llm.start), 1)}" height="${barHeight - 6}" />
+            ` : '';
+            const label = barWidth > 16
+                ? `<text class="timeline-step-label" x="${barX + barWidth / 2}" y="${y + barHeight / 2 + 4}">${span.step.stepNumber}</text>`
+                : '';
+
+            return `
+                <g class="${classes.join(' ')}" data-step-index="${span.index}">
+                    <title>${DOMUtils.escapeHtml(this.describeStep(span))}</title>
+                    <rect x="${barX}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" />
+                    ${llm}
+                    ${label}
+                </g>
+            `;
+        });
+
+        const eventMarks = events.map(entry => {
+            const lane = entry.event.isError() ? 'errors' : 'events';
+            const eventX = x(entry.time);
+            const stepIndex = entry.stepIndex !== null ? ` data-step-index="${entry.stepIndex}"` : '';
+
+            return `
+                <g class="timeline-event timeline-event-${lane}"${stepIndex}>
+                    <title>${DOMUtils.escapeHtml(this.describeEvent(entry.event))}</title>
+                    <rect x="${eventX - 1.5}" y="${laneY(lane) + 6}" width="3" height="${LANE_HEIGHT - 12}" />
+                </g>
+            `;
+        });
+
+        scroll.innerHTML = `
+            <svg class="timeline-chart" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+                ${TimelineView.LANES.map(lane => `<line class="timeline-lane" x1="0" x2="${width}" y1="${laneY(lane.key) + LANE_HEIGHT}" y2="${laneY(lane.key) + LANE_HEIGHT}" />`).join('')}
+                ${ticks.join('')}
+                ${eventMarks.join('')}
+                ${bars.join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Describe a step bar for its tooltip
+     * @param {Object} span - Step span from TimelineService
+     * @returns {string} Multi-line description
+     */
+    describeStep(span) {
+        const lines = [`${span.step.getDisplayName()} · ${span.step.getFormattedTimestamp()}`];
+
+        if (span.end > span.start) {
+            lines.push(`Modification round: ${TimelineService.formatDuration(span.end - span.start)}`);
+        }
+        if (span.turnaround !== null) {
+            lines.push(`User input → output: ${TimelineService.formatDuration(span.turnaround)}`);
+        }
+        if (span.llm) {
+            lines.push(`LLM call: ${TimelineService.formatDuration(span.llm.end - span.llm.start)}`);
+        }
+        if (span.step.hasErrors()) {
+            lines.push(`${span.step.getErrorEvents().length} error(s)`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Describe an event tick for its tooltip
+     * @param {CPEEEvent} event - Event
+     * @returns {string} Multi-line description
+     */
+    describeEvent(event) {
+        const lines = [`${event.transition}${event.label ? ` · ${event.label}` : ''}`, event.getFormattedTimestamp()];
+
+        if (event.endpoint) {
+            lines.push(event.endpoint);
+        }
+        if (event.isError()) {
+            lines.push(event.getErrorMessage());
+        }
+
+        return lines.join('\n');
+    }
+}
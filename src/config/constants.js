@@ -21,6 +21,9 @@ export const UI_CONFIG = {
     // Timeouts
     REQUEST_TIMEOUT: 15000,
     
+    // Live-follow mode
+    FOLLOW_POLL_INTERVAL: 5000,
+    
     // Display limits
     UUID_DISPLAY_LENGTH: 8,
     
@@ -29,6 +32,20 @@ export const UI_CONFIG = {
     ERROR_MESSAGE_TIMEOUT: 5000
 };
 
+export const STORAGE_CONFIG = {
+    // IndexedDB database holding the persistent workspace
+    DB_NAME: 'cpee-debug-console',
+    DB_VERSION: 1,
+    STORES: {
+        INSTANCES: 'instances',
+        LOGS: 'logs',
+        META: 'meta'
+    },
+    
+    // Cached logs of finished instances are revalidated in the background after this age
+    LOG_CACHE_MAX_AGE: 24 * 60 * 60 * 1000
+};
+
 export const FILE_EXTENSIONS = {
     YAML: '.xes.yaml',
     XML: '.xml',
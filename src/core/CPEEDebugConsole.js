@@ -3,23 +3,46 @@
  * Coordinates all components and services
  */
 
-import { URLUtils } from '../utils/URLUtils.js';
+import { Router } from './Router.js';
 import { LogService } from '../services/LogService.js';
 import { InstanceService } from '../services/InstanceService.js';
 import { CPEEService } from '../services/CPEEService.js';
+import { FollowService } from '../services/FollowService.js';
+import { WorkspaceService } from '../services/WorkspaceService.js';
+import { LogCacheService } from '../services/LogCacheService.js';
+import { BundleService } from '../services/BundleService.js';
 import { Sidebar } from '../components/Sidebar.js';
 import { StepViewer } from '../components/StepViewer.js';
 import { LogViewer } from '../components/LogViewer.js';
+import { SettingsPanel } from '../components/SettingsPanel.js';
+import { DiagnosticsPanel } from '../components/DiagnosticsPanel.js';
+import { ErrorsPanel } from '../components/ErrorsPanel.js';
+import { ComparisonView } from '../components/ComparisonView.js';
+import { TimelineView } from '../components/TimelineView.js';
+import { SearchPanel } from '../components/SearchPanel.js';
+import { ExportPanel } from '../components/ExportPanel.js';
 
 export class CPEEDebugConsole {
     constructor() {
         // Initialize services
         this.instanceService = new InstanceService();
+        this.followService = new FollowService();
+        this.router = new Router();
+        
+        // UUIDs of instances whose log is still streaming in
+        this.loadingInstances = new Set();
         
         // Initialize components
         this.sidebar = new Sidebar(this.instanceService);
         this.stepViewer = new StepViewer(this.instanceService);
         this.logViewer = new LogViewer();
+        this.settingsPanel = new SettingsPanel();
+        this.diagnosticsPanel = new DiagnosticsPanel();
+        this.errorsPanel = new ErrorsPanel(this.instanceService);
+        this.comparisonView = new ComparisonView(this.instanceService);
+        this.timelineView = new TimelineView(this.instanceService);
+        this.searchPanel = new SearchPanel(this.instanceService);
+        this.exportPanel = new ExportPanel(this.instanceService);
         
         // Set up component callbacks
         this.setupComponentCallbacks();
@@ -35,22 +58,31 @@ export class CPEEDebugConsole {
         console.log('Initializing CPEE Debug Console...');
         
         // Parse URL parameters
-        const urlParams = URLUtils.parseParameters();
+        const route = this.router.getState();
         
         // Set up event listeners
         this.setupEventListeners();
         
-        // Load instance if UUID is provided
-        if (urlParams.uuid) {
-            await this.loadInstance(urlParams.uuid);
-            if (this.instanceService.hasInstance(urlParams.uuid)) {
-                this.sidebar.setActiveTab(urlParams.uuid);
-                await this.displayInstance(urlParams.uuid, urlParams.step - 1);
+        // Restore instances from the previous session
+        const workspaceState = await this.restoreWorkspace();
+        const restoredUUID = workspaceState?.currentUUID;
+        
+        // Opening the page is no navigation of its own
+        await this.router.restore(async () => {
+            if (route.uuid || route.compare || route.instances.length > 0) {
+                // Show what the link points to
+                await this.applyRoute(route);
+            } else if (restoredUUID && this.instanceService.hasInstance(restoredUUID)) {
+                // Continue where the previous session left off
+                const stepIndex = this.instanceService.getInstance(restoredUUID).currentStepIndex;
+                this.sidebar.setActiveTab(restoredUUID);
+                await this.displayInstance(restoredUUID, stepIndex);
+            } else {
+                // Show default state
+                this.stepViewer.showDefaultState();
             }
-        } else {
-            // Show default state
-            this.stepViewer.showDefaultState();
-        }
+            this.updateRoute();
+        });
         
         console.log('CPEE Debug Console initialized');
     }
@@ -64,9 +96,183 @@ export class CPEEDebugConsole {
             await this.displayInstance(uuid);
         });
 
+        // When local log files or instance bundles are picked or dropped onto the sidebar
+        this.sidebar.setOnLogFilesImport(async (files) => {
+            await this.importLogFiles(files);
+        });
+
+        // When follow mode is toggled on a sidebar tab
+        this.sidebar.setOnFollowToggle(async (uuid) => {
+            await this.toggleFollow(uuid);
+        });
+
+        // When a followed log changed
+        this.followService.setOnUpdate(async (uuid, result) => {
+            await this.applyFollowUpdate(uuid, result);
+        });
+
+        // When following starts, switches to polling or ends
+        this.followService.setOnStatusChange((uuid, status) => {
+            console.log(`Follow status of ${uuid}: ${status}`);
+            this.sidebar.setTabFollowing(uuid, this.followService.getMode(uuid));
+        });
+
+        // When an instance should be removed from the workspace
+        this.sidebar.setOnInstanceForget(async (uuid) => {
+            await this.forgetInstance(uuid);
+        });
+
+        // When the whole workspace should be cleared
+        this.sidebar.setOnClearWorkspace(async () => {
+            await this.clearWorkspace();
+        });
+
+        // When an error in the Errors panel is clicked
+        this.errorsPanel.setOnStepSelect(async (stepIndex) => {
+            await this.goToStep(stepIndex);
+        });
+
+        // When a log offered by a local log source should be loaded
+        this.settingsPanel.setOnLoadLog(async (uuid) => {
+            await this.loadInstance(uuid);
+        });
+
+        // When a step in a sidebar step outline is clicked
+        this.sidebar.setOnStepSelect(async (uuid, stepIndex) => {
+            if (uuid === this.instanceService.currentUUID) {
+                await this.goToStep(stepIndex);
+            } else {
+                this.sidebar.setActiveTab(uuid);
+                await this.displayInstance(uuid, stepIndex);
+            }
+        });
+
+        // When a search result is clicked, possibly in another instance
+        this.searchPanel.setOnResultSelect(async (uuid, stepIndex) => {
+            this.sidebar.clearTabBadge(uuid);
+            this.sidebar.setActiveTab(uuid);
+            await this.displayInstance(uuid, stepIndex);
+        });
+
+        // When a step bar or event in the timeline is clicked
+        this.timelineView.setOnStepSelect(async (stepIndex) => {
+            await this.goToStep(stepIndex);
+        });
+
+        // When a comparison is opened or shows another pair
+        this.comparisonView.setOnChange(() => {
+            this.updateRoute();
+        });
+
+        // When the comparison is closed, return to the instance shown before
+        this.comparisonView.setOnClose(async () => {
+            const uuid = this.instanceService.currentUUID;
+            if (uuid) {
+                await this.displayInstance(uuid, this.instanceService.currentStepIndex);
+            } else {
+                this.stepViewer.showDefaultState();
+            }
+        });
+
         // When step changes in step viewer
         this.stepViewer.setOnStepChange((stepIndex) => {
-            URLUtils.updateURL(this.instanceService.currentUUID, stepIndex + 1);
+            this.timelineView.setCurrentStep(stepIndex);
+            this.sidebar.renderStepOutlines();
+            this.updateRoute();
+            this.saveWorkspaceState();
+        });
+
+        // When a section heading is clicked, link to it
+        this.stepViewer.setOnSectionSelect(() => {
+            this.updateRoute();
+        });
+
+        // When a node in a CPEE graph is selected or deselected
+        this.stepViewer.setOnNodeSelect(() => {
+            this.updateRoute();
+        });
+
+        // When an instance bundle is picked in the Export panel
+        this.exportPanel.setOnBundleImport(async (file) => {
+            await this.importBundle(file);
+        });
+
+        // When the note of a step was edited
+        this.stepViewer.setOnAnnotationChange(async (uuid) => {
+            await this.saveToWorkspace(uuid);
+        });
+
+        // When the user moves back or forward through the history
+        this.router.setOnChange(async (state) => {
+            await this.applyRoute(state);
+        });
+    }
+
+    /**
+     * Get the route state of what is shown
+     * @returns {Object} Route state (see Router.parseState)
+     */
+    getRouteState() {
+        const comparison = this.comparisonView.isOpen()
+            ? { ...this.comparisonView.selection, pair: this.comparisonView.pairIndex + 1 }
+            : null;
+
+        return {
+            instances: this.sidebar.getTabOrder(),
+            uuid: this.instanceService.currentUUID,
+            step: this.instanceService.currentStepIndex + 1,
+            section: this.stepViewer.selectedSection,
+            node: this.stepViewer.selectedNode,
+            compare: comparison
+        };
+    }
+
+    /**
+     * Reflect the current view in the URL
+     */
+    updateRoute() {
+        this.router.navigate(this.getRouteState());
+    }
+
+    /**
+     * Show the view of a route, on load and when moving through the history
+     * Instances of the route that are not loaded yet are loaded first
+     * @param {Object} state - Route state (see Router.parseState)
+     */
+    async applyRoute(state) {
+        await this.router.restore(async () => {
+            const uuids = new Set([...state.instances, state.uuid, state.compare?.leftUUID, state.compare?.rightUUID]);
+            for (const uuid of uuids) {
+                if (uuid && !this.instanceService.hasInstance(uuid)) {
+                    await this.loadInstance(uuid);
+                }
+            }
+
+            const hasInstance = Boolean(state.uuid) && this.instanceService.hasInstance(state.uuid);
+
+            if (state.compare) {
+                // The instance shown again once the comparison is closed
+                if (hasInstance) {
+                    this.sidebar.setActiveTab(state.uuid);
+                    this.instanceService.setCurrentInstance(state.uuid, state.step - 1);
+                    this.errorsPanel.update();
+                    this.exportPanel.refresh();
+                }
+                if (this.comparisonView.start(state.compare, state.compare.pair - 1)) {
+                    this.updateRoute();
+                    return;
+                }
+            }
+
+            if (hasInstance) {
+                this.sidebar.setActiveTab(state.uuid);
+                await this.displayInstance(state.uuid, state.step - 1);
+                this.stepViewer.setSelectedNode(state.node);
+                this.stepViewer.scrollToSection(state.section);
+            } else {
+                this.returnToHome();
+            }
+            this.updateRoute();
         });
     }
 
@@ -213,26 +419,65 @@ export class CPEEDebugConsole {
                 return;
             }
             
-            // Fetch and parse log data
-            const logData = await LogService.fetchAndParseLog(uuid);
+            // Get process number from UUID input (if it was fetched via process number)
+            const uuidInput = document.getElementById('uuid-input');
+            const processNumber = uuidInput?.dataset.processNumber ? parseInt(uuidInput.dataset.processNumber) : null;
+            
+            // Register the instance right away so steps show up while the log is still downloading
+            const instance = this.instanceService.addInstance(uuid, [], processNumber);
+            this.loadingInstances.add(uuid);
+            
+            // Add to sidebar (but don't display content yet)
+            this.sidebar.addInstanceTab(uuid);
+            this.updateRoute();
+            
+            let logData;
+            let parseErrors;
+            let fromCache;
+            const stepGroups = new Map();
+            try {
+                ({ events: logData, errors: parseErrors, fromCache } = await LogService.streamLog(uuid, {
+                    onEvents: (batch) => {
+                        // Only the batch is grouped, steps are re-derived when it can change them
+                        if (LogService.groupExpositionEvents(batch, stepGroups) > 0) {
+                            instance.setSteps(LogService.buildSteps(stepGroups));
+                            this.refreshStreamedInstance(uuid);
+                        }
+                    },
+                    onProgress: (progress) => this.sidebar.setTabProgress(uuid, progress)
+                }));
+            } finally {
+                this.loadingInstances.delete(uuid);
+                this.sidebar.clearTabProgress(uuid);
+            }
+            
             const steps = LogService.parseStepsFromLog(logData);
             
-            console.log(`Found ${steps.length} steps`);
+            console.log(`Found ${steps.length} steps${fromCache ? ' (from log cache)' : ''}`);
             
             if (steps.length === 0) {
+                this.discardInstance(uuid);
                 alert(`No steps found in log for instance ${uuid}`);
                 return;
             }
             
-            // Get process number from UUID input (if it was fetched via process number)
-            const uuidInput = document.getElementById('uuid-input');
-            const processNumber = uuidInput?.dataset.processNumber ? parseInt(uuidInput.dataset.processNumber) : null;
+            // Store final instance data
+            instance.setSteps(steps);
+            instance.setParseErrors(parseErrors);
+            instance.setEvents(LogService.parseEventsFromLog(logData));
             
-            // Store instance data
-            this.instanceService.addInstance(uuid, steps, processNumber);
+            // Logs from local sources were not looked up by process number
+            if (!instance.processNumber) {
+                instance.processNumber = LogService.extractInstanceInfo(logData, uuid).processNumber;
+                this.sidebar.updateTabDisplayName(uuid, instance.getDisplayName());
+            }
+            this.reportParseErrors(uuid, parseErrors);
+            await this.refreshStreamedInstance(uuid);
+            await this.saveToWorkspace(uuid);
             
-            // Add to sidebar (but don't display content yet)
-            this.sidebar.addInstanceTab(uuid);
+            if (this.instanceService.currentUUID === uuid) {
+                this.errorsPanel.update();
+            }
             
             // Clear process number input field only (keep UUID visible)
             const processNumberInput = document.getElementById('process-number-input');
@@ -244,10 +489,329 @@ export class CPEEDebugConsole {
             
         } catch (error) {
             console.error('Failed to load instance:', error);
+            
+            // Drop the placeholder registered while streaming
+            const instance = this.instanceService.getInstance(uuid);
+            if (instance && !instance.hasSteps()) {
+                this.discardInstance(uuid);
+            }
             alert(`Failed to load instance: ${error.message}`);
         }
     }
 
+    /**
+     * Update the view after steps of a streaming instance changed
+     * @param {string} uuid - Instance UUID
+     */
+    async refreshStreamedInstance(uuid) {
+        this.sidebar.renderStepOutline(uuid);
+
+        // The comparison keeps its steps, the step view is refreshed when it closes
+        if (this.instanceService.currentUUID !== uuid || this.comparisonView.isOpen()) return;
+
+        const step = this.instanceService.getCurrentStep();
+        const navInfo = this.instanceService.getNavigationInfo();
+        const shownStep = this.stepViewer.displayedStep;
+
+        // Re-render when the first step arrives or the shown step got more sections
+        if (step && (!shownStep || shownStep.stepNumber !== step.stepNumber ||
+                shownStep.getContentSectionCount() !== step.getContentSectionCount())) {
+            await this.stepViewer.displayStep(step, navInfo);
+        } else {
+            this.stepViewer.updateStepNavigation(navInfo);
+        }
+
+        // New steps and, once the log is parsed, its events
+        if (step) {
+            this.timelineView.show(this.instanceService.getCurrentInstance());
+        }
+    }
+
+    /**
+     * Start or stop following a running instance
+     * @param {string} uuid - Instance UUID
+     */
+    async toggleFollow(uuid) {
+        if (this.followService.isFollowing(uuid)) {
+            this.followService.unfollow(uuid);
+            return;
+        }
+
+        const instance = this.instanceService.getInstance(uuid);
+        if (!instance || this.loadingInstances.has(uuid)) return;
+
+        try {
+            await this.followService.follow(uuid, instance.processNumber);
+        } catch (error) {
+            console.error('Failed to follow instance:', error);
+            alert(`Cannot follow instance ${uuid}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Merge a re-read log of a followed instance
+     * @param {string} uuid - Instance UUID
+     * @param {Object} result - Parsed log ({ events, errors })
+     */
+    async applyFollowUpdate(uuid, { events, errors }) {
+        const instance = this.instanceService.getInstance(uuid);
+        if (!instance) return;
+
+        const added = instance.mergeSteps(LogService.parseStepsFromLog(events));
+        instance.setParseErrors(errors);
+        instance.setEvents(LogService.parseEventsFromLog(events));
+
+        if (added > 0) {
+            console.log(`${added} new step(s) in instance ${uuid}`);
+            if (this.instanceService.currentUUID !== uuid) {
+                this.sidebar.addTabBadge(uuid, added);
+            }
+        }
+
+        await this.refreshStreamedInstance(uuid);
+        await this.saveToWorkspace(uuid);
+
+        if (this.instanceService.currentUUID === uuid) {
+            this.errorsPanel.update();
+        }
+    }
+
+    /**
+     * Restore instances persisted in the workspace
+     * @returns {Promise<Object|null>} Saved navigation state, or null if nothing could be restored
+     */
+    async restoreWorkspace() {
+        if (!WorkspaceService.isAvailable()) return null;
+
+        try {
+            const { instances, state } = await WorkspaceService.load();
+
+            instances.forEach(instance => {
+                this.instanceService.restoreInstance(instance);
+                this.sidebar.addInstanceTab(instance.uuid);
+            });
+
+            console.log(`Restored ${instances.length} instance(s) from workspace`);
+            return state;
+        } catch (error) {
+            console.error('Failed to restore workspace:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist an instance and the navigation state
+     * @param {string} uuid - Instance UUID
+     */
+    async saveToWorkspace(uuid) {
+        const instance = this.instanceService.getInstance(uuid);
+        if (!instance || !WorkspaceService.isAvailable()) return;
+
+        try {
+            await WorkspaceService.saveInstance(instance);
+            await this.saveWorkspaceState();
+        } catch (error) {
+            console.error(`Failed to save instance ${uuid} to workspace:`, error);
+        }
+    }
+
+    /**
+     * Persist tab order, current instance and the current step of every instance
+     */
+    async saveWorkspaceState() {
+        if (!WorkspaceService.isAvailable()) return;
+
+        const stepIndexes = {};
+        this.instanceService.getAllInstances().forEach(uuid => {
+            stepIndexes[uuid] = this.instanceService.getInstance(uuid).currentStepIndex;
+        });
+
+        try {
+            await WorkspaceService.saveState({
+                tabOrder: this.sidebar.getTabOrder(),
+                currentUUID: this.instanceService.currentUUID,
+                stepIndexes
+            });
+        } catch (error) {
+            console.error('Failed to save workspace state:', error);
+        }
+    }
+
+    /**
+     * Remove an instance from the app and the workspace
+     * @param {string} uuid - Instance UUID
+     */
+    async forgetInstance(uuid) {
+        const wasCurrent = this.instanceService.currentUUID === uuid;
+
+        this.followService.unfollow(uuid);
+        this.instanceService.removeInstance(uuid);
+        this.sidebar.removeInstanceTab(uuid);
+
+        if (wasCurrent) {
+            this.returnToHome();
+        } else {
+            this.updateRoute();
+        }
+
+        if (!WorkspaceService.isAvailable()) return;
+
+        try {
+            await WorkspaceService.forgetInstance(uuid);
+            await this.saveWorkspaceState();
+            console.log(`Instance ${uuid} removed from workspace`);
+        } catch (error) {
+            console.error(`Failed to remove instance ${uuid} from workspace:`, error);
+        }
+    }
+
+    /**
+     * Remove all instances from the app and the workspace
+     */
+    async clearWorkspace() {
+        if (!confirm('Remove all loaded instances and their saved logs from this browser?')) return;
+
+        this.instanceService.getAllInstances().forEach(uuid => this.followService.unfollow(uuid));
+        this.reset();
+
+        if (!WorkspaceService.isAvailable()) return;
+
+        try {
+            await WorkspaceService.clear();
+            console.log('Workspace cleared');
+        } catch (error) {
+            console.error('Failed to clear workspace:', error);
+            alert(`Failed to clear workspace: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an instance that could not be loaded
+     * @param {string} uuid - Instance UUID
+     */
+    discardInstance(uuid) {
+        const wasCurrent = this.instanceService.currentUUID === uuid;
+
+        this.followService.unfollow(uuid);
+
+        this.instanceService.removeInstance(uuid);
+        this.sidebar.removeInstanceTab(uuid);
+
+        if (wasCurrent) {
+            this.timelineView.hide();
+            this.stepViewer.showDefaultState();
+        }
+        this.updateRoute();
+    }
+
+    /**
+     * Import CPEE instances from local .xes.yaml files
+     * @param {File[]} files - Log files (or instance bundles) picked or dropped by the user
+     */
+    async importLogFiles(files) {
+        for (const file of files) {
+            if (BundleService.isBundleFile(file)) {
+                await this.importBundle(file);
+                continue;
+            }
+
+            try {
+                console.log(`Importing local log: ${file.name}`);
+
+                const { events: logData, errors: parseErrors, content: rawLog } = await LogService.streamLogFile(file);
+                const steps = LogService.parseStepsFromLog(logData);
+
+                console.log(`Found ${steps.length} steps`);
+
+                if (steps.length === 0) {
+                    alert(`No steps found in log file ${file.name}`);
+                    continue;
+                }
+
+                const { uuid, processNumber } = LogService.extractInstanceInfo(logData, file.name);
+
+                // Store instance data, replacing a previously loaded version
+                this.instanceService.addInstance(uuid, steps, processNumber, parseErrors, LogService.parseEventsFromLog(logData));
+                this.reportParseErrors(file.name, parseErrors);
+                this.sidebar.addInstanceTab(uuid);
+                this.sidebar.updateTabDisplayName(uuid, this.instanceService.getInstance(uuid).getDisplayName());
+                this.sidebar.renderStepOutline(uuid);
+                this.updateRoute();
+                await LogCacheService.put(uuid, rawLog, {
+                    finished: LogService.isInstanceFinished(logData),
+                    source: 'file'
+                });
+                await this.saveToWorkspace(uuid);
+
+                console.log(`Instance ${uuid} imported from ${file.name}`);
+
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+                alert(`Failed to import ${file.name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Restore an instance from a bundle written by the Export panel
+     * @param {File} file - Bundle file
+     */
+    async importBundle(file) {
+        try {
+            console.log(`Importing instance bundle: ${file.name}`);
+
+            const { instance, rawLog } = BundleService.parseBundle(await file.text());
+            const uuid = instance.uuid;
+
+            if (this.instanceService.hasInstance(uuid) &&
+                !confirm(`Instance ${uuid} is already loaded. Replace it with the bundle?`)) {
+                return;
+            }
+
+            // The bundle is a snapshot, a followed log would overwrite it
+            this.followService.unfollow(uuid);
+
+            this.instanceService.restoreInstance(instance);
+            this.sidebar.addInstanceTab(uuid);
+            this.sidebar.updateTabDisplayName(uuid, instance.getDisplayName());
+            this.sidebar.renderStepOutline(uuid);
+
+            if (rawLog) {
+                await LogCacheService.put(uuid, rawLog.content, {
+                    finished: rawLog.finished,
+                    source: rawLog.source,
+                    providerId: rawLog.providerId
+                });
+            }
+            await this.saveToWorkspace(uuid);
+
+            this.sidebar.setActiveTab(uuid);
+            await this.displayInstance(uuid, instance.currentStepIndex);
+
+            console.log(`Instance ${uuid} restored from ${file.name}`);
+
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            alert(`Failed to import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Report log documents that could not be parsed
+     * @param {string} source - Instance UUID or file name the log came from
+     * @param {YAMLParseError[]} errors - Per-document parse errors
+     */
+    reportParseErrors(source, errors) {
+        if (!errors || errors.length === 0) return;
+
+        errors.forEach(error => console.error(`Invalid log document in ${source}:`, error));
+
+        const maxListed = 5;
+        const listed = errors.slice(0, maxListed).map(error => `- ${error.message}`).join('\n');
+        const more = errors.length > maxListed ? `\n... and ${errors.length - maxListed} more` : '';
+        alert(`${errors.length} log document(s) in ${source} could not be parsed and were skipped:\n${listed}${more}`);
+    }
+
     /**
      * Display instance content
      * @param {string} uuid - Instance UUID
@@ -256,20 +820,31 @@ export class CPEEDebugConsole {
     async displayInstance(uuid, stepIndex = 0) {
         console.log(`Displaying instance: ${uuid}, step: ${stepIndex + 1}`);
         
-        // Hide raw log viewer when selecting an instance
+        // Hide raw log viewer and comparison when selecting an instance
         this.logViewer.hideRawLog();
+        this.comparisonView.hideView();
         
         if (!this.instanceService.setCurrentInstance(uuid, stepIndex)) {
             console.error(`Instance ${uuid} not found`);
             return;
         }
         
+        // Analysis runs in the background, the panel updates when it is done
+        this.errorsPanel.update();
+        this.exportPanel.refresh();
+        
         const step = this.instanceService.getCurrentStep();
         const navInfo = this.instanceService.getNavigationInfo();
         
         if (step) {
             await this.stepViewer.displayStep(step, navInfo);
-            URLUtils.updateURL(uuid, stepIndex + 1);
+            this.timelineView.show(this.instanceService.getCurrentInstance());
+            this.sidebar.renderStepOutlines();
+            this.updateRoute();
+            this.saveWorkspaceState();
+        } else if (this.loadingInstances.has(uuid)) {
+            // Steps will be displayed as soon as the first ones are parsed
+            this.stepViewer.showLoading();
         } else {
             this.stepViewer.showError('Failed to load step data');
         }
@@ -281,10 +856,14 @@ export class CPEEDebugConsole {
      */
     async goToStep(stepIndex) {
         if (this.instanceService.goToStep(stepIndex)) {
+            this.comparisonView.hideView();
             const step = this.instanceService.getCurrentStep();
             const navInfo = this.instanceService.getNavigationInfo();
             await this.stepViewer.displayStep(step, navInfo);
-            URLUtils.updateURL(this.instanceService.currentUUID, stepIndex + 1);
+            this.timelineView.setCurrentStep(stepIndex);
+            this.sidebar.renderStepOutlines();
+            this.updateRoute();
+            this.saveWorkspaceState();
         }
     }
 
@@ -319,13 +898,19 @@ export class CPEEDebugConsole {
         }
         
         // Show default state (input form)
+        this.comparisonView.hideView();
+        this.timelineView.hide();
+        this.sidebar.renderStepOutlines();
         this.stepViewer.showDefaultState();
+        this.errorsPanel.update();
+        this.exportPanel.refresh();
         
         // Hide raw log viewer if open
         this.logViewer.hideRawLog();
         
-        // Clear URL parameters
-        URLUtils.clearParameters();
+        // Keep only the loaded instances in the URL
+        this.stepViewer.selectSection(null);
+        this.updateRoute();
         
         // Clear input field
         const uuidInput = document.getElementById('uuid-input');
@@ -343,9 +928,14 @@ export class CPEEDebugConsole {
     reset() {
         this.instanceService.clear();
         this.sidebar.clearAllTabs();
+        this.comparisonView.hideView();
+        this.timelineView.hide();
         this.stepViewer.showDefaultState();
+        this.errorsPanel.update();
+        this.exportPanel.refresh();
         this.logViewer.hideRawLog();
-        URLUtils.clearParameters();
+        this.stepViewer.selectSection(null);
+        this.updateRoute();
         
         // Clear process number input field only (keep UUID visible)
         const processNumberInput = document.getElementById('process-number-input');
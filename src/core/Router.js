@@ -0,0 +1,161 @@
+/**
+ * Router
+ * Keeps the URL in sync with what is shown (loaded instances, instance, step, section,
+ * selected graph node and comparison) and adds a history entry per navigation,
+ * so links restore the view and the back button walks through it
+ *
+ * ?instances=<uuid>,<uuid>&uuid=<uuid>&step=3&section=treeDiff&node=output:a4
+ * &compare=<uuid>@1,<uuid>@1&align=userInput&pair=2
+ */
+
+export class Router {
+    constructor() {
+        this.onChange = null;
+
+        // While a route is applied the app navigates itself, which must not add entries
+        this.restoring = false;
+
+        window.addEventListener('popstate', () => {
+            if (this.onChange) {
+                this.onChange(this.getState());
+            }
+        });
+    }
+
+    /**
+     * Set callback for when the user moves through the history
+     * @param {Function} callback - Callback function receiving the route state
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Get the route state of the current URL
+     * @returns {Object} Route state (see parseState)
+     */
+    getState() {
+        return Router.parseState(window.location.search);
+    }
+
+    /**
+     * Show a new route state in the URL
+     * Changes of the loaded instances alone replace the current entry, everything else adds one
+     * @param {Object} state - Route state
+     */
+    navigate(state) {
+        const query = Router.buildQuery(state);
+        if (query === window.location.search.replace(/^\?/, '')) return;
+
+        const url = new URL(window.location);
+        url.search = query;
+
+        const current = this.getState();
+        const samePlace = Router.buildQuery({ ...current, instances: [] }) === Router.buildQuery({ ...state, instances: [] });
+
+        if (this.restoring || samePlace) {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+        }
+    }
+
+    /**
+     * Run a callback that restores a route without adding history entries
+     * @param {Function} callback - Async callback
+     */
+    async restore(callback) {
+        const wasRestoring = this.restoring;
+        this.restoring = true;
+        try {
+            await callback();
+        } finally {
+            this.restoring = wasRestoring;
+        }
+    }
+
+    /**
+     * Parse a query string into a route state
+     * @param {string} search - Query string
+     * @returns {Object} { instances, uuid, step, section, node, compare } with node ({ graph, id })
+     *                   and compare ({ leftUUID, leftStart, rightUUID, rightStart, alignment, pair }) or null
+     */
+    static parseState(search) {
+        const params = new URLSearchParams(search);
+        const number = (name) => parseInt(params.get(name), 10) || 1;
+
+        const state = {
+            instances: (params.get('instances') || '').split(',').filter(Boolean).map(Router.decode),
+            uuid: params.get('uuid'),
+            step: number('step'),
+            section: params.get('section'),
+            node: null,
+            compare: null
+        };
+
+        const node = (params.get('node') || '').match(/^(input|output):(.+)$/);
+        if (node) {
+            state.node = { graph: node[1], id: node[2] };
+        }
+
+        const compare = (params.get('compare') || '').match(/^([^@,]+)@(\d+),([^@,]+)@(\d+)$/);
+        if (compare) {
+            state.compare = {
+                leftUUID: Router.decode(compare[1]),
+                leftStart: parseInt(compare[2], 10) || 1,
+                rightUUID: Router.decode(compare[3]),
+                rightStart: parseInt(compare[4], 10) || 1,
+                alignment: params.get('align') || 'stepNumber',
+                pair: number('pair')
+            };
+        }
+
+        return state;
+    }
+
+    /**
+     * Build the query string of a route state
+     * @param {Object} state - Route state (see parseState)
+     * @returns {string} Query string without the leading ?
+     */
+    static buildQuery(state) {
+        const params = new URLSearchParams();
+
+        if (state.instances && state.instances.length > 0) {
+            params.set('instances', state.instances.map(encodeURIComponent).join(','));
+        }
+        if (state.uuid) {
+            params.set('uuid', state.uuid);
+            params.set('step', state.step);
+
+            if (state.section) {
+                params.set('section', state.section);
+            }
+            if (state.node) {
+                params.set('node', `${state.node.graph}:${state.node.id}`);
+            }
+        }
+        if (state.compare) {
+            const { leftUUID, leftStart, rightUUID, rightStart, alignment, pair } = state.compare;
+            params.set('compare', `${encodeURIComponent(leftUUID)}@${leftStart},${encodeURIComponent(rightUUID)}@${rightStart}`);
+            params.set('align', alignment);
+            params.set('pair', pair);
+        }
+
+        // Keep the list separators readable, separators within UUIDs (file names) are encoded twice
+        return params.toString().replace(/%2C/g, ',').replace(/%40/g, '@').replace(/%3A/g, ':');
+    }
+
+    /**
+     * Decode a UUID of a list parameter
+     * @param {string} value - Encoded UUID
+     * @returns {string} UUID (the value itself if it is not validly encoded)
+     */
+    static decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * CPEE Event
+ * Represents a single log event, typed by its lifecycle transition
+ * (e.g. activity/calling, dataelements/change, description/error)
+ */
+
+import { CPEEStep } from './CPEEStep.js';
+
+export class CPEEEvent {
+    static EXPOSITION = 'description/exposition';
+
+    constructor(index, transition, timestamp, changeUuid = null, details = {}) {
+        this.index = index;
+        this.transition = transition || 'unknown';
+        this.timestamp = timestamp || null;
+        this.changeUuid = changeUuid;
+        this.activity = details.activity || null;
+        this.label = details.label || null;
+        this.endpoint = details.endpoint || null;
+        // Expositions are kept once, as content of their step; the event only names the section
+        this.section = details.section || null;
+        this.data = details.data ?? null;
+    }
+
+    /**
+     * Create CPEEEvent from a parsed log event
+     * @param {Object} event - Content of an `event:` document
+     * @param {number} index - Position of the event in the log
+     * @returns {CPEEEvent} New CPEEEvent instance
+     */
+    static fromLogEvent(event, index) {
+        const isExposition = event['cpee:lifecycle:transition'] === this.EXPOSITION;
+
+        return new CPEEEvent(
+            index,
+            event['cpee:lifecycle:transition'],
+            event['time:timestamp'],
+            event['cpee:change_uuid'] || null,
+            {
+                activity: event['id:id'] || event['cpee:activity'],
+                label: event['concept:name'],
+                endpoint: event['concept:endpoint'],
+                section: isExposition ? CPEEStep.getSectionName(event['cpee:exposition']) : null,
+                data: isExposition ? null : (event['cpee:exposition'] ?? event.data)
+            }
+        );
+    }
+
+    /**
+     * Get the topic of the transition (part before the slash)
+     * @returns {string} Topic, e.g. 'activity'
+     */
+    getTopic() {
+        return this.transition.split('/')[0];
+    }
+
+    /**
+     * Get the name of the transition (part after the slash)
+     * @returns {string} Name, e.g. 'calling'
+     */
+    getName() {
+        return this.transition.split('/')[1] || '';
+    }
+
+    /**
+     * Check if the event reports an error
+     * @returns {boolean} True for error transitions (e.g. activity/error)
+     */
+    isError() {
+        return this.getName() === 'error';
+    }
+
+    /**
+     * Check if the event is part of a step's content
+     * @returns {boolean} True for description/exposition events
+     */
+    isExposition() {
+        return this.transition === CPEEEvent.EXPOSITION;
+    }
+
+    /**
+     * Get the event time in milliseconds
+     * @returns {number} Epoch milliseconds or NaN if unknown
+     */
+    getTime() {
+        return this.timestamp ? Date.parse(this.timestamp) : NaN;
+    }
+
+    /**
+     * Get formatted timestamp
+     * @returns {string} Formatted timestamp
+     */
+    getFormattedTimestamp() {
+        const time = this.getTime();
+        return Number.isNaN(time) ? 'Unknown time' : new Date(time).toLocaleString();
+    }
+
+    /**
+     * Get a short human readable error message
+     * @returns {string|null} Message or null if the event is no error
+     */
+    getErrorMessage() {
+        if (!this.isError()) return null;
+
+        if (typeof this.data === 'string') return this.data;
+        if (this.data && typeof this.data === 'object') {
+            return String(this.data.message ?? this.data.error ?? JSON.stringify(this.data));
+        }
+        return 'Unknown error';
+    }
+
+    /**
+     * Convert event to plain object (for serialization)
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            index: this.index,
+            transition: this.transition,
+            timestamp: this.timestamp,
+            changeUuid: this.changeUuid,
+            activity: this.activity,
+            label: this.label,
+            endpoint: this.endpoint,
+            section: this.section,
+            data: this.data
+        };
+    }
+
+    /**
+     * Create CPEEEvent from plain object
+     * @param {Object} obj - Plain object with event data
+     * @returns {CPEEEvent} New CPEEEvent instance
+     */
+    static fromObject(obj) {
+        return new CPEEEvent(obj.index, obj.transition, obj.timestamp, obj.changeUuid, obj);
+    }
+}
@@ -1,9 +1,10 @@
 /**
  * CPEE Instance
- * Represents a CPEE process instance with its steps and state
+ * Represents a CPEE process instance with its steps, log events and state
  */
 
 import { CPEEStep } from './CPEEStep.js';
+import { CPEEEvent } from './CPEEEvent.js';
 
 export class CPEEInstance {
     constructor(uuid, steps = [], processNumber = null) {
@@ -11,6 +12,14 @@ export class CPEEInstance {
         this.processNumber = processNumber;
         this.loadedAt = new Date();
         this.currentStepIndex = 0;
+        this.parseErrors = [];
+        this.events = [];
+        
+        // Result of the error analysis, recomputed after steps or events change
+        this.analysisErrors = null;
+        
+        // User notes on steps, keyed by the change UUID of the step
+        this.annotations = {};
         
         // Convert plain objects to CPEEStep instances if needed
         this.steps = steps.map(step => 
@@ -68,6 +77,149 @@ export class CPEEInstance {
         return [...this.steps];
     }
 
+    /**
+     * Replace the steps (e.g. while a log is still streaming in)
+     * @param {Array} steps - New steps (CPEEStep objects or plain objects)
+     */
+    setSteps(steps) {
+        this.steps = steps.map(step => 
+            step instanceof CPEEStep ? step : CPEEStep.fromObject(step)
+        );
+        
+        if (this.currentStepIndex >= this.steps.length) {
+            this.currentStepIndex = Math.max(0, this.steps.length - 1);
+        }
+        
+        this.attachEventsToSteps();
+        this.analysisErrors = null;
+    }
+
+    /**
+     * Merge steps from a newer version of the log (e.g. while following a running instance)
+     * Known steps are updated in place, steps with a new change UUID are appended
+     * @param {Array} steps - Steps parsed from the current log (CPEEStep objects or plain objects)
+     * @returns {number} Number of appended steps
+     */
+    mergeSteps(steps) {
+        const knownSteps = new Map(this.steps.map((step, index) => [step.changeUuid, index]));
+        let appended = 0;
+
+        steps.forEach(step => {
+            const cpeeStep = step instanceof CPEEStep ? step : CPEEStep.fromObject(step);
+
+            if (knownSteps.has(cpeeStep.changeUuid)) {
+                // A step can still gain sections while its exposition events arrive
+                this.steps[knownSteps.get(cpeeStep.changeUuid)] = cpeeStep;
+            } else {
+                this.steps.push(cpeeStep);
+                appended++;
+            }
+        });
+
+        this.attachEventsToSteps();
+        this.analysisErrors = null;
+        return appended;
+    }
+
+    /**
+     * Replace the log events and attach them to the steps
+     * @param {Array} events - All log events (CPEEEvent objects or plain objects)
+     */
+    setEvents(events) {
+        this.events = (events || []).map(event =>
+            event instanceof CPEEEvent ? event : CPEEEvent.fromObject(event)
+        );
+        this.attachEventsToSteps();
+        this.analysisErrors = null;
+    }
+
+    /**
+     * Get log events, optionally only those of one lifecycle transition
+     * @param {string} transition - Lifecycle transition, e.g. 'activity/calling' (optional)
+     * @returns {CPEEEvent[]} Events in log order
+     */
+    getEvents(transition = null) {
+        return transition
+            ? this.events.filter(event => event.transition === transition)
+            : [...this.events];
+    }
+
+    /**
+     * Get all error events of the instance
+     * @returns {CPEEEvent[]} Error events in log order
+     */
+    getErrorEvents() {
+        return this.events.filter(event => event.isError());
+    }
+
+    /**
+     * Attach every log event to the step it belongs to
+     * Events of a modification round share its change UUID, all others
+     * (activity calls, data changes, errors, ...) go to the step closest in time
+     */
+    attachEventsToSteps() {
+        this.steps.forEach(step => step.clearEvents());
+        if (this.steps.length === 0) return;
+
+        const stepsByChangeUuid = new Map(this.steps.map(step => [step.changeUuid, step]));
+        const spans = new Map(this.steps.map(step => {
+            const time = Date.parse(step.timestamp);
+            return [step, { start: time, end: time }];
+        }));
+        const unmatched = [];
+
+        this.events.forEach(event => {
+            const step = event.changeUuid ? stepsByChangeUuid.get(event.changeUuid) : null;
+            if (!step) {
+                unmatched.push(event);
+                return;
+            }
+
+            step.addEvent(event);
+
+            // A round lasts from its first to its last event
+            const span = spans.get(step);
+            const time = event.getTime();
+            if (!Number.isNaN(time)) {
+                span.start = Number.isNaN(span.start) ? time : Math.min(span.start, time);
+                span.end = Number.isNaN(span.end) ? time : Math.max(span.end, time);
+            }
+        });
+
+        unmatched.forEach(event => {
+            const step = this.findNearestStep(event.getTime(), spans);
+            if (step) {
+                step.addEvent(event);
+            }
+        });
+    }
+
+    /**
+     * Find the step whose modification round is closest to a point in time
+     * @param {number} time - Epoch milliseconds
+     * @param {Map} spans - Time span ({ start, end }) per step
+     * @returns {CPEEStep|null} Closest step or null if the time is unknown
+     */
+    findNearestStep(time, spans) {
+        if (Number.isNaN(time)) return null;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.steps.forEach(step => {
+            const { start, end } = spans.get(step);
+            if (Number.isNaN(start)) return;
+
+            const distance = time < start ? start - time : Math.max(0, time - end);
+            if (distance < nearestDistance) {
+                nearest = step;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
     /**
      * Get total number of steps
      * @returns {number} Total step count
@@ -159,6 +311,70 @@ export class CPEEInstance {
         return this.steps.length > 0;
     }
 
+    /**
+     * Set log documents that could not be parsed
+     * @param {Array} errors - YAMLParseError instances or their plain object form
+     */
+    setParseErrors(errors) {
+        this.parseErrors = (errors || []).map(error =>
+            typeof error.toObject === 'function' ? error.toObject() : { ...error }
+        );
+    }
+
+    /**
+     * Check if parts of the log could not be parsed
+     * @returns {boolean} True if at least one log document was invalid
+     */
+    hasParseErrors() {
+        return this.parseErrors.length > 0;
+    }
+
+    /**
+     * Store the result of the error analysis
+     * @param {Array} errors - Errors found by the ErrorAnalysisService
+     */
+    setAnalysisErrors(errors) {
+        this.analysisErrors = errors;
+    }
+
+    /**
+     * Get the result of the error analysis
+     * @returns {Array|null} Errors or null if the instance was not analyzed since its last change
+     */
+    getAnalysisErrors() {
+        return this.analysisErrors;
+    }
+
+    /**
+     * Get the note of a step
+     * @param {string} changeUuid - Change UUID of the step
+     * @returns {string} Note or empty string
+     */
+    getAnnotation(changeUuid) {
+        return this.annotations[changeUuid] || '';
+    }
+
+    /**
+     * Set or remove the note of a step
+     * @param {string} changeUuid - Change UUID of the step
+     * @param {string} text - Note, empty to remove it
+     */
+    setAnnotation(changeUuid, text) {
+        if (text && text.trim()) {
+            this.annotations[changeUuid] = text;
+        } else {
+            delete this.annotations[changeUuid];
+        }
+    }
+
+    /**
+     * Get the notes of all steps
+     * @returns {Object} Notes keyed by change UUID
+     */
+    getAnnotations() {
+        return { ...this.annotations };
+    }
+
     /**
      * Get instance summary information
      * @returns {Object} Summary information
@@ -171,7 +387,10 @@ export class CPEEInstance {
             stepCount: this.getStepCount(),
             currentStep: this.currentStepIndex + 1,
             loadedAt: this.loadedAt.toLocaleString(),
-            hasSteps: this.hasSteps()
+            hasSteps: this.hasSteps(),
+            parseErrorCount: this.parseErrors.length,
+            eventCount: this.events.length,
+            errorEventCount: this.getErrorEvents().length
         };
     }
 
@@ -193,7 +412,10 @@ export class CPEEInstance {
             processNumber: this.processNumber,
             loadedAt: this.loadedAt,
             currentStepIndex: this.currentStepIndex,
-            steps: this.steps.map(step => step.toObject())
+            steps: this.steps.map(step => step.toObject()),
+            parseErrors: this.parseErrors.map(error => ({ ...error })),
+            events: this.events.map(event => event.toObject()),
+            annotations: this.getAnnotations()
         };
     }
 
@@ -217,6 +439,18 @@ export class CPEEInstance {
             instance.currentStepIndex = obj.currentStepIndex;
         }
         
+        if (Array.isArray(obj.parseErrors)) {
+            instance.setParseErrors(obj.parseErrors);
+        }
+        
+        if (Array.isArray(obj.events)) {
+            instance.setEvents(obj.events);
+        }
+        
+        if (obj.annotations) {
+            instance.annotations = { ...obj.annotations };
+        }
+        
         return instance;
     }
 
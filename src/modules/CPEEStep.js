@@ -15,6 +15,9 @@ export class CPEEStep {
             outputIntermediate: 'Not found',
             outputCpeeTree: 'Not found'
         };
+        
+        // Log events around this step, attached by CPEEInstance
+        this.events = [];
     }
 
     /**
@@ -60,6 +63,21 @@ export class CPEEStep {
         return this.content[sectionName] || 'No content available';
     }
 
+    /**
+     * Get the user input as plain text (without its header and comments)
+     * @returns {string} User input or empty string if the step has none
+     */
+    getUserInputText() {
+        if (!this.hasContent('userInput')) return '';
+
+        return this.content.userInput
+            .replace(/^#\s*User\s*Input\s*:\s*/i, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\n\s*\n/g, '\n')
+            .trim();
+    }
+
     /**
      * Get all available content sections
      * @returns {string[]} Array of section names that have content
@@ -76,6 +94,47 @@ export class CPEEStep {
         return this.getAvailableContentSections().length;
     }
 
+    /**
+     * Attach a log event to this step
+     * @param {CPEEEvent} event - Event to attach
+     */
+    addEvent(event) {
+        this.events.push(event);
+    }
+
+    /**
+     * Remove all attached log events
+     */
+    clearEvents() {
+        this.events = [];
+    }
+
+    /**
+     * Get attached log events in log order
+     * @param {boolean} includeExpositions - Include the description/exposition events (default: false)
+     * @returns {CPEEEvent[]} Events
+     */
+    getEvents(includeExpositions = false) {
+        const events = includeExpositions ? this.events : this.events.filter(event => !event.isExposition());
+        return [...events].sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Get attached error events
+     * @returns {CPEEEvent[]} Error events
+     */
+    getErrorEvents() {
+        return this.getEvents().filter(event => event.isError());
+    }
+
+    /**
+     * Check if errors were logged around this step
+     * @returns {boolean} True if at least one error event is attached
+     */
+    hasErrors() {
+        return this.events.some(event => event.isError());
+    }
+
     /**
      * Convert step to plain object (for serialization)
      * @returns {Object} Plain object representation
@@ -89,6 +148,22 @@ export class CPEEStep {
         };
     }
 
+    /**
+     * Find which of the 5 content sections an exposition holds, by its header
+     * @param {string} exposition - Content of a description/exposition event
+     * @returns {string|null} Section name or null if the exposition is no step content
+     */
+    static getSectionName(exposition) {
+        if (typeof exposition !== 'string') return null;
+
+        if (exposition.includes('<!-- Input CPEE-Tree -->')) return 'inputCpeeTree';
+        if (exposition.includes('%% Input Intermediate')) return 'inputIntermediate';
+        if (exposition.includes('# User Input:')) return 'userInput';
+        if (exposition.includes('%% Output Intermediate')) return 'outputIntermediate';
+        if (exposition.includes('<!-- Output CPEE-Tree -->')) return 'outputCpeeTree';
+        return null;
+    }
+
     /**
      * Create CPEEStep from plain object
      * @param {Object} obj - Plain object with step data
@@ -113,7 +188,9 @@ export class CPEEStep {
             changeUuid: this.changeUuid,
             timestamp: this.getFormattedTimestamp(),
             contentSections: this.getContentSectionCount(),
-            availableSections: this.getAvailableContentSections()
+            availableSections: this.getAvailableContentSections(),
+            eventCount: this.getEvents().length,
+            errorCount: this.getErrorEvents().length
         };
     }
 }
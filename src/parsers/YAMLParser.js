@@ -1,172 +1,251 @@
 /**
  * YAML Parser for CPEE Logs
  * Handles parsing of CPEE .xes.yaml log files
+ * Documents are parsed with the vendored js-yaml library (YAML 1.2 core schema)
  */
 
+import { load, CORE_SCHEMA } from '../libs/js-yaml/js-yaml.js';
+
+/**
+ * Error raised for a single log document that is not valid YAML
+ */
+export class YAMLParseError extends Error {
+    /**
+     * @param {string} reason - Short description of the problem
+     * @param {number} documentIndex - 1-based index of the failing document
+     * @param {number|null} line - 1-based line in the whole log (optional)
+     * @param {number|null} column - 1-based column (optional)
+     * @param {string|null} snippet - Source excerpt around the error (optional)
+     */
+    constructor(reason, documentIndex, line = null, column = null, snippet = null) {
+        const location = line !== null ? `, line ${line}${column !== null ? `:${column}` : ''}` : '';
+        super(`Document ${documentIndex}${location}: ${reason}`);
+        this.name = 'YAMLParseError';
+        this.reason = reason;
+        this.documentIndex = documentIndex;
+        this.line = line;
+        this.column = column;
+        this.snippet = snippet;
+    }
+
+    /**
+     * Convert error to plain object (for serialization)
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            message: this.message,
+            reason: this.reason,
+            documentIndex: this.documentIndex,
+            line: this.line,
+            column: this.column,
+            snippet: this.snippet
+        };
+    }
+}
+
+/**
+ * Incremental splitter for multi-document YAML
+ * Accepts the log in arbitrary chunks and emits each document once it is complete
+ */
+export class YAMLDocumentStream {
+    constructor() {
+        this.buffer = '';
+        this.lineNumber = 0;
+        this.documentCount = 0;
+        this.current = { startLine: 1, lines: [] };
+    }
+
+    /**
+     * Add a chunk of YAML text
+     * @param {string} chunk - Next part of the content
+     * @returns {Array} Documents completed by this chunk
+     */
+    push(chunk) {
+        const documents = [];
+        const lines = (this.buffer + chunk).split('\n');
+
+        // The last part may be an incomplete line
+        this.buffer = lines.pop();
+        lines.forEach(line => this.addLine(line, documents));
+
+        return documents;
+    }
+
+    /**
+     * Signal the end of the content
+     * @returns {Array} Remaining documents
+     */
+    end() {
+        const documents = [];
+
+        if (this.buffer) {
+            this.addLine(this.buffer, documents);
+            this.buffer = '';
+        }
+        this.flush(documents);
+
+        return documents;
+    }
+
+    /**
+     * Process a single line
+     * @param {string} line - Line without line break
+     * @param {Array} documents - Receives completed documents
+     */
+    addLine(line, documents) {
+        line = line.replace(/\r$/, '');
+        this.lineNumber++;
+
+        if (YAMLParser.DOCUMENT_MARKER.test(line)) {
+            // Directives or comments before a marker belong to the following document
+            if (this.flush(documents) || this.current.lines.length === 0) {
+                this.current = { startLine: this.lineNumber, lines: [] };
+            }
+        }
+        this.current.lines.push(line);
+    }
+
+    /**
+     * Emit the current document if it has content
+     * @param {Array} documents - Receives the completed document
+     * @returns {boolean} True if a document was emitted
+     */
+    flush(documents) {
+        if (!YAMLParser.hasContent(this.current.lines)) {
+            return false;
+        }
+
+        documents.push({
+            index: ++this.documentCount,
+            startLine: this.current.startLine,
+            content: this.current.lines.join('\n')
+        });
+        this.current = { startLine: this.lineNumber + 1, lines: [] };
+        return true;
+    }
+}
+
 export class YAMLParser {
+    // Document start marker ("---") at column 0, optionally followed by content
+    static DOCUMENT_MARKER = /^---(?:[ \t]|$)/;
+
     /**
      * Parse multi-document YAML content
      * @param {string} yamlContent - Full YAML content
-     * @returns {Array} Array of parsed events
+     * @returns {Object} Parsed events and per-document YAMLParseErrors ({ events, errors })
      */
     static parseMultiDocument(yamlContent) {
         if (!yamlContent || typeof yamlContent !== 'string') {
             throw new Error('Invalid YAML content provided');
         }
 
-        // Split by document separator and filter empty documents
-        const documents = yamlContent.split(/^---$/m)
-            .map(doc => doc.trim())
-            .filter(doc => doc.length > 0);
+        return this.parseDocuments(this.splitDocuments(yamlContent));
+    }
 
+    /**
+     * Parse already split documents
+     * @param {Array} documents - Documents from splitDocuments() or YAMLDocumentStream
+     * @returns {Object} Parsed events and per-document YAMLParseErrors ({ events, errors })
+     */
+    static parseDocuments(documents) {
         const events = [];
+        const errors = [];
 
-        for (let i = 0; i < documents.length; i++) {
-            const docContent = documents[i].trim();
-            
-            if (!docContent) continue;
-            
+        documents.forEach(document => {
             try {
-                const parsed = this.parseSingleDocument(docContent);
-                
+                const parsed = this.parseDocument(document);
+
                 if (parsed && typeof parsed === 'object') {
-                    parsed._documentIndex = i + 1;
+                    parsed._documentIndex = document.index;
                     events.push(parsed);
                 }
             } catch (error) {
-                console.warn(`Failed to parse document ${i + 1}:`, error.message);
+                errors.push(error);
             }
-        }
+        });
 
-        return events;
+        return { events, errors };
+    }
+
+    /**
+     * Split YAML content into documents, keeping track of their position in the log
+     * @param {string} yamlContent - Full YAML content
+     * @returns {Array} Documents with 1-based index, 1-based start line and content
+     */
+    static splitDocuments(yamlContent) {
+        const stream = new YAMLDocumentStream();
+        return [...stream.push(yamlContent), ...stream.end()];
+    }
+
+    /**
+     * Check whether document lines contain more than markers, directives and comments
+     * @param {string[]} lines - Document lines
+     * @returns {boolean} True if the document has YAML content
+     */
+    static hasContent(lines) {
+        return lines.some(line => {
+            const trimmed = line.replace(this.DOCUMENT_MARKER, '').trim();
+            return trimmed !== '' && !trimmed.startsWith('#') && !line.startsWith('%');
+        });
     }
 
     /**
      * Parse single YAML document
+     * @param {Object} document - Document from splitDocuments()
+     * @returns {any} Parsed document
+     * @throws {YAMLParseError} If the document is not valid YAML
+     */
+    static parseDocument(document) {
+        try {
+            return load(document.content, { schema: CORE_SCHEMA });
+        } catch (error) {
+            const mark = error.mark;
+            throw new YAMLParseError(
+                error.reason || error.message,
+                document.index,
+                mark ? document.startLine + mark.line : null,
+                mark ? mark.column + 1 : null,
+                mark ? mark.snippet : null
+            );
+        }
+    }
+
+    /**
+     * Parse single YAML document content
      * @param {string} yamlDoc - Single YAML document content
-     * @returns {Object} Parsed object
+     * @returns {any} Parsed document
      */
     static parseSingleDocument(yamlDoc) {
-        const lines = yamlDoc.split('\n');
-        const result = {};
-        let currentSection = null;
-        let inMultiLineString = false;
-        let multiLineKey = null;
-        let multiLineContent = '';
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
-            
-            // Skip empty lines
-            if (!trimmed) continue;
-            
-            // Handle multi-line strings
-            if (inMultiLineString) {
-                const isNewKey = !line.startsWith('  ') && trimmed.includes(':') && !trimmed.startsWith('#');
-                const isEndOfDoc = i === lines.length - 1;
-                
-                if (isNewKey || isEndOfDoc) {
-                    const target = currentSection || result;
-                    target[multiLineKey] = multiLineContent.trim();
-                    inMultiLineString = false;
-                    multiLineKey = null;
-                    multiLineContent = '';
-                    
-                    if (isEndOfDoc) break;
-                } else {
-                    multiLineContent += line + '\n';
-                    continue;
-                }
-            }
-            
-            // Parse key:value pairs with proper colon handling
-            let colonIndex = trimmed.indexOf(': ');
-            if (colonIndex === -1) {
-                colonIndex = trimmed.lastIndexOf(':');
-                if (colonIndex === -1) continue;
-            }
-            
-            const key = trimmed.substring(0, colonIndex).trim();
-            const value = trimmed.substring(colonIndex + 1).trim();
-            
-            // Handle top-level sections like "event:" or "log:"
-            if (!line.startsWith('  ') && (value === '' || value === null)) {
-                currentSection = {};
-                result[key] = currentSection;
-                continue;
-            }
-            
-            const target = currentSection || result;
-            
-            // Handle multi-line strings (|, |-)
-            if (value === '|' || value === '|-') {
-                inMultiLineString = true;
-                multiLineKey = key;
-                multiLineContent = '';
-                continue;
-            }
-            
-            // Handle array items
-            if (trimmed.startsWith('- ')) {
-                const arrayValue = trimmed.substring(2).trim();
-                if (!target.data) target.data = [];
-                
-                let arrayColonIndex = arrayValue.indexOf(': ');
-                if (arrayColonIndex === -1) {
-                    arrayColonIndex = arrayValue.lastIndexOf(':');
-                }
-                
-                if (arrayColonIndex > 0) {
-                    const itemKey = arrayValue.substring(0, arrayColonIndex).trim();
-                    const itemValue = arrayValue.substring(arrayColonIndex + 1).trim();
-                    const item = {};
-                    item[itemKey] = this.parseValue(itemValue);
-                    target.data.push(item);
-                } else {
-                    target.data.push(this.parseValue(arrayValue));
-                }
-                continue;
-            }
-            
-            // Handle regular key-value pairs
-            target[key] = this.parseValue(value);
-        }
-        
-        // Handle remaining multi-line string
-        if (inMultiLineString && multiLineKey) {
-            const target = currentSection || result;
-            target[multiLineKey] = multiLineContent.trim();
-        }
-        
-        return result;
+        return this.parseDocument({ index: 1, startLine: 1, content: yamlDoc });
     }
 
     /**
-     * Parse individual values with type conversion
-     * @param {string} value - String value to parse
-     * @returns {any} Parsed value with appropriate type
+     * Derive instance UUID and process number from the log header
+     * @param {Array} events - Parsed log events
+     * @param {string} fileName - Name of the source file, used as UUID fallback (optional)
+     * @returns {Object} Instance info with uuid and processNumber
      */
-    static parseValue(value) {
-        if (!value || value === 'null' || value === '__NOTSPECIFIED__') {
-            return null;
-        }
-        
-        if (value === 'true') return true;
-        if (value === 'false') return false;
-        
-        // Remove quotes
-        if ((value.startsWith("'") && value.endsWith("'")) || 
-            (value.startsWith('"') && value.endsWith('"'))) {
-            return value.slice(1, -1);
+    static extractInstanceInfo(events, fileName = null) {
+        const header = events.find(doc => doc.log)?.log || {};
+        // The XES header keeps instance attributes below log.trace, some logs directly below log
+        const trace = header.trace && typeof header.trace === 'object' ? header.trace : header;
+        const firstEvent = events.find(doc => doc.event)?.event || {};
+
+        let uuid = trace['cpee:instance'] || firstEvent['cpee:instance'] || null;
+        if (!uuid && fileName) {
+            uuid = fileName.replace(/\.xes\.ya?ml$|\.ya?ml$/i, '');
         }
-        
-        // Try to parse as number
-        const num = Number(value);
-        if (!isNaN(num) && isFinite(num)) {
-            return num;
+
+        if (!uuid) {
+            throw new Error('Could not determine instance UUID from log header');
         }
-        
-        return value;
+
+        const processNumber = parseInt(trace['concept:name'] ?? firstEvent['concept:instance'], 10);
+
+        return {
+            uuid: String(uuid).trim(),
+            processNumber: Number.isInteger(processNumber) && processNumber > 0 ? processNumber : null
+        };
     }
 }
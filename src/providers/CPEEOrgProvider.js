@@ -0,0 +1,33 @@
+/**
+ * cpee.org Log Source
+ * Public CPEE engine and log archive, reached through CORS proxies
+ */
+
+import { LogSourceProvider } from './LogSourceProvider.js';
+import { API_CONFIG } from '../config/constants.js';
+
+export class CPEEOrgProvider extends LogSourceProvider {
+    static ID = 'cpee-org';
+    static NAME = 'Public cpee.org';
+    static DESCRIPTION = 'Engine and logs hosted on cpee.org (fetched through CORS proxies).';
+
+    hasEngine() {
+        return true;
+    }
+
+    getEngineURL(processNumber) {
+        return LogSourceProvider.joinURL(API_CONFIG.CPEE_BASE_URL, `${processNumber}/`);
+    }
+
+    getLogURL(uuid) {
+        return LogSourceProvider.joinURL(API_CONFIG.CPEE_LOGS_BASE_URL, `${uuid}.xes.yaml`);
+    }
+
+    getGraphURL(processNumber) {
+        return `${API_CONFIG.CPEE_GRAPH_BASE_URL}?monitor=${this.getEngineURL(processNumber)}`;
+    }
+
+    allowsProxy() {
+        return true;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Local Directory Log Source
+ * Serves .xes.yaml logs from a folder picked by the user
+ * Files are named <uuid>.xes.yaml like in the CPEE log directory
+ */
+
+import { LogSourceProvider } from './LogSourceProvider.js';
+
+export class LocalDirectoryProvider extends LogSourceProvider {
+    static ID = 'local-directory';
+    static NAME = 'Local directory';
+    static DESCRIPTION = 'A copy of a CPEE log directory on this computer. The folder has to be picked again after a reload.';
+
+    static DEFAULT_SETTINGS = {
+        directoryName: ''
+    };
+
+    constructor(settings = {}) {
+        super(settings);
+        this.files = new Map();
+    }
+
+    /**
+     * Use the files of a picked directory
+     * @param {FileList|File[]} fileList - Files from a directory input
+     * @returns {number} Number of log files found
+     */
+    setFiles(fileList) {
+        this.files.clear();
+
+        Array.from(fileList || []).forEach(file => {
+            const match = file.name.match(/^(.+)\.xes\.ya?ml$/i);
+            if (match) {
+                this.files.set(match[1], file);
+            }
+        });
+
+        const firstPath = Array.from(fileList || [])[0]?.webkitRelativePath || '';
+        this.updateSettings({ directoryName: firstPath.split('/')[0] || '' });
+
+        return this.files.size;
+    }
+
+    isReady() {
+        return this.files.size > 0;
+    }
+
+    async getLogBlob(uuid) {
+        const file = this.files.get(uuid);
+        if (!file) {
+            throw new Error(`Log ${uuid}.xes.yaml not found in the selected directory`);
+        }
+        return file;
+    }
+
+    listLogs() {
+        return Array.from(this.files.entries()).map(([uuid, file]) => ({
+            uuid,
+            name: file.name,
+            size: file.size
+        }));
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Log Source Provider
+ * Base class for the places CPEE engines and logs are resolved from
+ */
+
+export class LogSourceProvider {
+    static ID = 'abstract';
+    static NAME = 'Abstract Log Source';
+    static DESCRIPTION = '';
+
+    // Persisted settings and their defaults
+    static DEFAULT_SETTINGS = {};
+
+    // Editable settings shown in the settings panel ({ key, label, type, placeholder })
+    static SETTINGS_FIELDS = [];
+
+    constructor(settings = {}) {
+        this.settings = { ...this.constructor.DEFAULT_SETTINGS, ...settings };
+    }
+
+    /**
+     * Get provider ID
+     * @returns {string} Provider ID
+     */
+    get id() {
+        return this.constructor.ID;
+    }
+
+    /**
+     * Get provider display name
+     * @returns {string} Display name
+     */
+    get name() {
+        return this.constructor.NAME;
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} Copy of the settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Update settings
+     * @param {Object} settings - Settings to merge into the current ones
+     */
+    updateSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    /**
+     * Check if the provider can serve logs right now
+     * @returns {boolean} True unless the provider's data is gone (in-memory sources after a reload)
+     */
+    isReady() {
+        return true;
+    }
+
+    /**
+     * Check if the provider talks to a CPEE engine (process numbers, live data)
+     * @returns {boolean} True if engine URLs can be resolved
+     */
+    hasEngine() {
+        return false;
+    }
+
+    /**
+     * Get the CPEE engine URL for a process instance number
+     * @param {number} processNumber - CPEE process instance number
+     * @returns {string|null} Engine URL with trailing slash, or null if not supported
+     */
+    getEngineURL(processNumber) {
+        return null;
+    }
+
+    /**
+     * Get the URL of the .xes.yaml log for an instance
+     * @param {string} uuid - CPEE instance UUID
+     * @returns {string|null} Log URL, or null if logs are not served over HTTP
+     */
+    getLogURL(uuid) {
+        return null;
+    }
+
+    /**
+     * Get the CPEE graph (monitoring) URL for a process instance number
+     * @param {number} processNumber - CPEE process instance number
+     * @returns {string|null} Graph URL, or null if not supported
+     */
+    getGraphURL(processNumber) {
+        return null;
+    }
+
+    /**
+     * Check if requests may fall back to the public CORS proxies when a direct request fails
+     * @returns {boolean} True if proxies may be used
+     */
+    allowsProxy() {
+        return false;
+    }
+
+    /**
+     * Get a locally available log
+     * @param {string} uuid - CPEE instance UUID
+     * @returns {Promise<Blob|null>} Log content, or null if the provider serves logs over HTTP
+     */
+    async getLogBlob(uuid) {
+        return null;
+    }
+
+    /**
+     * List logs the provider can load without a UUID lookup
+     * @returns {Array} Entries with uuid, name and size
+     */
+    listLogs() {
+        return [];
+    }
+
+    /**
+     * Join a base URL and a path without duplicate slashes
+     * @param {string} base - Base URL
+     * @param {string} path - Relative path
+     * @returns {string} Joined URL
+     */
+    static joinURL(base, path) {
+        return `${base.replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Pasted Text Log Source
+ * Keeps logs pasted into the settings panel, keyed by the instance UUID from their header
+ */
+
+import { LogSourceProvider } from './LogSourceProvider.js';
+import { YAMLParser, YAMLDocumentStream } from '../parsers/YAMLParser.js';
+
+export class PastedTextProvider extends LogSourceProvider {
+    static ID = 'pasted-text';
+    static NAME = 'Pasted text';
+    static DESCRIPTION = 'Log content copied from elsewhere and pasted below.';
+
+    constructor(settings = {}) {
+        super(settings);
+        this.logs = new Map();
+    }
+
+    /**
+     * Add pasted log content
+     * @param {string} text - Raw .xes.yaml content
+     * @returns {string} Instance UUID found in the log header
+     */
+    addLog(text) {
+        if (!text || !text.trim()) {
+            throw new Error('No log content pasted');
+        }
+
+        const uuid = this.extractUUID(text);
+        this.logs.set(uuid, text);
+        return uuid;
+    }
+
+    /**
+     * Find the instance UUID in the first documents of a log
+     * @param {string} text - Raw .xes.yaml content
+     * @returns {string} Instance UUID
+     */
+    extractUUID(text) {
+        const stream = new YAMLDocumentStream();
+        const documents = [...stream.push(text), ...stream.end()].slice(0, 2);
+        const { events } = YAMLParser.parseDocuments(documents);
+
+        return YAMLParser.extractInstanceInfo(events).uuid;
+    }
+
+    isReady() {
+        return this.logs.size > 0;
+    }
+
+    async getLogBlob(uuid) {
+        const text = this.logs.get(uuid);
+        if (!text) {
+            throw new Error(`No pasted log for instance ${uuid}`);
+        }
+        return new Blob([text], { type: 'application/x-yaml' });
+    }
+
+    listLogs() {
+        return Array.from(this.logs.entries()).map(([uuid, text]) => ({
+            uuid,
+            name: `${uuid}.xes.yaml`,
+            size: text.length
+        }));
+    }
+}
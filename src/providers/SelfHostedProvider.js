@@ -0,0 +1,53 @@
+/**
+ * Self-hosted CPEE Log Source
+ * A CPEE engine and log directory under our own URLs
+ */
+
+import { LogSourceProvider } from './LogSourceProvider.js';
+
+export class SelfHostedProvider extends LogSourceProvider {
+    static ID = 'self-hosted';
+    static NAME = 'Self-hosted CPEE engine';
+    static DESCRIPTION = 'Your own CPEE installation. Enable the proxy only if it does not send CORS headers.';
+
+    static DEFAULT_SETTINGS = {
+        engineURL: '',
+        logsURL: '',
+        graphURL: '',
+        useProxy: false
+    };
+
+    static SETTINGS_FIELDS = [
+        { key: 'engineURL', label: 'Engine URL', type: 'url', placeholder: 'https://cpee.example.org/flow/engine' },
+        { key: 'logsURL', label: 'Logs URL', type: 'url', placeholder: 'https://cpee.example.org/logs' },
+        { key: 'graphURL', label: 'Graph URL (optional)', type: 'url', placeholder: 'https://cpee.example.org/flow/graph.html' },
+        { key: 'useProxy', label: 'Fall back to CORS proxies', type: 'checkbox' }
+    ];
+
+    hasEngine() {
+        return Boolean(this.settings.engineURL);
+    }
+
+    getEngineURL(processNumber) {
+        if (!this.settings.engineURL) {
+            throw new Error('No engine URL configured for the self-hosted CPEE source');
+        }
+        return LogSourceProvider.joinURL(this.settings.engineURL, `${processNumber}/`);
+    }
+
+    getLogURL(uuid) {
+        if (!this.settings.logsURL) {
+            throw new Error('No logs URL configured for the self-hosted CPEE source');
+        }
+        return LogSourceProvider.joinURL(this.settings.logsURL, `${uuid}.xes.yaml`);
+    }
+
+    getGraphURL(processNumber) {
+        if (!this.settings.graphURL || !this.settings.engineURL) return null;
+        return `${this.settings.graphURL}?monitor=${this.getEngineURL(processNumber)}`;
+    }
+
+    allowsProxy() {
+        return Boolean(this.settings.useProxy);
+    }
+}
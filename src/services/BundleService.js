@@ -0,0 +1,86 @@
+/**
+ * Bundle Service
+ * Writes an instance to a versioned JSON bundle and reads it back, so problem cases can be
+ * archived or attached to bug reports and later restored as they were
+ *
+ * { format, version, exportedAt, instance, rawLog }
+ * instance: CPEEInstance.toObject (steps, process number, events, parse errors, step notes)
+ * rawLog: { content, finished, source } of the LogCacheService, or null if it was not cached
+ */
+
+import { CPEEInstance } from '../modules/CPEEInstance.js';
+import { LogCacheService } from './LogCacheService.js';
+
+export class BundleService {
+    static FORMAT = 'cpee-instance-bundle';
+    static VERSION = 1;
+    static FILE_EXTENSION = '.json';
+
+    /**
+     * Create the bundle of an instance
+     * @param {CPEEInstance} instance - Instance to export
+     * @returns {Promise<Object>} Bundle
+     */
+    static async createBundle(instance) {
+        const cached = await LogCacheService.get(instance.uuid);
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            instance: instance.toObject(),
+            rawLog: cached
+                ? { content: cached.content, finished: cached.finished, source: cached.source, providerId: cached.providerId }
+                : null
+        };
+    }
+
+    /**
+     * Serialize a bundle
+     * @param {Object} bundle - Bundle from createBundle
+     * @returns {string} JSON document
+     */
+    static toJSON(bundle) {
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    /**
+     * Read a bundle
+     * @param {string} json - JSON document
+     * @returns {Object} { instance, rawLog } with the restored CPEEInstance
+     * @throws {Error} If the document is no bundle or of a newer version
+     */
+    static parseBundle(json) {
+        let bundle;
+        try {
+            bundle = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON (${error.message})`);
+        }
+
+        if (!bundle || bundle.format !== this.FORMAT) {
+            throw new Error('The file is not an instance bundle');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version > this.VERSION) {
+            throw new Error(`Bundle version ${bundle.version} is not supported (up to ${this.VERSION})`);
+        }
+
+        const data = bundle.instance;
+        if (!data || typeof data.uuid !== 'string' || !data.uuid || !Array.isArray(data.steps)) {
+            throw new Error('The bundle contains no instance');
+        }
+
+        const rawLog = bundle.rawLog && typeof bundle.rawLog.content === 'string' ? bundle.rawLog : null;
+
+        return { instance: CPEEInstance.fromObject(data), rawLog };
+    }
+
+    /**
+     * Check if a file is a bundle rather than a log
+     * @param {File} file - Picked or dropped file
+     * @returns {boolean} True for .json files
+     */
+    static isBundleFile(file) {
+        return file.name.toLowerCase().endsWith(this.FILE_EXTENSION);
+    }
+}
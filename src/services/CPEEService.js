@@ -1,12 +1,13 @@
 /**
  * CPEE Service
  * Handles communication with CPEE endpoints for process instance data
+ * Engine and graph URLs are resolved through the active log source provider
  */
 
+import { LogSourceService } from './LogSourceService.js';
+import { HttpClient } from './HttpClient.js';
+
 export class CPEEService {
-    static BASE_URL = 'https://cpee.org/flow/engine';
-    static CORS_PROXY = 'https://corsproxy.io/?';
-    
     /**
      * Fetch UUID for a given process instance number
      * @param {number} processNumber - CPEE process instance number
@@ -17,24 +18,24 @@ export class CPEEService {
             throw new Error('Invalid process number provided');
         }
         
-        const uuidUrl = `${this.BASE_URL}/${processNumber}/properties/attributes/uuid/`;
+        const provider = LogSourceService.getActiveProvider();
+        if (!provider.hasEngine()) {
+            throw new Error(`The log source "${provider.name}" has no CPEE engine to look up process numbers`);
+        }
+        
+        const uuidUrl = `${provider.getEngineURL(processNumber)}properties/attributes/uuid/`;
         
         try {
             console.log(`Fetching UUID for process number: ${processNumber}`);
             console.log(`URL: ${uuidUrl}`);
             
-            // Use CORS proxy to fetch the UUID
-            const response = await fetch(this.CORS_PROXY + encodeURIComponent(uuidUrl), {
-                method: 'GET',
+            const response = await HttpClient.request(uuidUrl, {
                 headers: {
                     'Accept': 'text/plain, application/json, */*'
-                }
+                },
+                allowProxy: provider.allowsProxy()
             });
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const uuid = await response.text();
             const cleanUuid = uuid.trim();
             
@@ -55,19 +56,71 @@ export class CPEEService {
     /**
      * Get the CPEE graph URL for a process instance number
      * @param {number} processNumber - CPEE process instance number
-     * @returns {string} CPEE graph URL
+     * @returns {string|null} CPEE graph URL, or null if the log source has none
      */
     static getCPEEGraphURL(processNumber) {
-        return `https://cpee.org/flow/graph.html?monitor=${this.BASE_URL}/${processNumber}/`;
+        return LogSourceService.getActiveProvider().getGraphURL(processNumber);
     }
     
     /**
      * Get the CPEE engine URL for a process instance number
      * @param {number} processNumber - CPEE process instance number
-     * @returns {string} CPEE engine URL
+     * @returns {string|null} CPEE engine URL, or null if the log source has no engine
      */
     static getCPEEEngineURL(processNumber) {
-        return `${this.BASE_URL}/${processNumber}/`;
+        const provider = LogSourceService.getActiveProvider();
+        return provider.hasEngine() ? provider.getEngineURL(processNumber) : null;
+    }
+    
+    /**
+     * Subscribe to notifications of a process instance
+     * @param {number} processNumber - CPEE process instance number
+     * @param {Object} topics - Map of topic to event names, e.g. { description: ['change'] }
+     * @returns {Promise<Object>} Subscription key and WebSocket URL
+     */
+    static async subscribeToNotifications(processNumber, topics) {
+        const engineUrl = this.getCPEEEngineURL(processNumber);
+        if (!engineUrl) {
+            throw new Error('The active log source has no CPEE engine');
+        }
+        
+        // CPEE expects topic/events pairs in order
+        const body = new URLSearchParams();
+        Object.entries(topics).forEach(([topic, events]) => {
+            body.append('topic', topic);
+            body.append('events', events.join(','));
+        });
+        
+        // The WebSocket has to reach the engine directly, so the subscription does as well
+        const response = await HttpClient.request(`${engineUrl}notifications/subscriptions/`, {
+            method: 'POST',
+            body,
+            retries: 0
+        });
+        
+        const text = (await response.text()).trim();
+        const key = new URLSearchParams(text).get('key') || text;
+        
+        return {
+            key,
+            socketURL: `${engineUrl.replace(/^http/, 'ws')}notifications/subscriptions/${key}/ws/`
+        };
+    }
+    
+    /**
+     * Remove a notification subscription (best effort)
+     * @param {number} processNumber - CPEE process instance number
+     * @param {string} key - Subscription key
+     */
+    static async unsubscribeFromNotifications(processNumber, key) {
+        const engineUrl = this.getCPEEEngineURL(processNumber);
+        if (!engineUrl) return;
+        
+        try {
+            await HttpClient.request(`${engineUrl}notifications/subscriptions/${key}/`, { method: 'DELETE', retries: 0 });
+        } catch (error) {
+            console.warn(`Could not remove subscription ${key}:`, error.message);
+        }
     }
     
     /**
@@ -86,6 +139,17 @@ export class CPEEService {
      * @returns {number|null} Process number or null if not found
      */
     static extractProcessNumberFromURL(url) {
+        const provider = LogSourceService.getActiveProvider();
+        
+        // Strip the configured engine prefix first, so self-hosted paths work as well
+        if (provider.hasEngine()) {
+            const engineBase = provider.getEngineURL(0).replace(/0\/$/, '');
+            if (url.startsWith(engineBase)) {
+                const match = url.substring(engineBase.length).match(/^(\d+)(?:\/|$)/);
+                if (match) return parseInt(match[1], 10);
+            }
+        }
+        
         const match = url.match(/\/flow\/engine\/(\d+)\//);
         return match ? parseInt(match[1], 10) : null;
     }
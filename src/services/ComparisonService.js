@@ -0,0 +1,122 @@
+/**
+ * Comparison Service
+ * Aligns the steps of two instances (or two ranges of the same instance)
+ * so they can be shown side by side
+ */
+
+export class ComparisonService {
+    static ALIGNMENTS = {
+        stepNumber: 'By step number',
+        userInput: 'By similar user input'
+    };
+
+    // Steps whose user inputs are less similar are never paired
+    static MIN_SIMILARITY = 0.3;
+
+    /**
+     * Align two step sequences
+     * @param {CPEEStep[]} leftSteps - Steps shown on the left
+     * @param {CPEEStep[]} rightSteps - Steps shown on the right
+     * @param {string} alignment - Key of ALIGNMENTS
+     * @returns {Array} Pairs ({ left, right, similarity }), left or right is null where a side has no counterpart
+     */
+    static align(leftSteps, rightSteps, alignment = 'stepNumber') {
+        return alignment === 'userInput'
+            ? this.alignByUserInput(leftSteps, rightSteps)
+            : this.alignByStepNumber(leftSteps, rightSteps);
+    }
+
+    /**
+     * Pair the steps in order, the longer sequence continues alone
+     * @param {CPEEStep[]} leftSteps - Steps shown on the left
+     * @param {CPEEStep[]} rightSteps - Steps shown on the right
+     * @returns {Array} Pairs
+     */
+    static alignByStepNumber(leftSteps, rightSteps) {
+        const length = Math.max(leftSteps.length, rightSteps.length);
+
+        return Array.from({ length }, (_, index) => {
+            const left = leftSteps[index] || null;
+            const right = rightSteps[index] || null;
+            return { left, right, similarity: left && right ? this.getSimilarity(left, right) : 0 };
+        });
+    }
+
+    /**
+     * Pair steps with similar user inputs while keeping both sequences in order
+     * (global alignment maximizing the summed similarity, unpaired steps stand alone)
+     * @param {CPEEStep[]} leftSteps - Steps shown on the left
+     * @param {CPEEStep[]} rightSteps - Steps shown on the right
+     * @returns {Array} Pairs
+     */
+    static alignByUserInput(leftSteps, rightSteps) {
+        const leftTokens = leftSteps.map(step => this.tokenize(step.getUserInputText()));
+        const rightTokens = rightSteps.map(step => this.tokenize(step.getUserInputText()));
+
+        // scores[i][j] = best summed similarity of leftSteps[i..] and rightSteps[j..]
+        const scores = Array.from({ length: leftSteps.length + 1 }, () => new Float64Array(rightSteps.length + 1));
+        const similarities = leftTokens.map(tokens => rightTokens.map(other => this.jaccard(tokens, other)));
+
+        for (let i = leftSteps.length - 1; i >= 0; i--) {
+            for (let j = rightSteps.length - 1; j >= 0; j--) {
+                const paired = similarities[i][j] >= this.MIN_SIMILARITY
+                    ? scores[i + 1][j + 1] + similarities[i][j]
+                    : -Infinity;
+                scores[i][j] = Math.max(paired, scores[i + 1][j], scores[i][j + 1]);
+            }
+        }
+
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        while (i < leftSteps.length && j < rightSteps.length) {
+            const similarity = similarities[i][j];
+            if (similarity >= this.MIN_SIMILARITY && scores[i][j] === scores[i + 1][j + 1] + similarity) {
+                pairs.push({ left: leftSteps[i++], right: rightSteps[j++], similarity });
+            } else if (scores[i][j] === scores[i + 1][j]) {
+                pairs.push({ left: leftSteps[i++], right: null, similarity: 0 });
+            } else {
+                pairs.push({ left: null, right: rightSteps[j++], similarity: 0 });
+            }
+        }
+        while (i < leftSteps.length) pairs.push({ left: leftSteps[i++], right: null, similarity: 0 });
+        while (j < rightSteps.length) pairs.push({ left: null, right: rightSteps[j++], similarity: 0 });
+
+        return pairs;
+    }
+
+    /**
+     * Similarity of the user inputs of two steps
+     * @param {CPEEStep} left - Step
+     * @param {CPEEStep} right - Step
+     * @returns {number} 0 (nothing in common) to 1 (same words)
+     */
+    static getSimilarity(left, right) {
+        return this.jaccard(this.tokenize(left.getUserInputText()), this.tokenize(right.getUserInputText()));
+    }
+
+    /**
+     * Split text into lowercase words
+     * @param {string} text - Text
+     * @returns {Set<string>} Words
+     */
+    static tokenize(text) {
+        return new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    }
+
+    /**
+     * Jaccard index of two word sets
+     * @param {Set<string>} a - Words
+     * @param {Set<string>} b - Words
+     * @returns {number} Shared words / all words (0 if both are empty)
+     */
+    static jaccard(a, b) {
+        if (a.size === 0 && b.size === 0) return 0;
+
+        let shared = 0;
+        a.forEach(word => {
+            if (b.has(word)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+}
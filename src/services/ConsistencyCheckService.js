@@ -0,0 +1,312 @@
+/**
+ * Consistency Check Service
+ * Checks the round trip CPEE-Tree → Mermaid → CPEE-Tree of a step by mapping
+ * the nodes of the output intermediate (IDs like a9:task:) to the elements
+ * of the output CPEE-Tree
+ */
+
+import { MermaidDiffService } from './MermaidDiffService.js';
+import { TreeDiffService } from './TreeDiffService.js';
+
+export class ConsistencyCheckService {
+    static MISMATCH_TYPES = {
+        lost: 'Lost',
+        invented: 'Invented',
+        label: 'Label',
+        gateway: 'Gateway',
+        branches: 'Branches'
+    };
+
+    // Tree elements that become a single Mermaid node
+    static ACTIVITY_TAGS = ['call', 'manipulate', 'stop', 'terminate', 'escape'];
+
+    // Tree elements that become a splitting gateway, with the gateway types they may appear as
+    static BRANCHING_TAGS = {
+        choose: ['exclusivegateway', 'inclusivegateway'],
+        parallel: ['parallelgateway'],
+        loop: ['exclusivegateway']
+    };
+
+    // <cpee id>:<type>: as written by the CPEE → Mermaid conversion
+    static NODE_ID = /^(.+?):(\w+):$/;
+
+    /**
+     * Check the output intermediate against the output tree of a step
+     * @param {string} outputIntermediate - Output intermediate as logged
+     * @param {string} outputXml - Output CPEE-Tree as logged
+     * @returns {Object} { verdict: 'consistent' | 'inconsistent', matched, mismatches }
+     *                   with mismatches ({ type, id, message })
+     */
+    static check(outputIntermediate, outputXml) {
+        const code = MermaidDiffService.cleanCode(outputIntermediate, 'Output Intermediate');
+        if (!code) {
+            throw new Error('Output Intermediate is empty');
+        }
+
+        const flowchart = MermaidDiffService.parseFlowchart(code);
+        const treeNodes = TreeDiffService.collectNodes(TreeDiffService.parseTree(outputXml, 'Output CPEE-Tree'));
+
+        const diagramNodes = Array.from(flowchart.nodes.values()).map(node => this.describeNode(node, flowchart.edges));
+        const mismatches = [];
+
+        const activities = this.checkActivities(
+            diagramNodes.filter(node => node.kind === 'activity'),
+            treeNodes.filter(node => this.ACTIVITY_TAGS.includes(node.tag)),
+            mismatches
+        );
+        const gateways = this.checkGateways(
+            diagramNodes.filter(node => node.kind === 'gateway' && node.targets.length >= 2),
+            treeNodes.filter(node => node.tag in this.BRANCHING_TAGS),
+            mismatches
+        );
+
+        return {
+            verdict: mismatches.length === 0 ? 'consistent' : 'inconsistent',
+            matched: activities + gateways,
+            mismatches
+        };
+    }
+
+    /**
+     * Split a Mermaid node ID into CPEE id and node type
+     * @param {Object} node - Parsed node ({ id, label })
+     * @param {Map} edges - Parsed edges of the diagram
+     * @returns {Object} { id, label, cpeeId, type, kind, targets } with kind activity, gateway or event
+     */
+    static describeNode(node, edges) {
+        const match = node.id.match(this.NODE_ID);
+
+        // Nodes added by the LLM may not follow the id:type: scheme
+        const cpeeId = match ? match[1] : null;
+        const type = match ? match[2].toLowerCase() : 'task';
+        const kind = type.endsWith('gateway') ? 'gateway' : type.endsWith('event') ? 'event' : 'activity';
+
+        const targets = Array.from(edges.values())
+            .filter(edge => edge.from === node.id)
+            .map(edge => edge.to);
+
+        return { id: node.id, label: node.label, cpeeId, type, kind, targets };
+    }
+
+    /**
+     * Map activity nodes to tree elements by id, then the rest by label
+     * @param {Array} diagramNodes - Activity nodes of the intermediate
+     * @param {Array} treeNodes - Activity elements of the tree
+     * @param {Array} mismatches - Collected mismatches
+     * @returns {number} Number of matched activities
+     */
+    static checkActivities(diagramNodes, treeNodes, mismatches) {
+        const pairs = [];
+        const unmatchedTree = new Set(treeNodes);
+        const unmatchedDiagram = [];
+
+        diagramNodes.forEach(node => {
+            const element = treeNodes.find(treeNode => treeNode.id && treeNode.id === node.cpeeId);
+            if (element) {
+                pairs.push([node, element]);
+                unmatchedTree.delete(element);
+            } else {
+                unmatchedDiagram.push(node);
+            }
+        });
+
+        // New nodes get their id only when converted back, so fall back to the label
+        unmatchedDiagram.forEach(node => {
+            const label = this.normalizeLabel(node.label);
+            const element = label && Array.from(unmatchedTree).find(treeNode => this.normalizeLabel(treeNode.label) === label);
+
+            if (element) {
+                pairs.push([node, element]);
+                unmatchedTree.delete(element);
+            } else {
+                mismatches.push({
+                    type: 'lost',
+                    id: node.id,
+                    message: `${this.describeDiagramNode(node)} is in the intermediate but not in the CPEE-Tree`
+                });
+            }
+        });
+
+        unmatchedTree.forEach(element => {
+            mismatches.push({
+                type: 'invented',
+                id: element.id,
+                message: `${this.describeTreeNode(element)} is in the CPEE-Tree but not in the intermediate`
+            });
+        });
+
+        pairs.forEach(([node, element]) => {
+            if (this.normalizeLabel(node.label) !== this.normalizeLabel(element.label)) {
+                mismatches.push({
+                    type: 'label',
+                    id: node.id,
+                    message: `${this.describeDiagramNode(node)} is labeled "${element.label ?? ''}" in the CPEE-Tree`
+                });
+            }
+        });
+
+        return pairs.length;
+    }
+
+    /**
+     * Map splitting gateways to choose, parallel and loop elements and compare their branches
+     * Gateways are matched by id or else by the activities their branches start with
+     * @param {Array} gateways - Gateway nodes with at least two outgoing edges
+     * @param {Array} treeNodes - Branching elements of the tree
+     * @param {Array} mismatches - Collected mismatches
+     * @returns {number} Number of matched gateways
+     */
+    static checkGateways(gateways, treeNodes, mismatches) {
+        const unmatchedTree = new Set(treeNodes);
+        let matched = 0;
+
+        gateways.forEach(gateway => {
+            const candidates = Array.from(unmatchedTree)
+                .filter(element => this.BRANCHING_TAGS[element.tag].includes(gateway.type) || !this.isKnownGatewayType(gateway.type));
+            const targetIds = gateway.targets.map(target => (target.match(this.NODE_ID) || [])[1]).filter(Boolean);
+
+            let element = candidates.find(candidate => candidate.id && candidate.id === gateway.cpeeId);
+            if (!element) {
+                let bestScore = 0;
+                candidates.forEach(candidate => {
+                    const entryIds = this.getBranchEntryIds(candidate);
+                    const score = targetIds.filter(id => entryIds.includes(id)).length;
+                    if (score > bestScore) {
+                        bestScore = score;
+                        element = candidate;
+                    }
+                });
+            }
+
+            if (!element) {
+                mismatches.push({
+                    type: 'gateway',
+                    id: gateway.id,
+                    message: `${this.describeDiagramNode(gateway)} has no matching ${this.getExpectedTags(gateway.type)} in the CPEE-Tree`
+                });
+                return;
+            }
+
+            matched++;
+            unmatchedTree.delete(element);
+
+            const expected = this.getExpectedBranchCounts(element);
+            if (!expected.includes(gateway.targets.length)) {
+                mismatches.push({
+                    type: 'branches',
+                    id: gateway.id,
+                    message: `${this.describeDiagramNode(gateway)} has ${gateway.targets.length} outgoing branches, the matching ${this.describeTreeNode(element)} needs ${expected.join(' or ')}`
+                });
+            }
+        });
+
+        unmatchedTree.forEach(element => {
+            mismatches.push({
+                type: 'gateway',
+                id: element.id,
+                message: `${this.describeTreeNode(element)} has no gateway in the intermediate`
+            });
+        });
+
+        return matched;
+    }
+
+    /**
+     * Get the ids of the first activity in each branch of a branching element
+     * @param {Object} element - choose, parallel or loop node
+     * @returns {string[]} Activity ids
+     */
+    static getBranchEntryIds(element) {
+        const branches = element.tag === 'loop' ? [element] : element.children;
+        return branches.map(branch => this.findFirstActivityId(branch)).filter(Boolean);
+    }
+
+    /**
+     * Find the id of the first activity below a node (pre-order)
+     * @param {Object} node - Tree node
+     * @returns {string|null} Activity id
+     */
+    static findFirstActivityId(node) {
+        for (const child of node.children) {
+            if (this.ACTIVITY_TAGS.includes(child.tag) && child.id) return child.id;
+            const id = this.findFirstActivityId(child);
+            if (id) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Get the numbers of outgoing edges a gateway for a branching element may have
+     * A loop continues or exits, a choose without otherwise may also skip all alternatives
+     * @param {Object} element - choose, parallel or loop node
+     * @returns {number[]} Accepted edge counts
+     */
+    static getExpectedBranchCounts(element) {
+        if (element.tag === 'loop') return [2];
+
+        const branches = element.children.length;
+        if (element.tag === 'choose' && !element.children.some(child => child.tag === 'otherwise')) {
+            return [branches, branches + 1];
+        }
+        return [branches];
+    }
+
+    /**
+     * Check if a gateway type has known tree counterparts
+     * @param {string} type - Mermaid node type
+     * @returns {boolean} True if listed in BRANCHING_TAGS
+     */
+    static isKnownGatewayType(type) {
+        return Object.values(this.BRANCHING_TAGS).some(types => types.includes(type));
+    }
+
+    /**
+     * Get the tree elements a gateway type may stand for
+     * @param {string} type - Mermaid node type
+     * @returns {string} Element names for messages
+     */
+    static getExpectedTags(type) {
+        const tags = Object.keys(this.BRANCHING_TAGS).filter(tag => this.BRANCHING_TAGS[tag].includes(type));
+        return (tags.length > 0 ? tags : Object.keys(this.BRANCHING_TAGS)).join('/');
+    }
+
+    /**
+     * Normalize a label for comparison
+     * @param {string|null} label - Label
+     * @returns {string} Trimmed label with collapsed whitespace
+     */
+    static normalizeLabel(label) {
+        return (label || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Describe a Mermaid node for messages
+     * @param {Object} node - Described node
+     * @returns {string} e.g. task a9 "Task b"
+     */
+    static describeDiagramNode(node) {
+        const label = node.kind === 'activity' && node.label ? ` "${node.label}"` : '';
+        return `${node.type} ${node.cpeeId || node.id}${label}`;
+    }
+
+    /**
+     * Describe a tree element for messages
+     * @param {Object} node - Tree node
+     * @returns {string} e.g. call a9 "Task b" or choose (parallel › parallel_branch 2)
+     */
+    static describeTreeNode(node) {
+        if (node.id) {
+            return `${node.tag} ${node.id}${node.label ? ` "${node.label}"` : ''}`;
+        }
+        return `${node.tag} (${TreeDiffService.describeLocation(node)})`;
+    }
+
+    /**
+     * Get the display name of a mismatch type
+     * @param {string} type - Mismatch type
+     * @returns {string} Display name
+     */
+    static getTypeName(type) {
+        return this.MISMATCH_TYPES[type] || type;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Dataset Service
+ * Turns the steps of one or many instances into an evaluation dataset for the modelling LLM:
+ * one row per step with its inputs and outputs, whether it failed and how long it took,
+ * written as JSON Lines or CSV
+ */
+
+import { ErrorAnalysisService } from './ErrorAnalysisService.js';
+import { TimelineService } from './TimelineService.js';
+
+export class DatasetService {
+    static FORMATS = {
+        jsonl: { name: 'JSON Lines', extension: '.jsonl', type: 'application/x-ndjson' },
+        csv: { name: 'CSV', extension: '.csv', type: 'text/csv' }
+    };
+
+    static FILTERS = {
+        all: 'All steps',
+        failing: 'Only failing steps',
+        successful: 'Only successful steps'
+    };
+
+    // Columns in output order
+    static COLUMNS = [
+        'instanceUuid', 'processNumber', 'stepNumber', 'changeUuid', 'timestamp',
+        'userInput', 'inputCpeeTree', 'inputIntermediate', 'outputIntermediate', 'outputCpeeTree',
+        'success', 'errorCount', 'errors',
+        'startTime', 'endTime', 'durationMs', 'llmMs', 'turnaroundMs'
+    ];
+
+    /**
+     * Create the rows of a dataset
+     * @param {CPEEInstance[]} instances - Instances to export
+     * @param {string} filter - Key of FILTERS
+     * @returns {Promise<Object[]>} Rows with the keys of COLUMNS
+     */
+    static async createRows(instances, filter = 'all') {
+        const rows = [];
+
+        for (const instance of instances) {
+            const errors = await ErrorAnalysisService.analyzeInstance(instance);
+
+            instance.getAllSteps().forEach((step, index) => {
+                const stepErrors = errors.filter(error => error.stepIndex === index);
+                const success = stepErrors.length === 0;
+
+                if ((filter === 'failing' && success) || (filter === 'successful' && !success)) return;
+
+                rows.push(this.createRow(instance, step, index, stepErrors));
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Create the row of a single step
+     * @param {CPEEInstance} instance - Instance of the step
+     * @param {CPEEStep} step - Step
+     * @param {number} stepIndex - Index of the step in its instance
+     * @param {Array} errors - Errors of the step from the ErrorAnalysisService
+     * @returns {Object} Row
+     */
+    static createRow(instance, step, stepIndex, errors) {
+        const section = (name) => step.hasContent(name) ? step.getContent(name) : null;
+        const span = TimelineService.getStepSpan(step, stepIndex);
+        const time = (ms) => ms === undefined || ms === null ? null : new Date(ms).toISOString();
+
+        return {
+            instanceUuid: instance.uuid,
+            processNumber: instance.processNumber ?? null,
+            stepNumber: step.stepNumber,
+            changeUuid: step.changeUuid,
+            timestamp: step.timestamp || null,
+            userInput: step.getUserInputText() || null,
+            inputCpeeTree: section('inputCpeeTree'),
+            inputIntermediate: section('inputIntermediate'),
+            outputIntermediate: section('outputIntermediate'),
+            outputCpeeTree: section('outputCpeeTree'),
+            success: errors.length === 0,
+            errorCount: errors.length,
+            errors: errors.map(error => {
+                const location = error.section ? ` (${ErrorAnalysisService.getSectionName(error.section)})` : '';
+                return `${ErrorAnalysisService.getCategoryName(error.category)}${location}: ${error.message}`;
+            }),
+            startTime: time(span?.start),
+            endTime: time(span?.end),
+            durationMs: span ? span.end - span.start : null,
+            llmMs: span?.llm ? span.llm.end - span.llm.start : null,
+            turnaroundMs: span?.turnaround ?? null
+        };
+    }
+
+    /**
+     * Write rows as JSON Lines
+     * @param {Object[]} rows - Rows from createRows
+     * @returns {string} One JSON object per line
+     */
+    static toJSONL(rows) {
+        return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Write rows as CSV (RFC 4180, errors joined by "; ")
+     * @param {Object[]} rows - Rows from createRows
+     * @returns {string} CSV with a header line
+     */
+    static toCSV(rows) {
+        const cell = (value) => {
+            if (value === null || value === undefined) return '';
+
+            const text = Array.isArray(value) ? value.join('; ') : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            this.COLUMNS.join(','),
+            ...rows.map(row => this.COLUMNS.map(column => cell(row[column])).join(','))
+        ].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Write rows in a format
+     * @param {Object[]} rows - Rows from createRows
+     * @param {string} format - Key of FORMATS
+     * @returns {string} File content
+     */
+    static serialize(rows, format) {
+        return format === 'csv' ? this.toCSV(rows) : this.toJSONL(rows);
+    }
+}
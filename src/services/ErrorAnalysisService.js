@@ -0,0 +1,154 @@
+/**
+ * Error Analysis Service
+ * Collects everything that went wrong in the steps of an instance:
+ * engine error events, invalid CPEE-Trees and schema violations,
+ * unparsable Mermaid diagrams and empty or missing sections
+ */
+
+import { GraphSourceService } from './GraphSourceService.js';
+import { SchemaValidationService } from './SchemaValidationService.js';
+
+export class ErrorAnalysisService {
+    static CATEGORIES = {
+        engine: 'Engine error',
+        xml: 'Invalid CPEE-Tree',
+        schema: 'Schema violation',
+        mermaid: 'Invalid Mermaid',
+        section: 'Missing section'
+    };
+
+    static SECTIONS = {
+        inputCpeeTree: 'Input CPEE-Tree',
+        inputIntermediate: 'Input Intermediate',
+        userInput: 'User Input',
+        outputIntermediate: 'Output Intermediate',
+        outputCpeeTree: 'Output CPEE-Tree'
+    };
+
+    static XML_SECTIONS = ['inputCpeeTree', 'outputCpeeTree'];
+    static MERMAID_SECTIONS = ['inputIntermediate', 'outputIntermediate'];
+
+    /**
+     * Get the errors of an instance, analyzing its steps if needed
+     * @param {CPEEInstance} instance - Instance to analyze
+     * @returns {Promise<Array>} Errors ({ stepIndex, stepNumber, category, section, message, timestamp })
+     */
+    static async analyzeInstance(instance) {
+        const cached = instance.getAnalysisErrors();
+        if (cached) return cached;
+
+        const steps = instance.getAllSteps();
+        const errors = [];
+
+        for (const [index, step] of steps.entries()) {
+            errors.push(...await this.analyzeStep(step, index));
+        }
+
+        // Steps may have changed while Mermaid was parsing
+        if (steps.length === instance.getStepCount() && steps.every((step, index) => instance.getStep(index) === step)) {
+            instance.setAnalysisErrors(errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Analyze a single step
+     * @param {CPEEStep} step - Step to analyze
+     * @param {number} stepIndex - Index of the step in its instance
+     * @returns {Promise<Array>} Errors of the step
+     */
+    static async analyzeStep(step, stepIndex) {
+        const errors = [];
+        const addError = (category, message, section = null, timestamp = step.timestamp) => {
+            errors.push({ stepIndex, stepNumber: step.stepNumber, category, section, message, timestamp });
+        };
+
+        step.getErrorEvents().forEach(event => {
+            addError('engine', `${event.transition}: ${event.getErrorMessage()}`, null, event.timestamp);
+        });
+
+        for (const [section, label] of Object.entries(this.SECTIONS)) {
+            if (!step.hasContent(section)) {
+                addError('section', `${label} is missing`, section);
+                continue;
+            }
+
+            const content = step.getContent(section);
+            if (this.isEmptySection(content)) {
+                addError('section', `${label} is empty`, section);
+                continue;
+            }
+
+            if (this.XML_SECTIONS.includes(section)) {
+                try {
+                    GraphSourceService.cleanAndValidateXML(content);
+                } catch (error) {
+                    addError('xml', error.message, section);
+                    continue;
+                }
+
+                SchemaValidationService.validate(content).violations.forEach(violation => {
+                    addError('schema', SchemaValidationService.formatViolation(violation), section);
+                });
+            } else if (this.MERMAID_SECTIONS.includes(section)) {
+                try {
+                    await this.validateMermaid(content);
+                } catch (error) {
+                    addError('mermaid', error.message, section);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check if a section holds nothing but its header comment
+     * @param {string} content - Section content
+     * @returns {boolean} True if there is no actual content
+     */
+    static isEmptySection(content) {
+        return content
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/^\s*%%.*$/gm, '')
+            .replace(/^#\s*User\s*Input\s*:/im, '')
+            .trim() === '';
+    }
+
+    /**
+     * Validate Mermaid code the same way it is checked before rendering
+     * @param {string} content - Raw section content
+     * @returns {Promise<void>} Rejects with the parse error
+     */
+    static async validateMermaid(content) {
+        const code = GraphSourceService.cleanAndValidateMermaid(content);
+
+        try {
+            await GraphSourceService.loadMermaid();
+        } catch (error) {
+            // Without Mermaid.js only the basic validation is possible
+            return;
+        }
+
+        await window.mermaid.parse(code);
+    }
+
+    /**
+     * Get the display name of an error category
+     * @param {string} category - Category key
+     * @returns {string} Display name
+     */
+    static getCategoryName(category) {
+        return this.CATEGORIES[category] || category;
+    }
+
+    /**
+     * Get the display name of a step section
+     * @param {string} section - Section key
+     * @returns {string} Display name
+     */
+    static getSectionName(section) {
+        return this.SECTIONS[section] || section;
+    }
+}
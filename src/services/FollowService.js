@@ -0,0 +1,286 @@
+/**
+ * Follow Service
+ * Keeps running instances up to date ("follow" mode)
+ * Listens to the CPEE notification stream and falls back to polling the log
+ */
+
+import { LogService } from './LogService.js';
+import { CPEEService } from './CPEEService.js';
+import { LogSourceService } from './LogSourceService.js';
+import { UI_CONFIG } from '../config/constants.js';
+
+export class FollowService {
+    // Engine notifications that can change the steps or end the instance
+    static NOTIFICATION_TOPICS = {
+        description: ['change', 'exposition'],
+        state: ['change']
+    };
+
+    constructor() {
+        this.followers = new Map();
+        this.onUpdate = null;
+        this.onStatusChange = null;
+    }
+
+    /**
+     * Set callback for when a followed log was re-read
+     * @param {Function} callback - Callback function receiving (uuid, { events, errors, content })
+     */
+    setOnUpdate(callback) {
+        this.onUpdate = callback;
+    }
+
+    /**
+     * Set callback for when following starts, switches mode or ends
+     * @param {Function} callback - Callback function receiving (uuid, status) with status
+     *                              'subscription', 'polling', 'finished' or 'stopped'
+     */
+    setOnStatusChange(callback) {
+        this.onStatusChange = callback;
+    }
+
+    /**
+     * Check if an instance is followed
+     * @param {string} uuid - Instance UUID
+     * @returns {boolean} True if following
+     */
+    isFollowing(uuid) {
+        return this.followers.has(uuid);
+    }
+
+    /**
+     * Get how an instance is followed
+     * @param {string} uuid - Instance UUID
+     * @returns {string|null} 'subscription', 'polling' or null
+     */
+    getMode(uuid) {
+        return this.followers.get(uuid)?.mode || null;
+    }
+
+    /**
+     * Start following an instance
+     * @param {string} uuid - Instance UUID
+     * @param {number|null} processNumber - CPEE process number (needed for notifications)
+     */
+    async follow(uuid, processNumber = null) {
+        if (this.followers.has(uuid)) return;
+
+        const provider = LogSourceService.getActiveProvider();
+        if (!provider.getLogURL(uuid)) {
+            throw new Error(`The log source "${provider.name}" has no live logs to follow`);
+        }
+
+        const follower = {
+            uuid,
+            processNumber,
+            mode: null,
+            socket: null,
+            subscriptionKey: null,
+            pollTimer: null,
+            refreshing: false,
+            refreshPending: false,
+            finishing: false,
+            lastContentLength: null
+        };
+        this.followers.set(uuid, follower);
+
+        try {
+            if (!this.canSubscribe(processNumber)) {
+                throw new Error('no reachable CPEE engine for this instance');
+            }
+            await this.subscribe(follower);
+        } catch (error) {
+            // Unfollowed while the subscription was set up
+            if (this.followers.get(uuid) !== follower) return;
+
+            console.warn(`Notifications unavailable for ${uuid}, polling the log instead:`, error.message);
+            this.startPolling(follower);
+        }
+
+        // Catch up with changes made before the subscription was set up
+        this.refresh(follower);
+    }
+
+    /**
+     * Stop following an instance
+     * @param {string} uuid - Instance UUID
+     * @param {string} status - Status reported to the callback
+     */
+    unfollow(uuid, status = 'stopped') {
+        const follower = this.followers.get(uuid);
+        if (!follower) return;
+
+        this.followers.delete(uuid);
+
+        if (follower.pollTimer) {
+            clearInterval(follower.pollTimer);
+        }
+        if (follower.socket) {
+            follower.socket.onclose = null;
+            follower.socket.close();
+        }
+        if (follower.subscriptionKey) {
+            CPEEService.unsubscribeFromNotifications(follower.processNumber, follower.subscriptionKey);
+        }
+
+        this.notifyStatus(uuid, status);
+    }
+
+    /**
+     * Check if engine notifications can be used for an instance
+     * @param {number|null} processNumber - CPEE process number
+     * @returns {boolean} True if a subscription can be attempted
+     */
+    canSubscribe(processNumber) {
+        const provider = LogSourceService.getActiveProvider();
+
+        // Subscriptions are always direct, CORS proxies don't forward WebSockets
+        return Boolean(processNumber) &&
+               provider.hasEngine() &&
+               typeof WebSocket !== 'undefined';
+    }
+
+    /**
+     * Subscribe to engine notifications and re-read the log on every relevant event
+     * @param {Object} follower - Follow state of the instance
+     * @returns {Promise<void>} Resolves once the WebSocket is open, rejects if the instance was unfollowed meanwhile
+     */
+    async subscribe(follower) {
+        const { key, socketURL } = await CPEEService.subscribeToNotifications(
+            follower.processNumber,
+            FollowService.NOTIFICATION_TOPICS
+        );
+
+        // unfollow only removes subscriptions it knows the key of
+        if (this.followers.get(follower.uuid) !== follower) {
+            CPEEService.unsubscribeFromNotifications(follower.processNumber, key);
+            throw new Error(`Stopped following ${follower.uuid}`);
+        }
+        follower.subscriptionKey = key;
+
+        await new Promise((resolve, reject) => {
+            const socket = new WebSocket(socketURL);
+
+            socket.onopen = () => {
+                // unfollow already removed the subscription, but the socket was not stored yet
+                if (this.followers.get(follower.uuid) !== follower) {
+                    socket.close();
+                    reject(new Error(`Stopped following ${follower.uuid}`));
+                    return;
+                }
+
+                follower.socket = socket;
+                follower.mode = 'subscription';
+                this.notifyStatus(follower.uuid, 'subscription');
+                resolve();
+            };
+
+            socket.onerror = () => {
+                if (!follower.socket) {
+                    reject(new Error(`WebSocket connection to ${socketURL} failed`));
+                }
+            };
+
+            socket.onmessage = (message) => this.handleNotification(follower, message.data);
+
+            socket.onclose = () => {
+                // Keep the instance up to date if the engine drops the connection
+                if (follower.socket && this.followers.get(follower.uuid) === follower) {
+                    console.warn(`Notification stream for ${follower.uuid} closed, polling the log instead`);
+                    follower.socket = null;
+                    this.startPolling(follower);
+                }
+            };
+        });
+    }
+
+    /**
+     * Handle a notification message from the engine
+     * @param {Object} follower - Follow state of the instance
+     * @param {string} data - Raw message (CPEE sends an <event> XML document)
+     */
+    handleNotification(follower, data) {
+        const topic = String(data).match(/<topic>([^<]*)<\/topic>/)?.[1];
+        const name = String(data).match(/<name>([^<]*)<\/name>/)?.[1];
+
+        if (!topic || !FollowService.NOTIFICATION_TOPICS[topic]?.includes(name)) return;
+
+        console.log(`Notification for ${follower.uuid}: ${topic}/${name}`);
+
+        // Read the log one last time once the engine reports the end of the instance
+        if (topic === 'state') {
+            const notification = String(data).match(/<notification>([\s\S]*)<\/notification>/)?.[1];
+            try {
+                const state = JSON.parse(notification || '{}').state;
+                follower.finishing = ['finished', 'abandoned'].includes(state);
+            } catch (error) {
+                console.warn('Could not read state notification:', error.message);
+            }
+        }
+
+        this.refresh(follower);
+    }
+
+    /**
+     * Poll the log at a fixed interval
+     * @param {Object} follower - Follow state of the instance
+     */
+    startPolling(follower) {
+        if (follower.pollTimer) return;
+
+        follower.mode = 'polling';
+        follower.pollTimer = setInterval(() => this.refresh(follower), UI_CONFIG.FOLLOW_POLL_INTERVAL);
+        this.notifyStatus(follower.uuid, 'polling');
+    }
+
+    /**
+     * Re-read the log of a followed instance
+     * Overlapping requests are merged into one follow-up refresh
+     * @param {Object} follower - Follow state of the instance
+     */
+    async refresh(follower) {
+        if (follower.refreshing) {
+            follower.refreshPending = true;
+            return;
+        }
+
+        follower.refreshing = true;
+        try {
+            const result = await LogService.streamLog(follower.uuid, {}, { revalidate: true });
+
+            // Ignore results that arrive after unfollow
+            if (this.followers.get(follower.uuid) !== follower) return;
+
+            // Logs are append-only, an unchanged length means nothing happened
+            const contentLength = result.content?.length ?? null;
+            if (this.onUpdate && (contentLength === null || contentLength !== follower.lastContentLength)) {
+                follower.lastContentLength = contentLength;
+                await this.onUpdate(follower.uuid, result);
+            }
+
+            if (follower.finishing || LogService.isInstanceFinished(result.events)) {
+                console.log(`Instance ${follower.uuid} finished, no longer following`);
+                this.unfollow(follower.uuid, 'finished');
+            }
+        } catch (error) {
+            console.warn(`Could not refresh log of ${follower.uuid}:`, error.message);
+        } finally {
+            follower.refreshing = false;
+            if (follower.refreshPending && this.followers.get(follower.uuid) === follower) {
+                follower.refreshPending = false;
+                this.refresh(follower);
+            }
+        }
+    }
+
+    /**
+     * Report a status change to the registered callback
+     * @param {string} uuid - Instance UUID
+     * @param {string} status - New status
+     */
+    notifyStatus(uuid, status) {
+        if (this.onStatusChange) {
+            this.onStatusChange(uuid, status);
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Graph Export Service
+ * Turns a rendered graph into a standalone SVG or a PNG: the computed styles (from
+ * wfadaptor.css, the app styles and Mermaid's own styles) are inlined and definitions
+ * the graph refers to (markers, clip paths, symbols) are copied in
+ */
+
+export class GraphExportService {
+    static SVG_NS = 'http://www.w3.org/2000/svg';
+    static XLINK_NS = 'http://www.w3.org/1999/xlink';
+    static XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+    static SCALES = [1, 2, 3, 4];
+
+    // Styles that decide how SVG shapes and text look
+    static SVG_PROPERTIES = [
+        'display', 'visibility', 'opacity',
+        'fill', 'fill-opacity', 'fill-rule',
+        'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset',
+        'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'paint-order',
+        'marker-start', 'marker-mid', 'marker-end', 'clip-path', 'mask', 'filter',
+        'font-family', 'font-size', 'font-weight', 'font-style',
+        'text-anchor', 'dominant-baseline', 'alignment-baseline', 'text-decoration', 'letter-spacing'
+    ];
+
+    // Styles of HTML labels (Mermaid renders labels as HTML inside foreignObject)
+    static HTML_PROPERTIES = [
+        'display', 'visibility', 'opacity', 'color', 'background-color',
+        'font-family', 'font-size', 'font-weight', 'font-style', 'line-height',
+        'text-align', 'white-space', 'vertical-align', 'max-width',
+        'padding-top', 'padding-right', 'padding-bottom', 'padding-left'
+    ];
+
+    // url(#id) in attributes and styles, possibly quoted or with the page URL in front
+    static URL_REFERENCE = /url\(\s*["']?[^"')#]*#([^"')\s]+)["']?\s*\)/g;
+
+    /**
+     * Create a standalone SVG document from a rendered graph
+     * @param {SVGSVGElement} svgElement - Rendered graph
+     * @returns {string} SVG document
+     */
+    static toStandaloneSVG(svgElement) {
+        const { width, height } = this.getSize(svgElement);
+        const clone = svgElement.cloneNode(true);
+
+        this.inlineStyles(svgElement, clone);
+        this.copyReferencedDefinitions(clone);
+
+        // The serializer declares the namespaces, xmlns attributes set by hand would be duplicates
+        [clone, ...clone.querySelectorAll('*')].forEach(element => element.removeAttribute('xmlns'));
+        clone.setAttributeNS(this.XMLNS_NS, 'xmlns:xlink', this.XLINK_NS);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        if (!clone.hasAttribute('viewBox')) {
+            clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+
+        // The graphs are shown on white
+        const background = window.getComputedStyle(svgElement).backgroundColor;
+        clone.style.backgroundColor = !background || background === 'rgba(0, 0, 0, 0)' || background === 'transparent'
+            ? '#ffffff'
+            : background;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+    }
+
+    /**
+     * Rasterize a rendered graph
+     * @param {SVGSVGElement} svgElement - Rendered graph
+     * @param {number} scale - Pixels per SVG unit
+     * @returns {Promise<Blob>} PNG image
+     */
+    static async toPNG(svgElement, scale = 2) {
+        const { width, height } = this.getSize(svgElement);
+        const svg = this.toStandaloneSVG(svgElement);
+
+        // A data URL keeps the canvas exportable (object URLs of SVGs may taint it)
+        const image = new Image();
+        image.width = width;
+        image.height = height;
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The SVG could not be loaded as an image'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * scale);
+        canvas.height = Math.ceil(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            try {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The browser could not create the PNG')), 'image/png');
+            } catch (error) {
+                // Some browsers refuse to export canvases with HTML labels (foreignObject)
+                reject(new Error(`The browser refused to rasterize this graph (${error.message}), export it as SVG instead`));
+            }
+        });
+    }
+
+    /**
+     * Get the size of a graph as drawn
+     * @param {SVGSVGElement} svgElement - Rendered graph
+     * @returns {Object} { width, height } in pixels
+     */
+    static getSize(svgElement) {
+        const rect = svgElement.getBoundingClientRect();
+        const attribute = (name, fallback) => {
+            const value = svgElement.getAttribute(name);
+            return value && /^\d+(\.\d+)?(px)?$/.test(value.trim()) ? parseFloat(value) : fallback;
+        };
+
+        return {
+            width: Math.ceil(attribute('width', rect.width)) || 1,
+            height: Math.ceil(attribute('height', rect.height)) || 1
+        };
+    }
+
+    /**
+     * Copy the computed styles of every element to the clone
+     * @param {Element} original - Element on the page
+     * @param {Element} clone - Its clone
+     */
+    static inlineStyles(original, clone) {
+        const isSvg = original.namespaceURI === this.SVG_NS;
+        const properties = isSvg ? this.SVG_PROPERTIES : this.HTML_PROPERTIES;
+        const computed = window.getComputedStyle(original);
+
+        // Mermaid's scoped style sheet stays as it is
+        if (original.localName !== 'style') {
+            properties.forEach(property => {
+                const value = computed.getPropertyValue(property);
+                if (value) {
+                    clone.style.setProperty(property, value.replace(this.URL_REFERENCE, 'url(#$1)'));
+                }
+            });
+        }
+
+        // Clones have the same structure as the original
+        for (let i = 0; i < original.children.length; i++) {
+            this.inlineStyles(original.children[i], clone.children[i]);
+        }
+    }
+
+    /**
+     * Copy definitions the graph refers to but does not contain, e.g. markers and
+     * symbols defined in another SVG on the page
+     * @param {SVGSVGElement} clone - Cloned graph
+     */
+    static copyReferencedDefinitions(clone) {
+        const attempted = new Set();
+        let defs = clone.querySelector('defs');
+
+        // Copied definitions may refer to further ones
+        let missing = this.findMissingReferences(clone);
+        while (missing.length > 0) {
+            missing.forEach(id => {
+                attempted.add(id);
+
+                const definition = document.getElementById(id);
+                if (!definition) return;
+
+                if (!defs) {
+                    defs = document.createElementNS(this.SVG_NS, 'defs');
+                    clone.prepend(defs);
+                }
+                const copy = definition.cloneNode(true);
+                this.inlineStyles(definition, copy);
+                defs.appendChild(copy);
+            });
+
+            missing = this.findMissingReferences(clone).filter(id => !attempted.has(id));
+        }
+    }
+
+    /**
+     * Find the IDs a graph refers to (url(#id), href="#id") that it does not contain
+     * @param {SVGSVGElement} clone - Cloned graph
+     * @returns {string[]} IDs
+     */
+    static findMissingReferences(clone) {
+        const ids = new Set();
+        const elements = [clone, ...clone.querySelectorAll('*')];
+
+        elements.forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                for (const match of attribute.value.matchAll(this.URL_REFERENCE)) {
+                    ids.add(match[1]);
+                }
+                if (attribute.localName === 'href' && attribute.value.startsWith('#')) {
+                    ids.add(attribute.value.slice(1));
+                }
+            });
+        });
+
+        return Array.from(ids).filter(id => !clone.querySelector(`[id="${CSS.escape(id)}"]`));
+    }
+}
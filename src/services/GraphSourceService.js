@@ -0,0 +1,215 @@
+/**
+ * Graph Source Service
+ * Cleans and validates the logged sources of the graphs (CPEE-Trees and Mermaid intermediates)
+ * the way the renderers need them, and loads Mermaid.js, so services can check sources without a renderer
+ * Nothing is logged here, the analysis runs for every step; the renderers report what they draw
+ */
+
+export class GraphSourceService {
+    static MERMAID_URL = 'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js';
+
+    // Pending or finished load of Mermaid.js, shared by all renderers and services
+    static mermaidLoading = null;
+
+    /**
+     * Clean and validate CPEE XML
+     * @param {string} xml - Raw CPEE-Tree (may contain comment headers)
+     * @returns {string} Cleaned XML with declaration
+     * @throws {Error} If the XML is not well-formed or has no description
+     */
+    static cleanAndValidateXML(xml) {
+        const cleanedXML = this.cleanXML(xml);
+        this.validateXML(cleanedXML);
+        return cleanedXML;
+    }
+
+    /**
+     * Clean CPEE XML
+     * @param {string} xml - Raw CPEE-Tree (may contain comment headers)
+     * @returns {string} XML without comments, with declaration
+     * @throws {Error} If there is no XML string
+     */
+    static cleanXML(xml) {
+        if (!xml || typeof xml !== 'string') {
+            throw new Error('Invalid XML input');
+        }
+        
+        // Remove HTML comments and extra whitespace
+        let cleanedXML = xml.replace(/<!--[\s\S]*?-->/g, '').trim();
+        
+        // Remove any leading whitespace and newlines
+        cleanedXML = cleanedXML.replace(/^\s+/, '');
+        
+        // If no XML declaration, add one
+        if (!cleanedXML.startsWith('<?xml')) {
+            cleanedXML = '<?xml version="1.0"?>\n' + cleanedXML;
+        }
+
+        return cleanedXML;
+    }
+
+    /**
+     * Validate cleaned CPEE XML
+     * @param {string} cleanedXML - XML from cleanXML
+     * @throws {Error} If the XML is not well-formed or has no description
+     */
+    static validateXML(cleanedXML) {
+        // Validate basic XML structure
+        if (!cleanedXML.includes('<description')) {
+            throw new Error('Invalid CPEE XML: Missing <description> element');
+        }
+        
+        // Parse and validate the XML structure
+        const xmlDoc = new DOMParser().parseFromString(cleanedXML, 'text/xml');
+        
+        // Check for parsing errors
+        const parseError = xmlDoc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('Invalid XML structure: XML parsing error: ' + parseError.textContent);
+        }
+        
+        // Ensure we have a proper description element
+        if (!xmlDoc.querySelector('description')) {
+            throw new Error('Invalid XML structure: No valid <description> element found');
+        }
+    }
+
+    /**
+     * Clean and validate Mermaid code
+     * @param {string} code - Raw mermaid code (can be markdown-wrapped or plain)
+     * @returns {string} Cleaned and validated code
+     * @throws {Error} If no diagram is left after cleaning
+     */
+    static cleanAndValidateMermaid(code) {
+        const cleanedCode = this.cleanMermaid(code);
+        this.validateMermaid(cleanedCode);
+        return cleanedCode;
+    }
+
+    /**
+     * Clean Mermaid code
+     * @param {string} code - Raw mermaid code (can be markdown-wrapped or plain)
+     * @returns {string} Code without comments and markdown fences, with the CPEE conversion issues fixed
+     * @throws {Error} If there is no code string
+     */
+    static cleanMermaid(code) {
+        if (!code || typeof code !== 'string') {
+            throw new Error('Invalid Mermaid code input');
+        }
+
+        // Remove HTML comments and extra whitespace
+        let cleanedCode = code.replace(/<!--[\s\S]*?-->/g, '').trim();
+
+        // Remove CPEE-style comments (e.g., "%% Output Intermediate", "%% Input Intermediate")
+        cleanedCode = cleanedCode.replace(/^\s*%%.*$/gm, '').trim();
+
+        // Extract Mermaid code from markdown code blocks
+        const mermaidBlockMatch = cleanedCode.match(/```mermaid\s*\n([\s\S]*?)\n\s*```/);
+        if (mermaidBlockMatch) {
+            cleanedCode = mermaidBlockMatch[1].trim();
+        }
+
+        // Remove any remaining markdown code block syntax that might be incomplete
+        cleanedCode = cleanedCode.replace(/^```.*$/gm, '').trim();
+        cleanedCode = cleanedCode.replace(/```\s*$/gm, '').trim();
+
+        // Remove any leading/trailing whitespace and normalize line endings
+        cleanedCode = cleanedCode.replace(/^\s+|\s+$/g, '');
+        cleanedCode = cleanedCode.replace(/\r\n/g, '\n');
+
+        // Fix common CPEE-to-Mermaid conversion issues
+        return this.preprocessMermaidSyntax(cleanedCode);
+    }
+
+    /**
+     * Validate cleaned Mermaid code
+     * @param {string} cleanedCode - Code from cleanMermaid
+     * @throws {Error} If the code is empty or has no recognized diagram type
+     */
+    static validateMermaid(cleanedCode) {
+        if (cleanedCode.length === 0) {
+            throw new Error('Empty Mermaid code provided after cleaning');
+        }
+
+        // Basic validation - check for common mermaid diagram types
+        const mermaidTypes = [
+            'graph', 'flowchart', 'sequenceDiagram', 'classDiagram', 
+            'stateDiagram', 'erDiagram', 'gantt', 'pie', 'journey',
+            'gitgraph', 'mindmap', 'timeline'
+        ];
+
+        const hasValidType = mermaidTypes.some(type => 
+            cleanedCode.toLowerCase().includes(type.toLowerCase())
+        );
+
+        if (!hasValidType) {
+            throw new Error(`Mermaid code does not contain a recognized diagram type. Cleaned content: "${cleanedCode.substring(0, 100)}..."`);
+        }
+    }
+
+    /**
+     * Preprocess Mermaid syntax to fix common CPEE-to-Mermaid conversion issues
+     * @param {string} code - Raw mermaid code
+     * @returns {string} Preprocessed code
+     */
+    static preprocessMermaidSyntax(code) {
+        let processedCode = code;
+
+        // Fix 1: Remove empty edge labels that cause parse errors
+        // Pattern: -->|""| becomes -->
+        processedCode = processedCode.replace(/-->\|\"\"\|/g, '-->');
+        
+        // Also handle variations with single quotes or no quotes
+        processedCode = processedCode.replace(/-->\|''\|/g, '-->');
+        processedCode = processedCode.replace(/-->\|\|\|/g, '-->');
+        
+        // Fix 2: Handle problematic node IDs starting with numbers or special chars
+        // Pattern: -1:escalate becomes N1_escalate (prefix with N, replace special chars)
+        processedCode = processedCode.replace(/(\W|^)(-\d+)(:\w+)/g, function(match, prefix, number, suffix) {
+            return prefix + 'N' + number.replace('-', '') + suffix.replace(':', '_');
+        });
+        
+        // Fix 3: Remove spaces after node IDs that cause parsing issues
+        // Pattern: "a9:task: (Task b)" becomes "a9:task:(Task b)"
+        processedCode = processedCode.replace(/(\w+:\w+:)\s+(\([^)]+\))/g, '$1$2');
+        
+        // Fix 4: Handle triple parentheses in node shapes
+        // Pattern: (((text))) becomes ((text))
+        processedCode = processedCode.replace(/\(\(\(([^)]+)\)\)\)/g, '(($1))');
+        
+        // Fix 5: Handle malformed node references in edge labels
+        // Ensure node IDs in edge targets don't have extra spaces
+        processedCode = processedCode.replace(/(\|\s*[^|]*\s*\|\s*)(\w+:\w+:)\s+(\([^)]+\))/g, '$1$2$3');
+        
+        return processedCode;
+    }
+
+    /**
+     * Load Mermaid.js once (configuring it is left to the MermaidRenderer)
+     * @returns {Promise<void>} Resolves once window.mermaid is available
+     */
+    static loadMermaid() {
+        if (window.mermaid) {
+            return Promise.resolve();
+        }
+
+        if (!this.mermaidLoading) {
+            this.mermaidLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.MERMAID_URL;
+                script.onload = () => {
+                    console.log('✅ Mermaid.js loaded successfully');
+                    resolve();
+                };
+                script.onerror = () => {
+                    // Allow another attempt later
+                    this.mermaidLoading = null;
+                    reject(new Error('Failed to load Mermaid.js from CDN'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.mermaidLoading;
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * HTTP Client
+ * Shared request handling for all services
+ * Tries a direct (CORS) request first, falls back to the public CORS proxies,
+ * remembers which routes are currently healthy and retries with exponential backoff
+ * Failed attempts are recorded for the diagnostics panel
+ */
+
+import { API_CONFIG, UI_CONFIG } from '../config/constants.js';
+
+export class HttpError extends Error {
+    constructor(status, statusText, url) {
+        super(`HTTP ${status}: ${statusText}`);
+        this.name = 'HttpError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+export class HttpClient {
+    static CORS_PROXIES = API_CONFIG.CORS_PROXIES;
+
+    // Retry rounds over all routes, with BACKOFF_BASE_DELAY * 2^round between rounds
+    static MAX_RETRIES = 2;
+    static BACKOFF_BASE_DELAY = 500;
+
+    // A failing route is skipped for ROUTE_COOLDOWN * 2^(failures - 1), at most MAX_ROUTE_COOLDOWN
+    static ROUTE_COOLDOWN = 60 * 1000;
+    static MAX_ROUTE_COOLDOWN = 15 * 60 * 1000;
+
+    static MAX_DIAGNOSTICS = 200;
+
+    static routeHealth = new Map();
+    static diagnostics = [];
+    static listeners = [];
+
+    /**
+     * Send a request
+     * @param {string} url - Target URL
+     * @param {Object} options - method, headers, body, timeout (ms), allowProxy, retries
+     * @returns {Promise<Response>} Successful response (body not consumed)
+     */
+    static async request(url, {
+        method = 'GET',
+        headers = {},
+        body = undefined,
+        timeout = UI_CONFIG.REQUEST_TIMEOUT,
+        allowProxy = false,
+        retries = this.MAX_RETRIES
+    } = {}) {
+        let lastError = null;
+
+        for (let round = 0; round <= retries; round++) {
+            if (round > 0) {
+                await this.sleep(this.BACKOFF_BASE_DELAY * 2 ** (round - 1));
+            }
+
+            for (const route of this.getRoutes(url, allowProxy)) {
+                const startedAt = Date.now();
+
+                let response;
+                try {
+                    response = await this.fetchWithTimeout(route.url, { method, headers, body }, timeout);
+                } catch (error) {
+                    lastError = error.name === 'AbortError'
+                        ? new Error(`Timed out after ${Math.round(timeout / 1000)}s`)
+                        : error;
+                    this.recordFailure(route, lastError);
+                    this.recordAttempt(route, { url, method, round, startedAt, error: lastError });
+                    continue;
+                }
+
+                if (response.ok) {
+                    this.recordSuccess(route);
+                    return response;
+                }
+
+                lastError = new HttpError(response.status, response.statusText, url);
+                this.recordAttempt(route, { url, method, round, startedAt, error: lastError });
+
+                // The server itself answered, other routes would get the same answer
+                // A proxy's own 4xx (blocked host, rate limit, rejected URL) only fails that proxy
+                if (route.direct && this.isFinalStatus(response.status)) {
+                    this.recordSuccess(route);
+                    throw lastError;
+                }
+
+                this.recordFailure(route, lastError);
+            }
+        }
+
+        throw new Error(`Request to ${url} failed after ${retries + 1} attempt(s): ${lastError?.message || 'no route available'}`);
+    }
+
+    /**
+     * Check if an HTTP status from the origin server should not be retried
+     * @param {number} status - HTTP status
+     * @returns {boolean} True for client errors except timeouts and rate limits
+     */
+    static isFinalStatus(status) {
+        return status >= 400 && status < 500 && ![408, 429].includes(status);
+    }
+
+    /**
+     * Get the routes for a request, healthy ones first
+     * @param {string} url - Target URL
+     * @param {boolean} allowProxy - Whether the CORS proxies may be used
+     * @returns {Array} Routes ({ id, label, url, direct })
+     */
+    static getRoutes(url, allowProxy) {
+        const origin = new URL(url).origin;
+        const routes = [{ id: `direct:${origin}`, label: `Direct (${origin})`, url, direct: true }];
+
+        if (allowProxy) {
+            this.CORS_PROXIES.forEach(proxy => {
+                routes.push({
+                    id: proxy,
+                    label: new URL(proxy).host,
+                    url: proxy + encodeURIComponent(url),
+                    direct: false
+                });
+            });
+        }
+
+        // Routes in their cooldown are kept as a last resort
+        const now = Date.now();
+        const healthy = routes.filter(route => !(this.routeHealth.get(route.id)?.unhealthyUntil > now));
+        const cooling = routes
+            .filter(route => !healthy.includes(route))
+            .sort((a, b) => this.routeHealth.get(a.id).unhealthyUntil - this.routeHealth.get(b.id).unhealthyUntil);
+
+        return [...healthy, ...cooling];
+    }
+
+    /**
+     * Fetch with a timeout
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @param {number} timeout - Timeout in milliseconds until the response headers arrive
+     * @returns {Promise<Response>} Response
+     */
+    static async fetchWithTimeout(url, init, timeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Mark a route as healthy
+     * @param {Object} route - Route that answered
+     */
+    static recordSuccess(route) {
+        this.routeHealth.set(route.id, {
+            ...this.getHealth(route),
+            failures: 0,
+            unhealthyUntil: 0,
+            lastSuccessAt: Date.now()
+        });
+        this.notify();
+    }
+
+    /**
+     * Mark a route as failing and start its cooldown
+     * @param {Object} route - Route that failed
+     * @param {Error} error - Failure
+     */
+    static recordFailure(route, error) {
+        const health = this.getHealth(route);
+        const failures = health.failures + 1;
+        const cooldown = Math.min(this.ROUTE_COOLDOWN * 2 ** (failures - 1), this.MAX_ROUTE_COOLDOWN);
+
+        this.routeHealth.set(route.id, {
+            ...health,
+            failures,
+            lastError: error.message,
+            lastFailureAt: Date.now(),
+            unhealthyUntil: Date.now() + cooldown
+        });
+    }
+
+    /**
+     * Get the health record of a route
+     * @param {Object} route - Route
+     * @returns {Object} Health record
+     */
+    static getHealth(route) {
+        return this.routeHealth.get(route.id) || {
+            id: route.id,
+            label: route.label,
+            failures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null,
+            unhealthyUntil: 0
+        };
+    }
+
+    /**
+     * Record a failed attempt for the diagnostics panel
+     * @param {Object} route - Route used
+     * @param {Object} details - url, method, round, startedAt, error
+     */
+    static recordAttempt(route, { url, method, round, startedAt, error }) {
+        this.diagnostics.unshift({
+            time: new Date(startedAt).toISOString(),
+            duration: Date.now() - startedAt,
+            method,
+            url,
+            route: route.label,
+            attempt: round + 1,
+            error: error.message
+        });
+        this.diagnostics.length = Math.min(this.diagnostics.length, this.MAX_DIAGNOSTICS);
+        this.notify();
+    }
+
+    /**
+     * Get recorded failed attempts, newest first
+     * @returns {Array} Diagnostic entries
+     */
+    static getDiagnostics() {
+        return [...this.diagnostics];
+    }
+
+    /**
+     * Get health of all routes used so far
+     * @returns {Array} Health records with a healthy flag
+     */
+    static getRouteHealth() {
+        const now = Date.now();
+        return Array.from(this.routeHealth.values()).map(health => ({
+            ...health,
+            healthy: !(health.unhealthyUntil > now)
+        }));
+    }
+
+    /**
+     * Forget recorded attempts and route health
+     */
+    static clearDiagnostics() {
+        this.diagnostics = [];
+        this.routeHealth.clear();
+        this.notify();
+    }
+
+    /**
+     * Register callback for new diagnostics
+     * @param {Function} callback - Called without arguments
+     */
+    static onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify listeners about changed diagnostics
+     */
+    static notify() {
+        this.listeners.forEach(callback => callback());
+    }
+
+    /**
+     * Wait for a while
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>} Resolves after the delay
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -17,10 +17,26 @@ export class InstanceService {
      * @param {string} uuid - Instance UUID
      * @param {Array} steps - Parsed steps data (CPEEStep objects)
      * @param {number} processNumber - CPEE process number (optional)
+     * @param {Array} parseErrors - Log documents that could not be parsed (optional)
+     * @param {Array} events - All log events (CPEEEvent objects, optional)
+     * @returns {CPEEInstance} The stored instance
      */
-    addInstance(uuid, steps, processNumber = null) {
+    addInstance(uuid, steps, processNumber = null, parseErrors = [], events = []) {
         const instance = new CPEEInstance(uuid, steps, processNumber);
+        instance.setParseErrors(parseErrors);
+        instance.setEvents(events);
         this.instances.set(uuid, instance);
+        return instance;
+    }
+
+    /**
+     * Add an already constructed instance (e.g. restored from the workspace)
+     * @param {CPEEInstance} instance - Instance to add
+     * @returns {CPEEInstance} The stored instance
+     */
+    restoreInstance(instance) {
+        this.instances.set(instance.uuid, instance);
+        return instance;
     }
 
     /**
@@ -40,6 +56,14 @@ export class InstanceService {
         return Array.from(this.instances.keys());
     }
 
+    /**
+     * Get all loaded instances as objects
+     * @returns {CPEEInstance[]} Array of CPEEInstance objects, in load order
+     */
+    getInstances() {
+        return Array.from(this.instances.values());
+    }
+
     /**
      * Check if instance exists
      * @param {string} uuid - Instance UUID
@@ -0,0 +1,131 @@
+/**
+ * Log Cache Service
+ * Offline store of raw .xes.yaml logs, keyed by instance UUID
+ * Fetched logs remember the log source they came from, imported files belong to every source
+ * Logs of finished instances are served from the cache and revalidated lazily,
+ * logs of running instances are revalidated on every load
+ */
+
+import { IndexedDBUtils } from '../utils/IndexedDBUtils.js';
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+const { LOGS } = STORAGE_CONFIG.STORES;
+
+export class LogCacheService {
+    /**
+     * Check if logs can be cached
+     * @returns {boolean} True if IndexedDB is available
+     */
+    static isAvailable() {
+        return IndexedDBUtils.isAvailable();
+    }
+
+    /**
+     * Get a cached log
+     * @param {string} uuid - Instance UUID
+     * @param {string|null} providerId - Only return logs fetched from this log source, null for any
+     * @returns {Promise<Object|null>} Entry ({ uuid, content, size, fetchedAt, finished, source, providerId }) or null
+     */
+    static async get(uuid, providerId = null) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const entry = (await IndexedDBUtils.get(LOGS, uuid)) || null;
+            return !providerId || this.belongsTo(entry, providerId) ? entry : null;
+        } catch (error) {
+            console.warn(`Could not read cached log ${uuid}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a log
+     * @param {string} uuid - Instance UUID
+     * @param {string} content - Raw log content
+     * @param {Object} options - finished (instance will not change anymore), source ('remote' or 'file'),
+     *                           providerId (log source a remote log was fetched from)
+     * @returns {Promise<void>} Resolves once written
+     */
+    static async put(uuid, content, { finished = false, source = 'remote', providerId = null } = {}) {
+        if (!this.isAvailable() || !content) return;
+
+        try {
+            await IndexedDBUtils.put(LOGS, uuid, {
+                uuid,
+                content,
+                size: new Blob([content]).size,
+                fetchedAt: new Date().toISOString(),
+                finished,
+                source,
+                providerId
+            });
+        } catch (error) {
+            // A full quota must not break loading the instance
+            console.warn(`Could not cache log ${uuid}:`, error.message);
+        }
+    }
+
+    /**
+     * Check if a cached log belongs to a log source
+     * The same UUID can resolve to another log on a self-hosted engine or in a local directory
+     * @param {Object|null} entry - Cache entry
+     * @param {string} providerId - Log source provider ID
+     * @returns {boolean} True for logs fetched from that source and imported files
+     */
+    static belongsTo(entry, providerId) {
+        return Boolean(entry && (entry.source === 'file' || entry.providerId === providerId));
+    }
+
+    /**
+     * Check if a cached log can be used without asking the server first
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True for logs of finished instances and imported files
+     */
+    static canServeWithoutRevalidation(entry) {
+        return Boolean(entry && (entry.finished || entry.source === 'file'));
+    }
+
+    /**
+     * Check if a cached log is old enough to be revalidated in the background
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True if the entry should be refreshed
+     */
+    static isStale(entry) {
+        const fetchedAt = Date.parse(entry?.fetchedAt);
+        return !Number.isFinite(fetchedAt) || Date.now() - fetchedAt > STORAGE_CONFIG.LOG_CACHE_MAX_AGE;
+    }
+
+    /**
+     * Get cache usage
+     * @returns {Promise<Object>} Entry count, total size and entry metadata without content
+     */
+    static async getUsage() {
+        const records = this.isAvailable() ? await IndexedDBUtils.getAll(LOGS) : [];
+        const entries = records
+            .map(({ uuid, size, fetchedAt, finished, source }) => ({ uuid, size, fetchedAt, finished, source }))
+            .sort((a, b) => String(b.fetchedAt).localeCompare(String(a.fetchedAt)));
+
+        return {
+            count: entries.length,
+            totalSize: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+            entries
+        };
+    }
+
+    /**
+     * Remove a cached log
+     * @param {string} uuid - Instance UUID
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    static delete(uuid) {
+        return IndexedDBUtils.delete(LOGS, uuid);
+    }
+
+    /**
+     * Remove all cached logs
+     * @returns {Promise<void>} Resolves once cleared
+     */
+    static clear() {
+        return IndexedDBUtils.clear(LOGS);
+    }
+}
@@ -5,75 +5,293 @@
 
 import { YAMLParser } from '../parsers/YAMLParser.js';
 import { CPEEStep } from '../modules/CPEEStep.js';
+import { CPEEEvent } from '../modules/CPEEEvent.js';
+import { LogSourceService } from './LogSourceService.js';
+import { LogCacheService } from './LogCacheService.js';
+import { HttpClient } from './HttpClient.js';
 
 export class LogService {
-    // Multiple CORS proxies with fallback
-    static CORS_PROXIES = [
-        'https://corsproxy.io/?',
-        'https://api.allorigins.win/raw?url=',
-        'https://cors-anywhere.herokuapp.com/'
-    ];
+    /**
+     * Request the log of an instance from the active log source
+     * @param {string} uuid - CPEE instance UUID
+     * @returns {Promise<Response>} Response with the unread log body
+     */
+    static async requestLog(uuid) {
+        const provider = LogSourceService.getActiveProvider();
+        const logUrl = provider.getLogURL(uuid);
+
+        if (!logUrl) {
+            throw new Error(`The log source "${provider.name}" does not serve logs over HTTP`);
+        }
+
+        return HttpClient.request(logUrl, {
+            headers: {
+                'Accept': 'text/plain, application/x-yaml, text/yaml'
+            },
+            allowProxy: provider.allowsProxy()
+        });
+    }
 
     /**
-     * Fetch and parse log for given UUID with fallback proxies
+     * Load and parse a log, using the log cache where possible
+     * Finished instances come from the cache, running ones are always fetched
+     * and the cached copy is only used when the server can't be reached
      * @param {string} uuid - CPEE instance UUID
-     * @returns {Promise<Array>} Parsed log events
+     * @param {Object} callbacks - Optional onEvents(batch, allEvents) and onProgress(progress) callbacks
+     * @param {Object} options - revalidate: always ask the log source (e.g. when following)
+     * @returns {Promise<Object>} Parsed events, document parse errors, raw content and cache flag ({ events, errors, content, fromCache })
      */
-    static async fetchAndParseLog(uuid) {
-        console.log('Fetching log for parsing...');
-        
-        const logUrl = `https://cpee.org/logs/${uuid}.xes.yaml`;
-        
-        // Try each proxy in sequence
-        for (let i = 0; i < this.CORS_PROXIES.length; i++) {
-            const proxy = this.CORS_PROXIES[i];
-            
-            try {
-                console.log(`Trying proxy ${i + 1}/${this.CORS_PROXIES.length}: ${proxy}`);
-                
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 15000);
-                
-                const response = await fetch(proxy + encodeURIComponent(logUrl), {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'text/plain, application/x-yaml, text/yaml'
-                    },
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                console.log(`Log fetched successfully via proxy ${i + 1}`);
-                const yamlContent = await response.text();
-                
-                if (!yamlContent || yamlContent.length < 10) {
-                    throw new Error('Received empty or invalid response');
-                }
-                
-                console.log(`Log content size: ${yamlContent.length} characters`);
-                
-                const events = YAMLParser.parseMultiDocument(yamlContent);
-                console.log(`Parsed ${events.length} events from log`);
-                
-                return events;
-                
-            } catch (error) {
-                console.warn(`Proxy ${i + 1} failed:`, error.message);
-                
-                // If this is the last proxy, throw the error
-                if (i === this.CORS_PROXIES.length - 1) {
-                    if (error.name === 'AbortError') {
-                        throw new Error('All proxies timed out. The log file may be large or servers are slow.');
-                    }
-                    throw new Error(`All proxies failed. Last error: ${error.message}. Please check if the UUID is correct.`);
+    static async streamLog(uuid, callbacks = {}, { revalidate = false } = {}) {
+        const provider = LogSourceService.getActiveProvider();
+        const cached = await LogCacheService.get(uuid, provider.id);
+        if (!revalidate && LogCacheService.canServeWithoutRevalidation(cached)) {
+            console.log(`Using cached log for ${uuid} (fetched ${cached.fetchedAt})`);
+            if (cached.source !== 'file' && LogCacheService.isStale(cached)) {
+                this.revalidateCachedLog(uuid, provider.id);
+            }
+            return this.streamCachedLog(cached, callbacks);
+        }
+
+        try {
+            // Local providers hand out the log content directly
+            const blob = await provider.getLogBlob(uuid);
+            if (blob) {
+                return { ...(await this.streamLogFile(blob, callbacks)), fromCache: false };
+            }
+
+            const result = await this.streamRemoteLog(uuid, callbacks);
+            await LogCacheService.put(uuid, result.content, {
+                finished: this.isInstanceFinished(result.events),
+                providerId: provider.id
+            });
+            return { ...result, fromCache: false };
+        } catch (error) {
+            if (!cached) throw error;
+
+            console.warn(`Could not fetch log ${uuid}, using cached copy from ${cached.fetchedAt}:`, error.message);
+            return this.streamCachedLog(cached, callbacks);
+        }
+    }
+
+    /**
+     * Parse a cached log
+     * @param {Object} entry - Log cache entry
+     * @param {Object} callbacks - Optional onEvents(batch, allEvents) and onProgress(progress) callbacks
+     * @returns {Promise<Object>} Parsed log ({ events, errors, content, fromCache })
+     */
+    static async streamCachedLog(entry, callbacks = {}) {
+        const result = await this.streamLogFile(new Blob([entry.content]), callbacks);
+        return { ...result, fromCache: true };
+    }
+
+    /**
+     * Refresh a cached log in the background, the new version is used on the next load
+     * @param {string} uuid - CPEE instance UUID
+     * @param {string} providerId - Log source the cached log came from
+     */
+    static async revalidateCachedLog(uuid, providerId) {
+        try {
+            const result = await this.streamRemoteLog(uuid);
+            await LogCacheService.put(uuid, result.content, { finished: this.isInstanceFinished(result.events), providerId });
+            console.log(`Revalidated cached log for ${uuid}`);
+        } catch (error) {
+            console.warn(`Could not revalidate cached log ${uuid}:`, error.message);
+        }
+    }
+
+    /**
+     * Get the raw content of a log
+     * @param {string} uuid - CPEE instance UUID
+     * @returns {Promise<string>} Raw .xes.yaml content
+     */
+    static async getRawLog(uuid) {
+        const cached = await LogCacheService.get(uuid, LogSourceService.getActiveProvider().id);
+        if (LogCacheService.canServeWithoutRevalidation(cached)) {
+            return cached.content;
+        }
+
+        return (await this.streamLog(uuid)).content;
+    }
+
+    /**
+     * Fetch and parse log in a Web Worker, streaming events while the log downloads
+     * @param {string} uuid - CPEE instance UUID
+     * @param {Object} callbacks - Optional onEvents(batch, allEvents) and onProgress(progress) callbacks
+     * @returns {Promise<Object>} Parsed events, document parse errors and raw content ({ events, errors, content })
+     */
+    static async streamRemoteLog(uuid, callbacks = {}) {
+        const response = await this.requestLog(uuid);
+
+        if (typeof Worker === 'undefined' || !response.body) {
+            const content = await response.text();
+            if (content.trim().length < 10) {
+                throw new Error('Received empty or invalid response');
+            }
+            const result = { ...this.parseLogText(content), content };
+            callbacks.onEvents?.(result.events, result.events);
+            return result;
+        }
+
+        const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+        return this.runParserWorker({
+            type: 'stream',
+            totalBytes: Number.isFinite(contentLength) ? contentLength : null
+        }, callbacks, response.body);
+    }
+
+    /**
+     * Parse a local log file in a Web Worker
+     * @param {File|Blob} file - Local .xes.yaml file
+     * @param {Object} callbacks - Optional onEvents(batch, allEvents) and onProgress(progress) callbacks
+     * @returns {Promise<Object>} Parsed events, document parse errors and raw content ({ events, errors, content })
+     */
+    static async streamLogFile(file, callbacks = {}) {
+        if (typeof Worker === 'undefined') {
+            const content = await this.readLogFile(file);
+            const result = { ...this.parseLogText(content), content };
+            callbacks.onEvents?.(result.events, result.events);
+            return result;
+        }
+
+        return this.runParserWorker({ type: 'blob', blob: file }, callbacks);
+    }
+
+    /**
+     * Run a job in a dedicated log parser worker
+     * @param {Object} message - Job message (see LogParserWorker)
+     * @param {Object} callbacks - Optional onEvents(batch, allEvents) and onProgress(progress) callbacks
+     * @param {ReadableStream|null} body - Response body to feed into a 'stream' job
+     * @returns {Promise<Object>} Parsed events, document parse errors and raw content ({ events, errors, content })
+     */
+    static runParserWorker(message, { onEvents, onProgress } = {}, body = null) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('../workers/LogParserWorker.js', import.meta.url), { type: 'module' });
+            const events = [];
+            const errors = [];
+
+            worker.addEventListener('message', ({ data }) => {
+                switch (data.type) {
+                    case 'events':
+                        events.push(...data.events);
+                        errors.push(...data.errors);
+                        if (onEvents) onEvents(data.events, events);
+                        break;
+                    case 'progress':
+                        if (onProgress) onProgress(data);
+                        break;
+                    case 'done':
+                        worker.terminate();
+                        console.log(`Streamed ${data.bytesRead} bytes, ${data.eventsParsed} events (${errors.length} invalid documents)`);
+                        resolve({ events, errors, content: data.content });
+                        break;
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(data.message));
+                        break;
                 }
+            });
+
+            worker.addEventListener('error', (e) => {
+                worker.terminate();
+                reject(new Error(e.message || 'Log parser worker failed'));
+            });
+
+            worker.postMessage(message);
+
+            if (body) {
+                this.pipeToWorker(body, worker).catch(error => {
+                    worker.terminate();
+                    reject(new Error(`Log download failed: ${error.message}`));
+                });
             }
+        });
+    }
+
+    /**
+     * Forward a response body to a parser worker chunk by chunk
+     * The download stays on the main thread (shared HttpClient), parsing happens in the worker
+     * Chunk buffers are transferred to the worker, not copied
+     * @param {ReadableStream} body - Response body
+     * @param {Worker} worker - Worker running a 'stream' job
+     * @returns {Promise<void>} Resolves once the body was read completely
+     */
+    static async pipeToWorker(body, worker) {
+        const reader = body.getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            worker.postMessage({ type: 'chunk', chunk: value }, [value.buffer]);
+        }
+
+        worker.postMessage({ type: 'end' });
+    }
+
+    /**
+     * Read a local log file (from file picker or drag-and-drop)
+     * @param {File} file - Local .xes.yaml file
+     * @returns {Promise<string>} Raw log content
+     */
+    static async readLogFile(file) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        const content = await file.text();
+
+        if (!content || content.trim().length === 0) {
+            throw new Error(`File ${file.name} is empty`);
         }
+
+        console.log(`Read local log ${file.name || 'content'}: ${content.length} characters`);
+        return content;
+    }
+
+    /**
+     * Parse raw log content into events
+     * @param {string} yamlContent - Raw .xes.yaml log content
+     * @returns {Object} Parsed log events and document parse errors ({ events, errors })
+     */
+    static parseLogText(yamlContent) {
+        const { events, errors } = YAMLParser.parseMultiDocument(yamlContent);
+        console.log(`Parsed ${events.length} events from log (${errors.length} invalid documents)`);
+        return { events, errors };
+    }
+
+    /**
+     * Derive instance UUID and process number from the log header
+     * @param {Array} events - Parsed log events
+     * @param {string} fileName - Name of the source file, used as UUID fallback (optional)
+     * @returns {Object} Instance info with uuid and processNumber
+     */
+    static extractInstanceInfo(events, fileName = null) {
+        return YAMLParser.extractInstanceInfo(events, fileName);
+    }
+
+    /**
+     * Get the latest execution state recorded in the log
+     * @param {Array} events - Array of events
+     * @returns {string|null} State (e.g. 'running', 'finished') or null if unknown
+     */
+    static getInstanceState(events) {
+        const stateEvents = this.filterEventsByTransition(events, 'state/change');
+        if (stateEvents.length === 0) return null;
+
+        const lastEvent = stateEvents[stateEvents.length - 1].event;
+        const data = lastEvent.data;
+        const state = lastEvent['cpee:state'] ?? (typeof data === 'string' ? data : data?.state);
+
+        return state ? String(state).trim() : null;
+    }
+
+    /**
+     * Check if the log shows that the instance will not change anymore
+     * @param {Array} events - Array of events
+     * @returns {boolean} True if the instance finished or was abandoned
+     */
+    static isInstanceFinished(events) {
+        return ['finished', 'abandoned'].includes(this.getInstanceState(events));
     }
 
     /**
@@ -127,60 +345,86 @@ export class LogService {
      * @returns {Array} Array of step objects, sorted chronologically
      */
     static parseStepsFromLog(logData) {
-        // Find all exposition events
-        const expositionEvents = logData.filter(event => {
-            return event.event && event.event['cpee:lifecycle:transition'] === 'description/exposition';
-        });
+        const stepGroups = new Map();
+        const found = this.groupExpositionEvents(logData, stepGroups);
         
-        console.log(`Found ${expositionEvents.length} exposition events`);
+        console.log(`Found ${found} exposition events`);
+        
+        return this.buildSteps(stepGroups);
+    }
+
+    /**
+     * Add the exposition events of a log, or of a batch of a log still streaming in, to their steps
+     * Each event only touches its own step, so batches can be added one by one
+     * @param {Array} logData - Parsed log events
+     * @param {Map} stepGroups - Steps by cpee:change_uuid ({ changeUuid, timestamp, content }), updated in place
+     * @returns {number} Number of exposition events added
+     */
+    static groupExpositionEvents(logData, stepGroups) {
+        const expositionEvents = this.filterEventsByTransition(logData, 'description/exposition');
         
-        // Group by change_uuid
-        const stepGroups = {};
         expositionEvents.forEach(event => {
             const changeUuid = event.event['cpee:change_uuid'];
             const timestamp = event.event['time:timestamp'];
             
-            if (changeUuid) {
-                if (!stepGroups[changeUuid]) {
-                    stepGroups[changeUuid] = {
-                        changeUuid: changeUuid,
-                        events: [],
-                        timestamp: timestamp
-                    };
-                }
-                stepGroups[changeUuid].events.push(event.event);
-                
-                // Keep earliest timestamp for step ordering
-                if (timestamp < stepGroups[changeUuid].timestamp) {
-                    stepGroups[changeUuid].timestamp = timestamp;
-                }
+            if (!changeUuid) return;
+            
+            if (!stepGroups.has(changeUuid)) {
+                stepGroups.set(changeUuid, {
+                    changeUuid: changeUuid,
+                    timestamp: timestamp,
+                    content: this.extractStepContent([])
+                });
+            }
+            const group = stepGroups.get(changeUuid);
+            
+            // Later expositions of a section replace earlier ones
+            this.extractStepContent([event.event], group.content);
+            
+            // Keep earliest timestamp for step ordering
+            if (timestamp < group.timestamp) {
+                group.timestamp = timestamp;
             }
         });
         
-        // Convert to array and sort chronologically
-        const steps = Object.values(stepGroups).sort((a, b) => {
-            return new Date(a.timestamp) - new Date(b.timestamp);
-        });
-        
-        // Extract content from each step and create CPEEStep objects
-        return steps.map((step, index) => {
-            const content = this.extractStepContent(step.events);
-            return new CPEEStep(
+        return expositionEvents.length;
+    }
+
+    /**
+     * Create the steps of grouped exposition events
+     * @param {Map} stepGroups - Steps from groupExpositionEvents
+     * @returns {Array} Array of CPEEStep objects, sorted chronologically
+     */
+    static buildSteps(stepGroups) {
+        return Array.from(stepGroups.values())
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map((group, index) => new CPEEStep(
                 index + 1,
-                step.changeUuid,
-                step.timestamp,
-                content
-            );
-        });
+                group.changeUuid,
+                group.timestamp,
+                { ...group.content }
+            ));
+    }
+
+    /**
+     * Parse all log events, whatever their lifecycle transition
+     * @param {Array} logData - Parsed log documents
+     * @returns {CPEEEvent[]} Events in log order
+     */
+    static parseEventsFromLog(logData) {
+        return logData
+            .filter(doc => doc && doc.event)
+            .map((doc, index) => CPEEEvent.fromLogEvent(doc.event, index));
     }
 
     /**
      * Extract the 5 content types from step events
      * @param {Array} events - Events for a single step
+     * @param {Object} target - Content object to fill (optional, a new one by default)
      * @returns {Object} Content object with 5 sections
      */
-    static extractStepContent(events) {
-        const content = {
+    static extractStepContent(events, target = null) {
+        const content = target || {
             inputCpeeTree: 'Not found',
             inputIntermediate: 'Not found', 
             userInput: 'Not found',
@@ -190,17 +434,10 @@ export class LogService {
         
         events.forEach(event => {
             const exposition = event['cpee:exposition'] || '';
+            const section = CPEEStep.getSectionName(exposition);
             
-            if (exposition.includes('<!-- Input CPEE-Tree -->')) {
-                content.inputCpeeTree = exposition;
-            } else if (exposition.includes('%% Input Intermediate')) {
-                content.inputIntermediate = exposition;
-            } else if (exposition.includes('# User Input:')) {
-                content.userInput = exposition;
-            } else if (exposition.includes('%% Output Intermediate')) {
-                content.outputIntermediate = exposition;
-            } else if (exposition.includes('<!-- Output CPEE-Tree -->')) {
-                content.outputCpeeTree = exposition;
+            if (section) {
+                content[section] = exposition;
             }
         });
         
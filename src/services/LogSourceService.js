@@ -0,0 +1,148 @@
+/**
+ * Log Source Service
+ * Keeps the registered log source providers and the active one
+ * The selection and provider settings are persisted in localStorage
+ */
+
+import { CPEEOrgProvider } from '../providers/CPEEOrgProvider.js';
+import { SelfHostedProvider } from '../providers/SelfHostedProvider.js';
+import { LocalDirectoryProvider } from '../providers/LocalDirectoryProvider.js';
+import { PastedTextProvider } from '../providers/PastedTextProvider.js';
+
+export class LogSourceService {
+    static STORAGE_KEY = 'cpee-debug-console.log-source';
+    static PROVIDER_CLASSES = [CPEEOrgProvider, SelfHostedProvider, LocalDirectoryProvider, PastedTextProvider];
+
+    static providers = null;
+    static activeProviderId = CPEEOrgProvider.ID;
+    static listeners = [];
+
+    /**
+     * Create providers from persisted settings (once)
+     */
+    static ensureInitialized() {
+        if (this.providers) return;
+
+        const stored = this.loadStoredState();
+        this.providers = new Map();
+
+        this.PROVIDER_CLASSES.forEach(ProviderClass => {
+            const settings = stored.providerSettings?.[ProviderClass.ID] || {};
+            this.providers.set(ProviderClass.ID, new ProviderClass(settings));
+        });
+
+        // Picked directories and pasted logs are gone after a reload, so those stay on the default source
+        if (stored.activeProviderId && this.providers.get(stored.activeProviderId)?.isReady()) {
+            this.activeProviderId = stored.activeProviderId;
+        }
+    }
+
+    /**
+     * Get all registered providers
+     * @returns {LogSourceProvider[]} Providers in registration order
+     */
+    static getProviders() {
+        this.ensureInitialized();
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Get provider by ID
+     * @param {string} id - Provider ID
+     * @returns {LogSourceProvider|null} Provider or null
+     */
+    static getProvider(id) {
+        this.ensureInitialized();
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Get the active provider
+     * @returns {LogSourceProvider} Active provider
+     */
+    static getActiveProvider() {
+        this.ensureInitialized();
+        return this.providers.get(this.activeProviderId);
+    }
+
+    /**
+     * Select the active provider
+     * @param {string} id - Provider ID
+     */
+    static setActiveProvider(id) {
+        this.ensureInitialized();
+
+        if (!this.providers.has(id)) {
+            throw new Error(`Unknown log source: ${id}`);
+        }
+
+        this.activeProviderId = id;
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Update and persist settings of a provider
+     * @param {string} id - Provider ID
+     * @param {Object} settings - Settings to merge
+     */
+    static updateProviderSettings(id, settings) {
+        const provider = this.getProvider(id);
+        if (!provider) {
+            throw new Error(`Unknown log source: ${id}`);
+        }
+
+        provider.updateSettings(settings);
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Register callback for provider changes
+     * @param {Function} callback - Called with the active provider
+     */
+    static onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify listeners about a change
+     */
+    static notify() {
+        const provider = this.getActiveProvider();
+        this.listeners.forEach(callback => callback(provider));
+    }
+
+    /**
+     * Read persisted state
+     * @returns {Object} Stored state or empty object
+     */
+    static loadStoredState() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn('Could not read log source settings:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Persist active provider and provider settings
+     */
+    static save() {
+        const providerSettings = {};
+        this.providers.forEach((provider, id) => {
+            providerSettings[id] = provider.getSettings();
+        });
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                activeProviderId: this.activeProviderId,
+                providerSettings
+            }));
+        } catch (error) {
+            console.warn('Could not save log source settings:', error.message);
+        }
+    }
+}
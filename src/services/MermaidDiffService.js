@@ -0,0 +1,304 @@
+/**
+ * Mermaid Diff Service
+ * Compares the input and output intermediate (Mermaid flowcharts) of a step:
+ * nodes are keyed by their ID, edges by their source and target node
+ */
+
+import { GraphSourceService } from './GraphSourceService.js';
+
+export class MermaidDiffService {
+    // Node shapes as [open, close], longer delimiters first
+    static SHAPES = [
+        ['(((', ')))'], ['((', '))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'],
+        ['{{', '}}'], ['[/', '/]'], ['[/', '\\]'], ['[\\', '\\]'], ['[\\', '/]'],
+        ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']']
+    ];
+
+    // Statements that declare no nodes or edges
+    static IGNORED_STATEMENTS = /^(graph|flowchart|subgraph|end|classDef|class|style|linkStyle|click|direction)\b/;
+
+    static NODE_ID = /^\s*([\w:]+(?:-[\w:]+)*)/;
+
+    // A -- text --> B, A == text ==> B, A -. text .-> B
+    static TEXT_EDGE = /^\s*<?(?:--|==|-\.)\s*([^-=.|>\s][\s\S]*?)\s*(?:-{2,}|={2,}|\.+-)[>xo]?/;
+
+    // A --> B, A -->|text| B, A --- B, A ==> B, A -.-> B, A ~~~ B
+    static ARROW_EDGE = /^\s*<?(?:-{2,}|={2,}|-\.+-|~{3,})[>xo]?\s*(?:\|\s*([^|]*?)\s*\|)?/;
+
+    // Line diffs beyond this size (input × output lines) fall back to remove all/add all
+    static MAX_LINE_DIFF_CELLS = 4000000;
+
+    /**
+     * Diff two intermediate sections
+     * @param {string} inputContent - Input intermediate as logged (may contain comment headers)
+     * @param {string} outputContent - Output intermediate as logged
+     * @returns {Object} { changes, summary, lines, marks } with changes of type added, removed or relabeled,
+     *                   the unified line diff of the sources and the marks for the output diagram
+     */
+    static diff(inputContent, outputContent) {
+        const inputCode = this.cleanCode(inputContent, 'Input Intermediate');
+        const outputCode = this.cleanCode(outputContent, 'Output Intermediate');
+        const input = this.parseFlowchart(inputCode);
+        const output = this.parseFlowchart(outputCode);
+
+        const changes = [
+            ...this.compareEntries('node', input.nodes, output.nodes),
+            ...this.compareEntries('edge', input.edges, output.edges)
+        ];
+
+        return {
+            changes,
+            summary: {
+                added: changes.filter(change => change.type === 'added').length,
+                removed: changes.filter(change => change.type === 'removed').length,
+                relabeled: changes.filter(change => change.type === 'relabeled').length
+            },
+            lines: this.diffLines(inputCode, outputCode),
+            marks: changes
+                .filter(change => change.type !== 'removed')
+                .map(({ kind, type, id, from, to }) => ({ kind, type, id, from, to }))
+        };
+    }
+
+    /**
+     * Clean a logged section to plain Mermaid code, the way it is cleaned before rendering
+     * @param {string} content - Section content
+     * @param {string} name - Section name for error messages
+     * @returns {string} Mermaid code, empty if the section holds nothing but its header
+     */
+    static cleanCode(content, name) {
+        if (!content || typeof content !== 'string' || content === 'Not found') {
+            throw new Error(`${name} is missing`);
+        }
+
+        const stripped = content.replace(/<!--[\s\S]*?-->/g, '').replace(/^\s*%%.*$/gm, '').trim();
+        if (stripped === '') return '';
+
+        const code = GraphSourceService.cleanAndValidateMermaid(content);
+        if (!/^(graph|flowchart)\b/.test(code)) {
+            throw new Error(`${name} is not a flowchart`);
+        }
+
+        return code;
+    }
+
+    /**
+     * Parse the nodes and edges of a flowchart
+     * @param {string} code - Cleaned Mermaid code
+     * @returns {Object} { nodes, edges } as Maps keyed by node ID and edge key
+     */
+    static parseFlowchart(code) {
+        const nodes = new Map();
+        const edges = new Map();
+
+        const addNode = (node) => {
+            const existing = nodes.get(node.id);
+            if (!existing) {
+                nodes.set(node.id, node);
+            } else if (node.label !== null) {
+                existing.label = node.label;
+            }
+        };
+
+        const addEdge = (from, to, label) => {
+            // Parallel edges between the same nodes are numbered
+            let key = `${from} --> ${to}`;
+            for (let count = 2; edges.has(key); count++) {
+                key = `${from} --> ${to} #${count}`;
+            }
+            edges.set(key, { id: key, from, to, label });
+        };
+
+        code.split('\n')
+            .map(line => line.trim().replace(/;$/, ''))
+            .filter(line => line && !this.IGNORED_STATEMENTS.test(line))
+            .forEach(line => {
+                let group = this.parseNodeGroup(line);
+                group.nodes.forEach(addNode);
+
+                while (group.nodes.length > 0 && group.rest.trim()) {
+                    const edge = this.parseEdge(group.rest);
+                    if (!edge) break;
+
+                    const next = this.parseNodeGroup(edge.rest);
+                    next.nodes.forEach(addNode);
+                    group.nodes.forEach(source => {
+                        next.nodes.forEach(target => addEdge(source.id, target.id, edge.label));
+                    });
+
+                    group = next;
+                }
+            });
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Parse one or more nodes joined by & (e.g. A & B --> C)
+     * @param {string} text - Statement starting with a node
+     * @returns {Object} { nodes, rest }
+     */
+    static parseNodeGroup(text) {
+        const nodes = [];
+        let rest = text;
+
+        do {
+            const node = this.parseNode(rest.replace(/^\s*&/, ''));
+            if (!node) break;
+            nodes.push(node.node);
+            rest = node.rest;
+        } while (/^\s*&/.test(rest));
+
+        return { nodes, rest };
+    }
+
+    /**
+     * Parse a node reference with optional shape and label (e.g. a9:task:(Task b))
+     * @param {string} text - Text starting with the node
+     * @returns {Object|null} { node: { id, label }, rest } or null if there is no node
+     */
+    static parseNode(text) {
+        const match = text.match(this.NODE_ID);
+        if (!match) return null;
+
+        // Class shorthand (A:::class) is matched as part of the ID
+        const id = match[1].split(':::')[0];
+        let rest = text.slice(match[0].length);
+        let label = null;
+
+        const shape = this.SHAPES.find(([open]) => rest.startsWith(open));
+        if (shape) {
+            const [open, close] = shape;
+            let end;
+
+            if (rest[open.length] === '"') {
+                const quoteEnd = rest.indexOf('"', open.length + 1);
+                end = quoteEnd === -1 ? -1 : rest.indexOf(close, quoteEnd);
+            } else {
+                end = rest.indexOf(close, open.length);
+            }
+
+            if (end !== -1) {
+                label = this.cleanLabel(rest.slice(open.length, end));
+                rest = rest.slice(end + close.length);
+            }
+        }
+
+        rest = rest.replace(/^:::[\w-]+/, '');
+
+        return { node: { id, label }, rest };
+    }
+
+    /**
+     * Parse the edge at the start of a text
+     * @param {string} text - Text after a node
+     * @returns {Object|null} { label, rest } or null if there is no edge
+     */
+    static parseEdge(text) {
+        const textEdge = text.match(this.TEXT_EDGE);
+        if (textEdge) {
+            return { label: this.cleanLabel(textEdge[1]), rest: text.slice(textEdge[0].length) };
+        }
+
+        const arrowEdge = text.match(this.ARROW_EDGE);
+        if (arrowEdge && arrowEdge[0].trim()) {
+            return { label: arrowEdge[1] ? this.cleanLabel(arrowEdge[1]) : null, rest: text.slice(arrowEdge[0].length) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize a node or edge label
+     * @param {string} label - Raw label
+     * @returns {string|null} Label without surrounding quotes, null if empty
+     */
+    static cleanLabel(label) {
+        const cleaned = label.trim().replace(/^"([\s\S]*)"$/, '$1').trim();
+        return cleaned || null;
+    }
+
+    /**
+     * Compare the nodes or edges of both diagrams
+     * @param {string} kind - node or edge
+     * @param {Map} inputEntries - Entries of the input diagram
+     * @param {Map} outputEntries - Entries of the output diagram
+     * @returns {Array} Changes ({ kind, type, id, from, to, label, oldLabel })
+     */
+    static compareEntries(kind, inputEntries, outputEntries) {
+        const changes = [];
+        const createChange = (type, entry, oldLabel = null) => ({
+            kind,
+            type,
+            id: entry.id,
+            from: entry.from || null,
+            to: entry.to || null,
+            label: entry.label,
+            oldLabel
+        });
+
+        outputEntries.forEach((entry, key) => {
+            const original = inputEntries.get(key);
+            if (!original) {
+                changes.push(createChange('added', entry));
+            } else if ((original.label ?? '') !== (entry.label ?? '')) {
+                changes.push(createChange('relabeled', entry, original.label));
+            }
+        });
+
+        inputEntries.forEach((entry, key) => {
+            if (!outputEntries.has(key)) {
+                changes.push(createChange('removed', entry));
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Line diff of two sources (longest common subsequence)
+     * @param {string} inputCode - Original source
+     * @param {string} outputCode - Changed source
+     * @returns {Array} Lines ({ type: 'context' | 'added' | 'removed', text })
+     */
+    static diffLines(inputCode, outputCode) {
+        const a = inputCode ? inputCode.split('\n') : [];
+        const b = outputCode ? outputCode.split('\n') : [];
+
+        if (a.length * b.length > this.MAX_LINE_DIFF_CELLS) {
+            return [
+                ...a.map(text => ({ type: 'removed', text })),
+                ...b.map(text => ({ type: 'added', text }))
+            ];
+        }
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'context', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+}
@@ -0,0 +1,492 @@
+/**
+ * Report Service
+ * Creates a shareable debugging report of an instance: metadata, every step's user input,
+ * the rendered graphs, the diffs and the detected errors, as a single self-contained HTML
+ * file (graphs as inline SVG, no scripts or external resources) or as Markdown
+ */
+
+import { ErrorAnalysisService } from './ErrorAnalysisService.js';
+import { GraphExportService } from './GraphExportService.js';
+import { TreeDiffService } from './TreeDiffService.js';
+import { MermaidDiffService } from './MermaidDiffService.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+
+export class ReportService {
+    // Graph sections in step viewer order, idPrefix matches the step viewer's container IDs
+    // so the graphs are drawn with the same styles
+    static GRAPH_SECTIONS = [
+        { key: 'inputCpeeTree', type: 'cpee', idPrefix: 'step' },
+        { key: 'inputIntermediate', type: 'mermaid', idPrefix: 'input-intermediate' },
+        { key: 'outputIntermediate', type: 'mermaid', idPrefix: 'output-intermediate' },
+        { key: 'outputCpeeTree', type: 'cpee', idPrefix: 'output-step' }
+    ];
+
+    // Instance metadata shown at the top, keys of CPEEInstance.getSummary
+    static SUMMARY_FIELDS = {
+        uuid: 'UUID',
+        processNumber: 'Process number',
+        stepCount: 'Steps',
+        loadedAt: 'Loaded',
+        parseErrorCount: 'Parse errors',
+        eventCount: 'Log events',
+        errorEventCount: 'Error events'
+    };
+
+    static STYLES = `
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #212529; margin: 0 auto; padding: 24px; max-width: 1200px; line-height: 1.5; }
+        h1 { font-size: 1.6em; margin-bottom: 4px; }
+        h2 { border-bottom: 2px solid #dee2e6; padding-bottom: 4px; margin-top: 40px; }
+        h3 { font-size: 1.05em; margin: 20px 0 8px; }
+        table { border-collapse: collapse; }
+        th, td { text-align: left; padding: 4px 12px 4px 0; vertical-align: top; }
+        pre { background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px; padding: 10px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; font-size: 0.85em; }
+        .meta { color: #6c757d; }
+        .graph { border: 1px solid #dee2e6; border-radius: 4px; padding: 8px; overflow-x: auto; background: #ffffff; }
+        .graph svg { max-width: 100%; height: auto; }
+        .missing { color: #6c757d; font-style: italic; }
+        .errors li { color: #842029; }
+        .category { display: inline-block; background: #f8d7da; border-radius: 3px; padding: 0 6px; margin-right: 6px; font-size: 0.85em; }
+        .change-type { display: inline-block; min-width: 70px; font-weight: 600; }
+        .change-added { color: #146c43; } .change-removed { color: #b02a37; } .change-moved, .change-modified, .change-relabeled { color: #997404; }
+        del { background: #f8d7da; } ins { background: #d1e7dd; text-decoration: none; }
+        .diff-line { display: block; } .diff-added { background: #d1e7dd; } .diff-removed { background: #f8d7da; }
+        nav ol { columns: 4; }
+    `;
+
+    /**
+     * Collect everything the report shows and render the graphs of all steps
+     * @param {CPEEInstance} instance - Instance to report on
+     * @param {Object} renderers - Renderer classes by graph type ({ cpee, mermaid }), passed in by the calling component
+     * @param {Function} onProgress - Optional callback receiving the number of done and all steps
+     * @returns {Promise<Object>} Report ({ title, createdAt, summary, errors, steps })
+     */
+    static async createReport(instance, renderers, onProgress = null) {
+        const errors = await ErrorAnalysisService.analyzeInstance(instance);
+        const steps = instance.getAllSteps();
+        const report = {
+            title: `Debugging report ${instance.getDisplayName()}`,
+            createdAt: new Date().toLocaleString(),
+            summary: instance.getSummary(),
+            errors,
+            steps: []
+        };
+
+        // Graphs are drawn offscreen with the app's styles, which the exported SVGs take over
+        const host = document.createElement('div');
+        host.className = 'report-render-host show-mermaid-diff';
+        host.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(host);
+
+        try {
+            for (const [index, step] of steps.entries()) {
+                if (onProgress) {
+                    onProgress(index, steps.length);
+                }
+                report.steps.push(await this.createStepReport(step, index, errors, renderers, host));
+            }
+        } finally {
+            host.remove();
+        }
+
+        if (onProgress) {
+            onProgress(steps.length, steps.length);
+        }
+
+        return report;
+    }
+
+    /**
+     * Collect the report of a single step
+     * @param {CPEEStep} step - Step
+     * @param {number} stepIndex - Index of the step in its instance
+     * @param {Array} errors - Errors of the instance from the ErrorAnalysisService
+     * @param {Object} renderers - Renderer classes by graph type
+     * @param {HTMLElement} host - Offscreen element to draw the graphs in
+     * @returns {Promise<Object>} Step report
+     */
+    static async createStepReport(step, stepIndex, errors, renderers, host) {
+        const treeDiff = this.diff(step, 'inputCpeeTree', 'outputCpeeTree', TreeDiffService);
+        const mermaidDiff = this.diff(step, 'inputIntermediate', 'outputIntermediate', MermaidDiffService);
+
+        // The same change marks as in the step viewer
+        const marks = {
+            inputCpeeTree: treeDiff.result ? treeDiff.result.marks.input : [],
+            outputCpeeTree: treeDiff.result ? treeDiff.result.marks.output : [],
+            outputIntermediate: mermaidDiff.result ? mermaidDiff.result.marks : []
+        };
+
+        const sections = {};
+        const graphs = {};
+        for (const section of this.GRAPH_SECTIONS) {
+            const content = step.hasContent(section.key) ? step.getContent(section.key) : null;
+            sections[section.key] = content;
+            graphs[section.key] = content && !ErrorAnalysisService.isEmptySection(content)
+                ? await this.renderGraph(section, content, marks[section.key] || [], renderers, host, `report-${stepIndex}`)
+                : null;
+        }
+
+        return {
+            stepIndex,
+            stepNumber: step.stepNumber,
+            changeUuid: step.changeUuid,
+            timestamp: step.getFormattedTimestamp(),
+            userInput: step.getUserInputText(),
+            sections,
+            graphs,
+            treeDiff,
+            mermaidDiff,
+            errors: errors.filter(error => error.stepIndex === stepIndex)
+        };
+    }
+
+    /**
+     * Diff two sections of a step
+     * @param {CPEEStep} step - Step
+     * @param {string} before - Section of the input
+     * @param {string} after - Section of the output
+     * @param {Object} service - TreeDiffService or MermaidDiffService
+     * @returns {Object} { result } on success, { error } otherwise
+     */
+    static diff(step, before, after, service) {
+        if (!step.hasContent(before) || !step.hasContent(after)) {
+            return { error: `${ErrorAnalysisService.getSectionName(before)} and ${ErrorAnalysisService.getSectionName(after)} are needed for a diff` };
+        }
+
+        try {
+            return { result: service.diff(step.getContent(before), step.getContent(after)) };
+        } catch (error) {
+            return { error: `Diff unavailable: ${error.message}` };
+        }
+    }
+
+    /**
+     * Draw a graph offscreen and export it as standalone SVG
+     * @param {Object} section - Entry of GRAPH_SECTIONS
+     * @param {string} content - CPEE XML or Mermaid code
+     * @param {Array} marks - Change marks
+     * @param {Object} renderers - Renderer classes by graph type
+     * @param {HTMLElement} host - Offscreen element
+     * @param {string} idSuffix - Makes the container ID unique
+     * @returns {Promise<string|null>} SVG document, or null if the graph could not be drawn
+     */
+    static async renderGraph(section, content, marks, renderers, host, idSuffix) {
+        const containerId = `${section.idPrefix}-${idSuffix}-graph-container`;
+        const container = document.createElement('div');
+        container.id = containerId;
+        host.replaceChildren(container);
+
+        try {
+            const renderer = new renderers[section.type]();
+            if (section.type === 'cpee') {
+                await renderer.initialize(containerId, null, null);
+                renderer.setChangeMarks(marks);
+                await renderer.renderGraph(content);
+                if (!await renderer.waitForRender()) return null;
+            } else {
+                await renderer.initialize(containerId);
+                renderer.setChangeMarks(marks);
+                await renderer.renderGraph(content);
+            }
+
+            const svgElement = container.querySelector('svg');
+            return svgElement ? GraphExportService.toStandaloneSVG(svgElement) : null;
+        } catch (error) {
+            console.error(`Error rendering ${section.key} for the report:`, error);
+            return null;
+        } finally {
+            host.replaceChildren();
+        }
+    }
+
+    /**
+     * Create the HTML report
+     * @param {Object} report - Report from createReport
+     * @returns {string} HTML document
+     */
+    static toHTML(report) {
+        const escape = (text) => DOMUtils.escapeHtml(String(text ?? ''));
+
+        const stepHTML = (step) => `
+            <section id="step-${step.stepIndex + 1}">
+                <h2>Step ${step.stepNumber}</h2>
+                <p class="meta">${escape(step.timestamp)} · change ${escape(step.changeUuid)}</p>
+
+                <h3>Errors</h3>
+                ${step.errors.length === 0 ? '<p class="missing">No errors found</p>' : `
+                    <ul class="errors">
+                        ${step.errors.map(error => `<li>${this.formatError(error, escape, (category) => `<span class="category">${escape(category)}</span>`)}</li>`).join('')}
+                    </ul>
+                `}
+
+                <h3>User Input</h3>
+                ${step.userInput ? `<pre>${escape(step.userInput)}</pre>` : '<p class="missing">No user input</p>'}
+
+                ${this.GRAPH_SECTIONS.map(section => `
+                    <h3>${escape(ErrorAnalysisService.getSectionName(section.key))}</h3>
+                    ${step.graphs[section.key]
+                        ? `<div class="graph">${step.graphs[section.key].replace(/^<\?xml[^>]*\?>\s*/, '')}</div>`
+                        : `<p class="missing">${step.sections[section.key] ? 'The graph could not be rendered' : 'Not available'}</p>`}
+                    ${step.sections[section.key] ? `
+                        <details>
+                            <summary>Source</summary>
+                            <pre>${escape(step.sections[section.key])}</pre>
+                        </details>
+                    ` : ''}
+                `).join('')}
+
+                <h3>Tree Changes</h3>
+                ${this.renderChangesHTML(step.treeDiff, (change) => this.describeTreeChange(change), escape)}
+
+                <h3>Intermediate Changes</h3>
+                ${this.renderChangesHTML(step.mermaidDiff, (change) => this.describeMermaidChange(change), escape)}
+                ${step.mermaidDiff.result && step.mermaidDiff.result.changes.length > 0 ? `
+                    <details>
+                        <summary>Source diff</summary>
+                        <pre>${step.mermaidDiff.result.lines.map(line => `<span class="diff-line diff-${line.type}">${this.getDiffPrefix(line)} ${escape(line.text)}</span>`).join('')}</pre>
+                    </details>
+                ` : ''}
+            </section>
+        `;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(report.title)}</title>
+    <style>${this.STYLES}</style>
+</head>
+<body>
+    <h1>${escape(report.title)}</h1>
+    <p class="meta">Created ${escape(report.createdAt)} with the CPEE Log Error Console</p>
+
+    <table>
+        ${Object.entries(this.SUMMARY_FIELDS).map(([key, label]) => `
+            <tr><th>${label}</th><td>${escape(report.summary[key] ?? '–')}</td></tr>
+        `).join('')}
+        <tr><th>Detected errors</th><td>${report.errors.length}</td></tr>
+    </table>
+
+    ${report.errors.length > 0 ? `
+        <h2>Errors</h2>
+        <ul class="errors">
+            ${report.errors.map(error => `
+                <li><a href="#step-${error.stepIndex + 1}">Step ${error.stepNumber}</a>: ${this.formatError(error, escape, (category) => `<span class="category">${escape(category)}</span>`)}</li>
+            `).join('')}
+        </ul>
+    ` : ''}
+
+    <nav>
+        <h2>Steps</h2>
+        <ol>
+            ${report.steps.map(step => `<li><a href="#step-${step.stepIndex + 1}">Step ${step.stepNumber}</a>${step.errors.length > 0 ? ` (${step.errors.length} error${step.errors.length === 1 ? '' : 's'})` : ''}</li>`).join('')}
+        </ol>
+    </nav>
+
+    ${report.steps.map(stepHTML).join('')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the change list of a diff as HTML
+     * @param {Object} diff - { result } or { error }
+     * @param {Function} describe - Turns a change into { type, title, details }
+     * @param {Function} escape - HTML escape
+     * @returns {string} HTML string
+     */
+    static renderChangesHTML(diff, describe, escape) {
+        if (diff.error) return `<p class="missing">${escape(diff.error)}</p>`;
+        if (diff.result.changes.length === 0) return '<p class="missing">No changes</p>';
+
+        return `
+            <ul>
+                ${diff.result.changes.map(describe).map(change => `
+                    <li>
+                        <span class="change-type change-${change.type}">${change.type}</span> ${escape(change.title)}
+                        ${change.details.map(detail => `
+                            <div>${escape(detail.property)}: <del>${escape(detail.before)}</del> → <ins>${escape(detail.after)}</ins></div>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Create the Markdown report
+     * Graphs are embedded as SVG data URLs, intermediates also as Mermaid code blocks
+     * @param {Object} report - Report from createReport
+     * @returns {string} Markdown document
+     */
+    static toMarkdown(report) {
+        const lines = [
+            `# ${this.escapeMarkdown(report.title)}`,
+            '',
+            `_Created ${report.createdAt} with the CPEE Log Error Console_`,
+            '',
+            '| | |',
+            '|---|---|',
+            ...Object.entries(this.SUMMARY_FIELDS).map(([key, label]) => `| ${label} | ${this.escapeMarkdown(String(report.summary[key] ?? '–'))} |`),
+            `| Detected errors | ${report.errors.length} |`,
+            ''
+        ];
+
+        if (report.errors.length > 0) {
+            lines.push('## Errors', '');
+            report.errors.forEach(error => {
+                lines.push(`- [Step ${error.stepNumber}](#step-${error.stepNumber}): ${this.formatError(error, (text) => this.escapeMarkdown(String(text)), (category) => `**${category}**`)}`);
+            });
+            lines.push('');
+        }
+
+        report.steps.forEach(step => {
+            lines.push(`## Step ${step.stepNumber}`, '', `_${step.timestamp} · change ${step.changeUuid}_`, '', '### Errors', '');
+            if (step.errors.length === 0) {
+                lines.push('No errors found');
+            }
+            step.errors.forEach(error => {
+                lines.push(`- ${this.formatError(error, (text) => this.escapeMarkdown(String(text)), (category) => `**${category}**`)}`);
+            });
+
+            lines.push('', '### User Input', '', step.userInput ? this.codeBlock(step.userInput) : 'No user input', '');
+
+            this.GRAPH_SECTIONS.forEach(section => {
+                const name = ErrorAnalysisService.getSectionName(section.key);
+                const content = step.sections[section.key];
+
+                lines.push(`### ${name}`, '');
+                if (step.graphs[section.key]) {
+                    lines.push(`![${name}](${this.toDataURL(step.graphs[section.key])})`, '');
+                } else {
+                    lines.push(content ? '_The graph could not be rendered_' : '_Not available_', '');
+                }
+                if (content) {
+                    lines.push('<details>', '<summary>Source</summary>', '',
+                        this.codeBlock(content, section.type === 'cpee' ? 'xml' : 'mermaid'), '', '</details>', '');
+                }
+            });
+
+            lines.push('### Tree Changes', '', ...this.renderChangesMarkdown(step.treeDiff, (change) => this.describeTreeChange(change)), '');
+            lines.push('### Intermediate Changes', '', ...this.renderChangesMarkdown(step.mermaidDiff, (change) => this.describeMermaidChange(change)), '');
+
+            if (step.mermaidDiff.result && step.mermaidDiff.result.changes.length > 0) {
+                const diff = step.mermaidDiff.result.lines.map(line => `${this.getDiffPrefix(line)} ${line.text}`).join('\n');
+                lines.push(this.codeBlock(diff, 'diff'), '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the change list of a diff as Markdown lines
+     * @param {Object} diff - { result } or { error }
+     * @param {Function} describe - Turns a change into { type, title, details }
+     * @returns {string[]} Lines
+     */
+    static renderChangesMarkdown(diff, describe) {
+        if (diff.error) return [`_${this.escapeMarkdown(diff.error)}_`];
+        if (diff.result.changes.length === 0) return ['No changes'];
+
+        return diff.result.changes.map(describe).flatMap(change => [
+            `- **${change.type}** ${this.escapeMarkdown(change.title)}`,
+            ...change.details.map(detail => `  - ${this.escapeMarkdown(detail.property)}: ~~${this.escapeMarkdown(detail.before)}~~ → ${this.escapeMarkdown(detail.after)}`)
+        ]);
+    }
+
+    /**
+     * Describe a change from the TreeDiffService
+     * @param {Object} change - Tree change
+     * @returns {Object} { type, title, details }
+     */
+    static describeTreeChange(change) {
+        const element = [change.tag, change.id, change.label ? `"${change.label}"` : null].filter(Boolean).join(' ');
+        const location = change.type === 'moved' ? `from ${change.from} to ${change.location}` : `in ${change.location}`;
+        const contains = change.type !== 'moved' && change.descendantIds.length > 0 ? ` (contains ${change.descendantIds.join(', ')})` : '';
+
+        return {
+            type: change.type,
+            title: `${element} ${location}${contains}`,
+            details: change.details.map(detail => ({
+                property: detail.property,
+                before: detail.before ?? '(none)',
+                after: detail.after ?? '(none)'
+            }))
+        };
+    }
+
+    /**
+     * Describe a node or edge change from the MermaidDiffService
+     * @param {Object} change - Intermediate change
+     * @returns {Object} { type, title, details }
+     */
+    static describeMermaidChange(change) {
+        const element = change.kind === 'edge' ? `edge ${change.from} → ${change.to}` : `node ${change.id}`;
+
+        return {
+            type: change.type,
+            title: change.type !== 'relabeled' && change.label ? `${element} "${change.label}"` : element,
+            details: change.type === 'relabeled'
+                ? [{ property: 'label', before: change.oldLabel ?? '(none)', after: change.label ?? '(none)' }]
+                : []
+        };
+    }
+
+    /**
+     * Format an error from the ErrorAnalysisService
+     * @param {Object} error - Error
+     * @param {Function} escape - Escape for the target format
+     * @param {Function} category - Formats the category name
+     * @returns {string} Formatted error
+     */
+    static formatError(error, escape, category) {
+        const section = error.section ? ` (${ErrorAnalysisService.getSectionName(error.section)})` : '';
+        return `${category(`${ErrorAnalysisService.getCategoryName(error.category)}${section}`)} ${escape(error.message)}`;
+    }
+
+    /**
+     * Get the prefix of a line of a source diff
+     * @param {Object} line - Line from MermaidDiffService.diffLines
+     * @returns {string} +, - or a space
+     */
+    static getDiffPrefix(line) {
+        return { added: '+', removed: '-' }[line.type] || ' ';
+    }
+
+    /**
+     * Wrap text in a fenced code block whose fence does not occur in the text
+     * @param {string} text - Code
+     * @param {string} language - Language of the block
+     * @returns {string} Code block
+     */
+    static codeBlock(text, language = '') {
+        const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    /**
+     * Escape the characters Markdown would interpret in inline text
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]<>|#~])/g, '\\$1').replace(/\r?\n/g, ' ');
+    }
+
+    /**
+     * Turn an SVG document into a base64 data URL (Markdown image links cannot hold raw SVG)
+     * @param {string} svg - SVG document
+     * @returns {string} Data URL
+     */
+    static toDataURL(svg) {
+        const bytes = new TextEncoder().encode(svg);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:image/svg+xml;base64,${btoa(binary)}`;
+    }
+}
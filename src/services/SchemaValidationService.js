@@ -0,0 +1,396 @@
+/**
+ * Schema Validation Service
+ * Validates a CPEE-Tree against the grammar of the CPEE description language
+ * and reports every violation with its XPath and line/column in the source
+ */
+
+import { TreeDiffService } from './TreeDiffService.js';
+
+export class SchemaValidationService {
+    static ACTIVITY_TAGS = ['call', 'manipulate', 'stop', 'terminate', 'escape'];
+    static STRUCTURE_TAGS = ['choose', 'parallel', 'loop', 'critical'];
+
+    static REQUIRED_ATTRIBUTES = {
+        call: ['id', 'endpoint'],
+        alternative: ['condition'],
+        loop: ['condition'],
+        critical: ['sid']
+    };
+
+    static ATTRIBUTE_VALUES = {
+        choose: { mode: ['exclusive', 'inclusive'] },
+        loop: { mode: ['pre_test', 'post_test'] }
+    };
+
+    static CALL_CHILDREN = ['parameters', 'code', 'annotations', 'documentation', 'input', 'output'];
+    static PARAMETER_CHILDREN = ['label', 'method', 'arguments', 'type', 'sensor', 'sensorparams', 'stream'];
+    static METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+    // Markup that is not an element, so start tags can be counted in document order
+    static SOURCE_TOKENS = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<([A-Za-z_][\w.:-]*)/g;
+
+    /**
+     * Validate a CPEE-Tree
+     * @param {string} xml - Tree as logged (may contain comment headers)
+     * @returns {Object} { valid, violations } with violations ({ xpath, line, column, path, message })
+     */
+    static validate(xml) {
+        if (!xml || typeof xml !== 'string') {
+            throw new Error('No CPEE-Tree to validate');
+        }
+
+        const source = xml.trimStart();
+        const offset = xml.length - source.length;
+        const xmlDoc = new DOMParser().parseFromString(source, 'text/xml');
+        const violations = [];
+
+        const parseError = xmlDoc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            const message = parseError.textContent.trim();
+            const location = message.match(/line(?: number)?\s*(\d+)\D+?(\d+)/i);
+            violations.push({
+                xpath: '/',
+                line: location ? parseInt(location[1], 10) + this.countLines(xml, offset) : null,
+                column: location ? parseInt(location[2], 10) : null,
+                path: null,
+                message: `Not well-formed: ${message.split('\n')[0]}`
+            });
+            return { valid: false, violations };
+        }
+
+        const locations = this.locateElements(xml, xmlDoc);
+        const root = xmlDoc.documentElement?.localName === 'description'
+            ? xmlDoc.documentElement
+            : xmlDoc.getElementsByTagNameNS('*', 'description')[0];
+
+        const report = (element, message) => {
+            const location = locations.get(element) || { line: null, column: null };
+            violations.push({
+                xpath: this.getXPath(element),
+                line: location.line,
+                column: location.column,
+                path: root ? this.getNodePath(element, root) : null,
+                message
+            });
+        };
+
+        if (!root) {
+            report(xmlDoc.documentElement, 'No <description> element');
+            return { valid: false, violations };
+        }
+
+        this.validateBlock(root, report);
+        this.validateIds(root, report);
+
+        violations.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity) || (a.column ?? 0) - (b.column ?? 0));
+        return { valid: violations.length === 0, violations };
+    }
+
+    /**
+     * Format a violation as a single line
+     * @param {Object} violation - Violation from validate
+     * @returns {string} e.g. <call> is missing the endpoint attribute at /description/call[2] (line 4, column 3)
+     */
+    static formatViolation(violation) {
+        const location = violation.line ? ` (line ${violation.line}, column ${violation.column})` : '';
+        return `${violation.message} at ${violation.xpath}${location}`;
+    }
+
+    /**
+     * Validate a block (a sequence of activities and structures) and everything below it
+     * @param {Element} element - description, alternative, otherwise, parallel_branch, loop or critical
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateBlock(element, report) {
+        this.validateAttributes(element, report);
+        this.validateText(element, report);
+
+        TreeDiffService.getChildElements(element).forEach(child => {
+            const tag = child.localName;
+
+            if (this.ACTIVITY_TAGS.includes(tag)) {
+                this.validateActivity(child, report);
+            } else if (tag === 'choose') {
+                this.validateChoose(child, report);
+            } else if (tag === 'parallel') {
+                this.validateParallel(child, report);
+            } else if (tag === 'loop' || tag === 'critical') {
+                this.validateBlock(child, report);
+            } else {
+                report(child, `<${tag}> is not allowed in <${element.localName}>`);
+            }
+        });
+    }
+
+    /**
+     * Validate a choose: alternatives followed by at most one otherwise
+     * @param {Element} element - choose element
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateChoose(element, report) {
+        this.validateAttributes(element, report);
+        this.validateText(element, report);
+
+        const children = TreeDiffService.getChildElements(element);
+        if (!children.some(child => child.localName === 'alternative')) {
+            report(element, '<choose> needs at least one <alternative>');
+        }
+
+        children.forEach((child, index) => {
+            const tag = child.localName;
+
+            if (tag === 'alternative' || tag === 'otherwise') {
+                if (tag === 'otherwise' && index !== children.length - 1) {
+                    report(child, '<otherwise> must be the last branch of <choose>');
+                }
+                this.validateBlock(child, report);
+            } else {
+                report(child, `<${tag}> is not allowed in <choose>, only <alternative> and <otherwise>`);
+            }
+        });
+    }
+
+    /**
+     * Validate a parallel: only parallel_branch children
+     * @param {Element} element - parallel element
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateParallel(element, report) {
+        this.validateAttributes(element, report);
+        this.validateText(element, report);
+
+        const children = TreeDiffService.getChildElements(element);
+        if (!children.some(child => child.localName === 'parallel_branch')) {
+            report(element, '<parallel> needs at least one <parallel_branch>');
+        }
+
+        children.forEach(child => {
+            if (child.localName === 'parallel_branch') {
+                this.validateBlock(child, report);
+            } else {
+                report(child, `<${child.localName}> is not allowed in <parallel>, only <parallel_branch>`);
+            }
+        });
+    }
+
+    /**
+     * Validate an activity and, for calls, its parameters
+     * @param {Element} element - Activity element
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateActivity(element, report) {
+        this.validateAttributes(element, report);
+
+        if (element.localName !== 'call') return;
+
+        const children = TreeDiffService.getChildElements(element);
+        children
+            .filter(child => !this.CALL_CHILDREN.includes(child.localName))
+            .forEach(child => report(child, `<${child.localName}> is not allowed in <call>`));
+
+        const parameters = children.filter(child => child.localName === 'parameters');
+        if (parameters.length === 0) {
+            report(element, '<call> has no <parameters>');
+        } else if (parameters.length > 1) {
+            parameters.slice(1).forEach(extra => report(extra, '<call> has more than one <parameters>'));
+        }
+
+        if (parameters[0]) {
+            this.validateParameters(parameters[0], report);
+        }
+    }
+
+    /**
+     * Validate the parameters of a call
+     * @param {Element} element - parameters element
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateParameters(element, report) {
+        this.validateText(element, report);
+
+        const seen = new Set();
+        TreeDiffService.getChildElements(element).forEach(child => {
+            const tag = child.localName;
+
+            if (!this.PARAMETER_CHILDREN.includes(tag)) {
+                report(child, `<${tag}> is not allowed in <parameters>`);
+                return;
+            }
+            if (seen.has(tag)) {
+                report(child, `<parameters> has more than one <${tag}>`);
+            }
+            seen.add(tag);
+
+            if (tag === 'label' && TreeDiffService.getChildElements(child).length > 0) {
+                report(child, '<label> must only contain text');
+            }
+            if (tag === 'method') {
+                const method = child.textContent.trim().replace(/^:/, '').toLowerCase();
+                if (!this.METHODS.includes(method)) {
+                    report(child, `Unknown method "${child.textContent.trim()}", expected one of ${this.METHODS.map(name => `:${name}`).join(', ')}`);
+                }
+            }
+            if (tag === 'arguments') {
+                this.validateText(child, report);
+            }
+        });
+    }
+
+    /**
+     * Check required attributes and attribute values
+     * @param {Element} element - Element to check
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateAttributes(element, report) {
+        const tag = element.localName;
+
+        (this.REQUIRED_ATTRIBUTES[tag] || []).forEach(name => {
+            if (!element.hasAttribute(name)) {
+                report(element, `<${tag}> is missing the ${name} attribute`);
+            } else if (name === 'id' && element.getAttribute(name).trim() === '') {
+                report(element, `<${tag}> has an empty id`);
+            }
+        });
+
+        Object.entries(this.ATTRIBUTE_VALUES[tag] || {}).forEach(([name, values]) => {
+            if (element.hasAttribute(name) && !values.includes(element.getAttribute(name))) {
+                report(element, `${name}="${element.getAttribute(name)}" on <${tag}>, expected ${values.join(' or ')}`);
+            }
+        });
+    }
+
+    /**
+     * Report text directly inside an element that only holds elements
+     * @param {Element} element - Element to check
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateText(element, report) {
+        const text = Array.from(element.childNodes)
+            .filter(child => child.nodeType === 3 || child.nodeType === 4)
+            .map(child => child.nodeValue)
+            .join('')
+            .trim();
+
+        if (text !== '') {
+            report(element, `Unexpected text in <${element.localName}>: "${text.length > 40 ? `${text.substring(0, 40)}...` : text}"`);
+        }
+    }
+
+    /**
+     * Report ids used by more than one element
+     * @param {Element} root - description element
+     * @param {Function} report - Callback (element, message)
+     */
+    static validateIds(root, report) {
+        const seen = new Map();
+
+        Array.from(root.getElementsByTagName('*')).forEach(element => {
+            if (!this.ACTIVITY_TAGS.includes(element.localName) && !this.STRUCTURE_TAGS.includes(element.localName)) return;
+
+            const id = element.getAttribute('id');
+            if (!id) return;
+
+            if (seen.has(id)) {
+                report(element, `Duplicate id "${id}" (first used by the <${seen.get(id).localName}> at ${this.getXPath(seen.get(id))})`);
+            } else {
+                seen.set(id, element);
+            }
+        });
+    }
+
+    /**
+     * Find the line and column of every element by counting start tags in the source
+     * Start tags appear in the same order as the elements of the parsed document
+     * @param {string} xml - Source the document was parsed from
+     * @param {Document} xmlDoc - Parsed document
+     * @returns {Map} Element → { line, column }
+     */
+    static locateElements(xml, xmlDoc) {
+        const elements = Array.from(xmlDoc.getElementsByTagName('*'));
+        const locations = new Map();
+        let index = 0;
+        let line = 1;
+        let lineStart = 0;
+        let position = 0;
+
+        for (const match of xml.matchAll(this.SOURCE_TOKENS)) {
+            if (!match[1]) continue;
+
+            const element = elements[index++];
+            if (!element) break;
+
+            for (; position < match.index; position++) {
+                if (xml[position] === '\n') {
+                    line++;
+                    lineStart = position + 1;
+                }
+            }
+
+            locations.set(element, { line, column: match.index - lineStart + 1 });
+        }
+
+        return locations;
+    }
+
+    /**
+     * Count the line breaks before a position
+     * @param {string} text - Text
+     * @param {number} end - Position
+     * @returns {number} Number of line breaks
+     */
+    static countLines(text, end) {
+        let count = 0;
+        for (let i = 0; i < end; i++) {
+            if (text[i] === '\n') count++;
+        }
+        return count;
+    }
+
+    /**
+     * Build the XPath of an element (positions among siblings of the same name)
+     * @param {Element} element - Element
+     * @returns {string} e.g. /description/choose[1]/alternative[2]/call[1]
+     */
+    static getXPath(element) {
+        const steps = [];
+
+        for (let current = element; current && current.nodeType === 1; current = current.parentNode) {
+            const parent = current.parentNode;
+            if (!parent || parent.nodeType !== 1) {
+                steps.unshift(current.localName);
+                break;
+            }
+
+            const sameName = TreeDiffService.getChildElements(parent).filter(sibling => sibling.localName === current.localName);
+            steps.unshift(`${current.localName}[${sameName.indexOf(current) + 1}]`);
+        }
+
+        return `/${steps.join('/')}`;
+    }
+
+    /**
+     * Get the tree path of the closest structure element, as used by TreeDiffService marks
+     * @param {Element} element - Offending element
+     * @param {Element} root - description element
+     * @returns {number[]|null} Path or null if the element is outside the description
+     */
+    static getNodePath(element, root) {
+        let node = element;
+        while (node && node !== root && !TreeDiffService.NODE_TAGS.includes(node.localName)) {
+            node = node.parentNode;
+        }
+        if (!node || node.nodeType !== 1) return null;
+
+        const path = [];
+        for (let current = node; current !== root; current = current.parentNode) {
+            const parent = current.parentNode;
+            if (!parent || parent.nodeType !== 1 || !TreeDiffService.NODE_TAGS.includes(current.localName)) return null;
+
+            const siblings = TreeDiffService.getChildElements(parent)
+                .filter(sibling => TreeDiffService.NODE_TAGS.includes(sibling.localName));
+            path.unshift(siblings.indexOf(current));
+        }
+
+        return path;
+    }
+}
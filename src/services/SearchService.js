@@ -0,0 +1,282 @@
+/**
+ * Search Service
+ * Searches the steps of all loaded instances by free text in their five content
+ * sections and by filters (section:, endpoint:, element:, has:, after:, before:, time:)
+ */
+
+import { ErrorAnalysisService } from './ErrorAnalysisService.js';
+
+export class SearchService {
+    static FILTERS = {
+        section: 'Only search these sections, e.g. section:userInput',
+        endpoint: 'A call endpoint or event endpoint contains the value',
+        element: 'A CPEE-Tree contains the element, e.g. element:call',
+        has: 'has:error or a non-empty section, e.g. has:outputCpeeTree',
+        after: 'Step at or after a date, date-time or time of day',
+        before: 'Step at or before a date, date-time or time of day',
+        time: 'Range of both, e.g. time:10:00..10:30'
+    };
+
+    // key:value, key:"quoted value", "quoted phrase" or a plain word
+    static TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+    static CLOCK = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+    static MAX_RESULTS = 200;
+    static MAX_SNIPPETS = 3;
+    static SNIPPET_CONTEXT = 40;
+
+    /**
+     * Split a query into free text terms and filters
+     * Values of the same filter are alternatives, different filters must all match
+     * @param {string} query - Search query
+     * @returns {Object} { terms, sections, endpoints, elements, has, after, before, errors }
+     */
+    static parseQuery(query) {
+        const parsed = { terms: [], sections: [], endpoints: [], elements: [], has: [], after: null, before: null, errors: [] };
+
+        for (const match of (query || '').matchAll(this.TOKEN)) {
+            const [token, key, quotedValue, plainValue, phrase, word] = match;
+            const filter = key ? key.toLowerCase() : null;
+
+            // Words with colons that are no filter (e.g. Mermaid IDs like a9:task:) are free text
+            if (!filter || !(filter in this.FILTERS)) {
+                const term = (phrase ?? word ?? token).trim().toLowerCase();
+                if (term) parsed.terms.push(term);
+                continue;
+            }
+
+            const value = (quotedValue ?? plainValue).trim();
+            switch (filter) {
+                case 'section': {
+                    const section = this.findSection(value);
+                    if (section) {
+                        parsed.sections.push(section);
+                    } else {
+                        parsed.errors.push(`Unknown section "${value}"`);
+                    }
+                    break;
+                }
+                case 'has': {
+                    const section = this.findSection(value);
+                    if (value.toLowerCase() === 'error' || value.toLowerCase() === 'errors') {
+                        parsed.has.push('error');
+                    } else if (section) {
+                        parsed.has.push(section);
+                    } else {
+                        parsed.errors.push(`Unknown has: value "${value}"`);
+                    }
+                    break;
+                }
+                case 'endpoint':
+                    parsed.endpoints.push(value.toLowerCase());
+                    break;
+                case 'element':
+                    parsed.elements.push(value);
+                    break;
+                case 'time': {
+                    const [from, to] = value.split('..');
+                    if (from) parsed.after = this.parseTime(from, parsed.errors);
+                    if (to) parsed.before = this.parseTime(to, parsed.errors);
+                    break;
+                }
+                default:
+                    parsed[filter] = this.parseTime(value, parsed.errors);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Find a section key by name, ignoring case and separators (userInput, user-input, "User Input")
+     * @param {string} value - Section name
+     * @returns {string|null} Section key
+     */
+    static findSection(value) {
+        const normalize = (name) => name.toLowerCase().replace(/[^a-z]/g, '');
+        const wanted = normalize(value);
+
+        return Object.entries(ErrorAnalysisService.SECTIONS)
+            .find(([key, name]) => normalize(key) === wanted || normalize(name) === wanted)?.[0] || null;
+    }
+
+    /**
+     * Parse a time filter value
+     * @param {string} value - Date, date-time or time of day (HH:MM or HH:MM:SS)
+     * @param {string[]} errors - Collected query errors
+     * @returns {Object|null} { time } in epoch milliseconds or { clock } in seconds since midnight
+     */
+    static parseTime(value, errors) {
+        const clock = value.match(this.CLOCK);
+        if (clock) {
+            return { clock: Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0) };
+        }
+
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) {
+            errors.push(`Invalid time "${value}"`);
+            return null;
+        }
+        return { time };
+    }
+
+    /**
+     * Search all instances
+     * @param {CPEEInstance[]} instances - Instances to search
+     * @param {string} query - Search query
+     * @returns {Promise<Object>} { errors, groups, total, truncated } with groups ({ instance, steps })
+     *                            and steps ({ stepIndex, step, hits }) in instance and step order
+     */
+    static async search(instances, query) {
+        const parsed = this.parseQuery(query);
+        const result = { errors: parsed.errors, groups: [], total: 0, truncated: false };
+
+        const hasCriteria = parsed.terms.length > 0 || parsed.endpoints.length > 0 || parsed.elements.length > 0 ||
+            parsed.has.length > 0 || parsed.after || parsed.before || parsed.sections.length > 0;
+        if (!hasCriteria) return result;
+
+        for (const instance of instances) {
+            // Errors are only analyzed when asked for, the analysis is cached on the instance
+            const errorSteps = parsed.has.includes('error')
+                ? new Set((await ErrorAnalysisService.analyzeInstance(instance)).map(error => error.stepIndex))
+                : null;
+
+            const steps = [];
+            instance.getAllSteps().forEach((step, stepIndex) => {
+                if (result.total >= this.MAX_RESULTS) {
+                    result.truncated = true;
+                    return;
+                }
+
+                const hits = this.matchStep(step, parsed, errorSteps?.has(stepIndex));
+                if (hits) {
+                    steps.push({ stepIndex, step, hits });
+                    result.total++;
+                }
+            });
+
+            if (steps.length > 0) {
+                result.groups.push({ instance, steps });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a step against a parsed query
+     * @param {CPEEStep} step - Step
+     * @param {Object} parsed - Parsed query
+     * @param {boolean} hasAnalysisErrors - Whether the error analysis found errors in the step
+     * @returns {Array|null} Hits ({ section, count, snippets }) or null if the step does not match
+     */
+    static matchStep(step, parsed, hasAnalysisErrors = false) {
+        if (!this.matchesTime(step, parsed)) return null;
+
+        if (parsed.has.length > 0 && !parsed.has.some(value => value === 'error'
+            ? step.hasErrors() || hasAnalysisErrors
+            : step.hasContent(value) && !ErrorAnalysisService.isEmptySection(step.getContent(value)))) {
+            return null;
+        }
+
+        const trees = ErrorAnalysisService.XML_SECTIONS
+            .filter(section => step.hasContent(section))
+            .map(section => step.getContent(section));
+
+        if (parsed.elements.length > 0 && !parsed.elements.some(tag => {
+            const pattern = new RegExp(`<${tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s/>]`, 'i');
+            return trees.some(tree => pattern.test(tree));
+        })) {
+            return null;
+        }
+
+        if (parsed.endpoints.length > 0) {
+            const endpoints = [
+                ...trees.flatMap(tree => Array.from(tree.matchAll(/\sendpoint="([^"]*)"/g), match => match[1])),
+                ...step.getEvents().map(event => event.endpoint).filter(Boolean)
+            ].map(endpoint => endpoint.toLowerCase());
+
+            if (!parsed.endpoints.some(value => endpoints.some(endpoint => endpoint.includes(value)))) {
+                return null;
+            }
+        }
+
+        const sections = (parsed.sections.length > 0 ? parsed.sections : Object.keys(ErrorAnalysisService.SECTIONS))
+            .filter(section => step.hasContent(section));
+
+        // Without free text every section the filters allow counts as a hit
+        if (parsed.terms.length === 0) {
+            return parsed.sections.length > 0 && sections.length === 0 ? null : [];
+        }
+
+        const contents = sections.map(section => ({ section, content: step.getContent(section) }));
+        const lowerContents = contents.map(({ content }) => content.toLowerCase());
+        if (!parsed.terms.every(term => lowerContents.some(content => content.includes(term)))) {
+            return null;
+        }
+
+        return contents
+            .map(({ section, content }, index) => ({ section, ...this.findSnippets(content, lowerContents[index], parsed.terms) }))
+            .filter(hit => hit.count > 0);
+    }
+
+    /**
+     * Check the time filters of a query
+     * @param {CPEEStep} step - Step
+     * @param {Object} parsed - Parsed query
+     * @returns {boolean} True if the step time is within the range
+     */
+    static matchesTime(step, parsed) {
+        if (!parsed.after && !parsed.before) return true;
+
+        const time = Date.parse(step.timestamp);
+        if (Number.isNaN(time)) return false;
+
+        const date = new Date(time);
+        const clock = date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+        const compare = (bound) => bound.time !== undefined ? time - bound.time : clock - bound.clock;
+
+        return (!parsed.after || compare(parsed.after) >= 0) && (!parsed.before || compare(parsed.before) <= 0);
+    }
+
+    /**
+     * Find the occurrences of the terms in a section and cut snippets around the first ones
+     * @param {string} content - Section content
+     * @param {string} lowerContent - Lowercased content
+     * @param {string[]} terms - Lowercased terms
+     * @returns {Object} { count, snippets } with snippets ({ text, prefix, suffix, highlights: [[start, end]] }),
+     *                   prefix/suffix telling whether the content continues before/after the snippet
+     */
+    static findSnippets(content, lowerContent, terms) {
+        const occurrences = [];
+        terms.forEach(term => {
+            for (let index = lowerContent.indexOf(term); index !== -1; index = lowerContent.indexOf(term, index + term.length)) {
+                occurrences.push([index, index + term.length]);
+            }
+        });
+        occurrences.sort((a, b) => a[0] - b[0]);
+
+        const snippets = [];
+        let covered = -1;
+        for (const [start] of occurrences) {
+            if (snippets.length >= this.MAX_SNIPPETS) break;
+            if (start < covered) continue;
+
+            const from = Math.max(0, start - this.SNIPPET_CONTEXT);
+            const to = Math.min(content.length, start + this.SNIPPET_CONTEXT * 2);
+            covered = to;
+
+            snippets.push({
+                text: content.slice(from, to),
+                prefix: from > 0,
+                suffix: to < content.length,
+                highlights: occurrences
+                    .filter(([s, e]) => s >= from && e <= to)
+                    .map(([s, e]) => [s - from, e - from])
+            });
+        }
+
+        return { count: occurrences.length, snippets };
+    }
+}
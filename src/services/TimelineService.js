@@ -0,0 +1,173 @@
+/**
+ * Timeline Service
+ * Places the steps and engine events of an instance on a time axis: each step spans
+ * its modification round, from the first to the last exposition of its sections
+ */
+
+export class TimelineService {
+    // The LLM is asked once the user input is logged and answers with the output intermediate
+    static REQUEST_SECTION = 'userInput';
+    static RESPONSE_SECTIONS = ['outputIntermediate', 'outputCpeeTree'];
+    static RESULT_SECTIONS = ['outputCpeeTree', 'outputIntermediate'];
+
+    // Axis tick intervals in milliseconds
+    static TICK_INTERVALS = [
+        10, 20, 50, 100, 200, 500,
+        1000, 2000, 5000, 10000, 15000, 30000,
+        60000, 120000, 300000, 600000, 900000, 1800000,
+        3600000, 7200000, 10800000, 21600000, 43200000, 86400000
+    ];
+
+    /**
+     * Build the timeline of an instance
+     * @param {CPEEInstance} instance - Instance
+     * @returns {Object} { start, end, steps, events } with times in epoch milliseconds;
+     *                   steps ({ index, step, start, end, llm, turnaround }) and events ({ time, event, stepIndex })
+     */
+    static buildTimeline(instance) {
+        const allSteps = instance.getAllSteps();
+        const steps = allSteps
+            .map((step, index) => this.getStepSpan(step, index))
+            .filter(Boolean);
+
+        // Engine events point to the step they are attached to
+        const stepIndexes = new Map();
+        allSteps.forEach((step, index) => {
+            step.getEvents().forEach(event => stepIndexes.set(event, index));
+        });
+
+        const events = instance.getEvents()
+            .filter(event => !event.isExposition() && !Number.isNaN(event.getTime()))
+            .map(event => ({ time: event.getTime(), event, stepIndex: stepIndexes.get(event) ?? null }));
+
+        const times = [
+            ...steps.flatMap(span => [span.start, span.end]),
+            ...events.map(entry => entry.time)
+        ];
+
+        return {
+            ...this.getRange(times),
+            steps,
+            events
+        };
+    }
+
+    /**
+     * Get the time span of a step and the time the LLM took
+     * Before the events are parsed only the step timestamp is known
+     * @param {CPEEStep} step - Step
+     * @param {number} index - Step index
+     * @returns {Object|null} { index, step, start, end, llm, turnaround } or null if the step has no time
+     */
+    static getStepSpan(step, index) {
+        const sectionTimes = {};
+        const times = [];
+
+        step.getEvents(true)
+            .filter(event => event.isExposition())
+            .forEach(event => {
+                const time = event.getTime();
+                if (Number.isNaN(time)) return;
+
+                times.push(time);
+                if (event.section) {
+                    sectionTimes[event.section] = time;
+                }
+            });
+
+        if (times.length === 0) {
+            const time = Date.parse(step.timestamp);
+            if (Number.isNaN(time)) return null;
+            times.push(time);
+        }
+
+        const request = sectionTimes[this.REQUEST_SECTION];
+        const response = this.getFirstTime(sectionTimes, this.RESPONSE_SECTIONS);
+        const result = this.getFirstTime(sectionTimes, this.RESULT_SECTIONS);
+
+        return {
+            index,
+            step,
+            ...this.getRange(times),
+            llm: request !== undefined && response !== undefined && response >= request
+                ? { start: request, end: response }
+                : null,
+            turnaround: request !== undefined && result !== undefined && result >= request
+                ? result - request
+                : null
+        };
+    }
+
+    /**
+     * Get the earliest and latest of some times
+     * Not spread into Math.min/max, which fails for more times than the engine takes arguments
+     * @param {number[]} times - Epoch milliseconds
+     * @returns {Object} { start, end }, both NaN without times
+     */
+    static getRange(times) {
+        if (times.length === 0) return { start: NaN, end: NaN };
+
+        return times.reduce((range, time) => ({
+            start: time < range.start ? time : range.start,
+            end: time > range.end ? time : range.end
+        }), { start: times[0], end: times[0] });
+    }
+
+    /**
+     * Get the time of the first listed section that was logged
+     * @param {Object} sectionTimes - Time per section name
+     * @param {string[]} sections - Section names in order of preference
+     * @returns {number|undefined} Epoch milliseconds
+     */
+    static getFirstTime(sectionTimes, sections) {
+        const section = sections.find(name => sectionTimes[name] !== undefined);
+        return section ? sectionTimes[section] : undefined;
+    }
+
+    /**
+     * Pick the axis tick interval for a zoom level
+     * @param {number} msPerPixel - Milliseconds per pixel
+     * @param {number} minSpacing - Minimum pixels between ticks
+     * @returns {number} Interval in milliseconds
+     */
+    static getTickInterval(msPerPixel, minSpacing = 90) {
+        const minimum = msPerPixel * minSpacing;
+        return this.TICK_INTERVALS.find(interval => interval >= minimum)
+            ?? Math.ceil(minimum / 86400000) * 86400000;
+    }
+
+    /**
+     * Format a tick label, precise enough for the interval
+     * @param {number} time - Epoch milliseconds
+     * @param {number} interval - Tick interval in milliseconds
+     * @returns {string} Local time (and date for day ticks)
+     */
+    static formatTick(time, interval) {
+        const date = new Date(time);
+        if (interval >= 86400000) {
+            return date.toLocaleDateString();
+        }
+        if (interval < 1000) {
+            return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+        }
+        return interval < 60000
+            ? date.toLocaleTimeString()
+            : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Format a duration
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} e.g. 850 ms, 12.3 s, 4m 05s, 1h 02m
+     */
+    static formatDuration(ms) {
+        if (ms < 1000) return `${Math.round(ms)} ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 3600) {
+            return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+        }
+        return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds % 3600 / 60)).padStart(2, '0')}m`;
+    }
+}
@@ -0,0 +1,448 @@
+/**
+ * Tree Diff Service
+ * Structural diff between two CPEE description trees (e.g. input and output of a step)
+ * Elements are matched by their id; elements without one (choose, alternative,
+ * parallel, parallel_branch, loop, ...) by the ids they contain and their position
+ */
+
+export class TreeDiffService {
+    // Elements that make up the process structure, everything else is a property of them
+    static NODE_TAGS = [
+        'description', 'call', 'manipulate', 'stop', 'terminate', 'escape',
+        'choose', 'alternative', 'otherwise', 'parallel', 'parallel_branch',
+        'loop', 'critical'
+    ];
+
+    /**
+     * Diff two CPEE trees
+     * @param {string} inputXml - Original tree (may contain a leading comment header)
+     * @param {string} outputXml - Changed tree
+     * @returns {Object} { changes, summary, marks } with changes of type added, removed, moved or modified
+     *                   and marks ({ path, type }) of the elements to highlight per tree
+     */
+    static diff(inputXml, outputXml) {
+        const inputNodes = this.collectNodes(this.parseTree(inputXml, 'Input CPEE-Tree'));
+        const outputNodes = this.collectNodes(this.parseTree(outputXml, 'Output CPEE-Tree'));
+        const matches = this.matchNodes(inputNodes, outputNodes);
+        const changes = this.collectChanges(inputNodes, outputNodes, matches);
+
+        return {
+            changes,
+            summary: {
+                added: changes.filter(change => change.type === 'added').length,
+                removed: changes.filter(change => change.type === 'removed').length,
+                moved: changes.filter(change => change.type === 'moved').length,
+                modified: changes.filter(change => change.type === 'modified').length
+            },
+            marks: this.collectMarks(inputNodes, outputNodes, matches, changes)
+        };
+    }
+
+    /**
+     * Parse a CPEE tree and return its description element
+     * @param {string} xml - Tree as XML text
+     * @param {string} name - Name of the tree for error messages
+     * @returns {Element} description element
+     */
+    static parseTree(xml, name) {
+        if (!xml || typeof xml !== 'string' || xml === 'Not found') {
+            throw new Error(`${name} is missing`);
+        }
+
+        const cleanedXML = xml.replace(/<!--[\s\S]*?-->/g, '').trim();
+        const xmlDoc = new DOMParser().parseFromString(cleanedXML, 'text/xml');
+
+        const parseError = xmlDoc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            throw new Error(`${name} is not valid XML: ${parseError.textContent.trim()}`);
+        }
+
+        const root = xmlDoc.documentElement?.localName === 'description'
+            ? xmlDoc.documentElement
+            : xmlDoc.getElementsByTagNameNS('*', 'description')[0];
+
+        if (!root) {
+            throw new Error(`${name} has no <description> element`);
+        }
+
+        return root;
+    }
+
+    /**
+     * Flatten a tree into its structure nodes (pre-order)
+     * @param {Element} root - description element
+     * @returns {Array} Nodes ({ tag, id, label, parent, children, path, properties, descendantIds, depth })
+     */
+    static collectNodes(root) {
+        const nodes = [];
+
+        const visit = (element, parent) => {
+            const node = {
+                tag: element.localName,
+                id: element.getAttribute('id') || null,
+                label: null,
+                parent,
+                children: [],
+                path: parent ? [...parent.path, parent.children.length] : [],
+                properties: this.getProperties(element),
+                descendantIds: new Set(),
+                depth: parent ? parent.depth + 1 : 0
+            };
+            node.label = node.properties['parameters/label'] || node.properties['@label'] || null;
+
+            nodes.push(node);
+            if (parent) {
+                parent.children.push(node);
+            }
+
+            this.getChildElements(element)
+                .filter(child => this.NODE_TAGS.includes(child.localName))
+                .forEach(child => visit(child, node));
+
+            node.children.forEach(child => {
+                if (child.id) node.descendantIds.add(child.id);
+                child.descendantIds.forEach(id => node.descendantIds.add(id));
+            });
+        };
+
+        visit(root, null);
+        return nodes;
+    }
+
+    /**
+     * Get the properties of a node: its attributes and everything below it that is not a node itself
+     * @param {Element} element - Node element
+     * @returns {Object} Property path → value (attributes prefixed with @)
+     */
+    static getProperties(element) {
+        const properties = {};
+
+        const addAttributes = (el, path) => {
+            Array.from(el.attributes).forEach(attribute => {
+                const name = attribute.localName || attribute.name;
+                if (el === element && name === 'id') return;
+                if (attribute.name.startsWith('xmlns')) return;
+                properties[`${path}@${name}`] = attribute.value;
+            });
+        };
+
+        const addContent = (el, path) => {
+            const counts = {};
+            let text = '';
+
+            Array.from(el.childNodes).forEach(child => {
+                if (child.nodeType === 3 || child.nodeType === 4) {
+                    text += child.nodeValue;
+                } else if (child.nodeType === 1 && !(el === element && this.NODE_TAGS.includes(child.localName))) {
+                    counts[child.localName] = (counts[child.localName] || 0) + 1;
+                    const suffix = counts[child.localName] > 1 ? `[${counts[child.localName]}]` : '';
+                    const childPath = path ? `${path}/${child.localName}${suffix}` : `${child.localName}${suffix}`;
+
+                    addAttributes(child, childPath);
+                    addContent(child, childPath);
+                }
+            });
+
+            if (text.trim() !== '') {
+                properties[path || 'text'] = text.trim();
+            }
+        };
+
+        addAttributes(element, '');
+        addContent(element, '');
+        return properties;
+    }
+
+    /**
+     * Get the element children of an element
+     * @param {Element} element - Parent element
+     * @returns {Element[]} Child elements
+     */
+    static getChildElements(element) {
+        return Array.from(element.childNodes).filter(child => child.nodeType === 1);
+    }
+
+    /**
+     * Match input nodes to output nodes
+     * @param {Array} inputNodes - Nodes of the input tree
+     * @param {Array} outputNodes - Nodes of the output tree
+     * @returns {Map} Input node → output node
+     */
+    static matchNodes(inputNodes, outputNodes) {
+        const matches = new Map();
+        const matched = new Set();
+        const link = (inputNode, outputNode) => {
+            matches.set(inputNode, outputNode);
+            matched.add(outputNode);
+        };
+
+        link(inputNodes[0], outputNodes[0]);
+
+        // Elements with an id keep it across changes
+        const outputById = new Map();
+        outputNodes.forEach(node => {
+            if (node.id && !outputById.has(node.id)) {
+                outputById.set(node.id, node);
+            }
+        });
+        inputNodes.forEach(node => {
+            const candidate = node.id ? outputById.get(node.id) : null;
+            if (candidate && !matched.has(candidate)) {
+                link(node, candidate);
+            }
+        });
+
+        // Elements without an id go to the candidate sharing most ids, then the same place
+        inputNodes.forEach(node => {
+            if (node.id || matches.has(node)) return;
+
+            const parentMatch = matches.get(node.parent) || null;
+            const position = node.parent.children.indexOf(node);
+            let best = null;
+            let bestScore = 0;
+
+            outputNodes.forEach(candidate => {
+                if (candidate.id || candidate.tag !== node.tag || matched.has(candidate)) return;
+
+                const sharedIds = [...node.descendantIds].filter(id => candidate.descendantIds.has(id)).length;
+                const sameParent = parentMatch !== null && candidate.parent === parentMatch;
+                if (sharedIds === 0 && !sameParent) return;
+
+                const score = sharedIds * 4 +
+                    (sameParent ? 2 : 0) +
+                    (sameParent && candidate.parent.children.indexOf(candidate) === position ? 1 : 0);
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            });
+
+            if (best) {
+                link(node, best);
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Derive the change list from the matching
+     * @param {Array} inputNodes - Nodes of the input tree
+     * @param {Array} outputNodes - Nodes of the output tree
+     * @param {Map} matches - Input node → output node
+     * @returns {Array} Changes in output document order
+     */
+    static collectChanges(inputNodes, outputNodes, matches) {
+        const matchedOutputs = new Set(matches.values());
+        const reordered = this.findReorderedNodes(matches);
+        const changes = [];
+
+        // Only the outermost added or removed element is reported, its content comes along
+        inputNodes.forEach(node => {
+            if (!matches.has(node) && matches.has(node.parent)) {
+                changes.push(this.createChange('removed', node, {
+                    inputPath: node.path,
+                    location: this.describeLocation(node),
+                    descendantIds: [...node.descendantIds]
+                }));
+            }
+        });
+
+        outputNodes.forEach(node => {
+            if (!matchedOutputs.has(node) && matchedOutputs.has(node.parent)) {
+                changes.push(this.createChange('added', node, {
+                    outputPath: node.path,
+                    location: this.describeLocation(node),
+                    descendantIds: [...node.descendantIds]
+                }));
+            }
+        });
+
+        inputNodes.forEach(node => {
+            const match = matches.get(node);
+            if (!match || !node.parent) return;
+
+            if (matches.get(node.parent) !== match.parent || reordered.has(node)) {
+                changes.push(this.createChange('moved', match, {
+                    inputPath: node.path,
+                    outputPath: match.path,
+                    from: this.describeLocation(node),
+                    location: this.describeLocation(match),
+                    descendantIds: [...match.descendantIds]
+                }));
+            }
+
+            const details = this.compareProperties(node, match);
+            if (details.length > 0) {
+                changes.push(this.createChange('modified', match, {
+                    inputPath: node.path,
+                    outputPath: match.path,
+                    location: this.describeLocation(match),
+                    details
+                }));
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Find matched nodes that stayed with their parent but changed their order
+     * @param {Map} matches - Input node → output node
+     * @returns {Set} Input nodes out of order
+     */
+    static findReorderedNodes(matches) {
+        const reordered = new Set();
+
+        matches.forEach((outputParent, inputParent) => {
+            const stayed = inputParent.children.filter(child => matches.get(child)?.parent === outputParent);
+            if (stayed.length < 2) return;
+
+            const outputOrder = outputParent.children;
+            const inputSequence = stayed.map(child => outputOrder.indexOf(matches.get(child)));
+            const kept = this.longestIncreasingSubsequence(inputSequence);
+
+            stayed.forEach((child, index) => {
+                if (!kept.has(index)) reordered.add(child);
+            });
+        });
+
+        return reordered;
+    }
+
+    /**
+     * Longest strictly increasing subsequence
+     * @param {number[]} sequence - Numbers
+     * @returns {Set<number>} Indexes of the elements in the subsequence
+     */
+    static longestIncreasingSubsequence(sequence) {
+        const lengths = sequence.map(() => 1);
+        const previous = sequence.map(() => -1);
+
+        for (let i = 0; i < sequence.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (sequence[j] < sequence[i] && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+        }
+
+        const kept = new Set();
+        let index = lengths.indexOf(Math.max(...lengths));
+        while (index !== -1) {
+            kept.add(index);
+            index = previous[index];
+        }
+        return kept;
+    }
+
+    /**
+     * Compare the properties of two matched nodes
+     * @param {Object} inputNode - Node of the input tree
+     * @param {Object} outputNode - Matched node of the output tree
+     * @returns {Array} Differences ({ property, before, after })
+     */
+    static compareProperties(inputNode, outputNode) {
+        const details = [];
+
+        if (inputNode.tag !== outputNode.tag) {
+            details.push({ property: 'element', before: inputNode.tag, after: outputNode.tag });
+        }
+
+        const names = new Set([...Object.keys(inputNode.properties), ...Object.keys(outputNode.properties)]);
+        names.forEach(name => {
+            const before = inputNode.properties[name] ?? null;
+            const after = outputNode.properties[name] ?? null;
+            if (before !== after) {
+                details.push({ property: name.replace(/^@/, ''), before, after });
+            }
+        });
+
+        return details;
+    }
+
+    /**
+     * Create a change entry
+     * @param {string} type - added, removed, moved or modified
+     * @param {Object} node - Node the change is about
+     * @param {Object} extra - Additional fields
+     * @returns {Object} Change
+     */
+    static createChange(type, node, extra = {}) {
+        return {
+            type,
+            id: node.id,
+            tag: node.tag,
+            label: node.label,
+            depth: node.depth,
+            inputPath: null,
+            outputPath: null,
+            descendantIds: [],
+            details: [],
+            ...extra
+        };
+    }
+
+    /**
+     * Collect the elements to highlight in the rendered trees
+     * Unlike the change list, everything inside an added or removed element is marked too
+     * @param {Array} inputNodes - Nodes of the input tree
+     * @param {Array} outputNodes - Nodes of the output tree
+     * @param {Map} matches - Input node → output node
+     * @param {Array} changes - Changes from collectChanges
+     * @returns {Object} { input, output } lists of { path, type }
+     */
+    static collectMarks(inputNodes, outputNodes, matches, changes) {
+        const matchedOutputs = new Set(matches.values());
+        const changed = changes.filter(change => change.type === 'moved' || change.type === 'modified');
+
+        return {
+            input: [
+                ...inputNodes.filter(node => !matches.has(node)).map(node => ({ path: node.path, type: 'removed' })),
+                ...changed.map(change => ({ path: change.inputPath, type: change.type }))
+            ],
+            output: [
+                ...outputNodes.filter(node => !matchedOutputs.has(node)).map(node => ({ path: node.path, type: 'added' })),
+                ...changed.map(change => ({ path: change.outputPath, type: change.type }))
+            ]
+        };
+    }
+
+    /**
+     * Find the element of a node path in a (rendered) tree
+     * @param {Element} root - description element
+     * @param {number[]} path - Child positions among structure elements, as in collectNodes
+     * @returns {Element|null} Element or null if the path does not exist
+     */
+    static findElementByPath(root, path) {
+        let element = root;
+
+        for (const index of path) {
+            element = this.getChildElements(element)
+                .filter(child => this.NODE_TAGS.includes(child.localName))[index];
+            if (!element) return null;
+        }
+
+        return element;
+    }
+
+    /**
+     * Describe where a node sits in its tree
+     * @param {Object} node - Node
+     * @returns {string} Path of the enclosing elements, e.g. "parallel › parallel_branch 2"
+     */
+    static describeLocation(node) {
+        const path = [];
+        let current = node.parent;
+
+        while (current && current.parent) {
+            const siblings = current.parent.children.filter(sibling => sibling.tag === current.tag);
+            const position = siblings.length > 1 ? ` ${siblings.indexOf(current) + 1}` : '';
+            path.unshift(current.id ? `${current.tag} ${current.id}` : `${current.tag}${position}`);
+            current = current.parent;
+        }
+
+        return path.length > 0 ? path.join(' › ') : 'top level';
+    }
+}
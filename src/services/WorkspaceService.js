@@ -0,0 +1,89 @@
+/**
+ * Workspace Service
+ * Persists loaded instances and the navigation state in IndexedDB
+ * so the workspace survives page reloads (raw logs live in the LogCacheService)
+ */
+
+import { CPEEInstance } from '../modules/CPEEInstance.js';
+import { IndexedDBUtils } from '../utils/IndexedDBUtils.js';
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+const { INSTANCES, LOGS, META } = STORAGE_CONFIG.STORES;
+
+export class WorkspaceService {
+    static STATE_KEY = 'workspace';
+
+    /**
+     * Check if the workspace can be persisted
+     * @returns {boolean} True if IndexedDB is available
+     */
+    static isAvailable() {
+        return IndexedDBUtils.isAvailable();
+    }
+
+    /**
+     * Load the persisted workspace
+     * @returns {Promise<Object>} Instances in tab order and the navigation state ({ instances, state })
+     */
+    static async load() {
+        const [records, storedState] = await Promise.all([
+            IndexedDBUtils.getAll(INSTANCES),
+            IndexedDBUtils.get(META, this.STATE_KEY)
+        ]);
+
+        const state = { tabOrder: [], currentUUID: null, stepIndexes: {}, ...storedState };
+        const position = uuid => {
+            const index = state.tabOrder.indexOf(uuid);
+            return index === -1 ? Infinity : index;
+        };
+
+        const instances = records
+            .map(record => CPEEInstance.fromObject(record))
+            .sort((a, b) => position(a.uuid) - position(b.uuid));
+
+        // Step positions are saved separately so navigating doesn't rewrite whole instances
+        instances.forEach(instance => {
+            const stepIndex = state.stepIndexes[instance.uuid];
+            if (typeof stepIndex === 'number') {
+                instance.goToStep(stepIndex);
+            }
+        });
+
+        return { instances, state };
+    }
+
+    /**
+     * Save an instance (steps, process number, parse errors)
+     * @param {CPEEInstance} instance - Instance to save
+     * @returns {Promise<void>} Resolves once written
+     */
+    static saveInstance(instance) {
+        return IndexedDBUtils.put(INSTANCES, instance.uuid, instance.toObject());
+    }
+
+    /**
+     * Save the navigation state
+     * @param {Object} state - Tab order, current instance UUID and step index per instance
+     * @returns {Promise<void>} Resolves once written
+     */
+    static saveState({ tabOrder, currentUUID, stepIndexes }) {
+        return IndexedDBUtils.put(META, this.STATE_KEY, { tabOrder, currentUUID, stepIndexes });
+    }
+
+    /**
+     * Remove an instance and its cached raw log from the workspace
+     * @param {string} uuid - Instance UUID
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    static forgetInstance(uuid) {
+        return IndexedDBUtils.delete([INSTANCES, LOGS], uuid);
+    }
+
+    /**
+     * Remove everything from the workspace
+     * @returns {Promise<void>} Resolves once cleared
+     */
+    static clear() {
+        return IndexedDBUtils.clear([INSTANCES, LOGS, META]);
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * File Utilities
+ * Helpers for files the user saves from the console
+ */
+
+export class FileUtils {
+    /**
+     * Let the browser save content as a file
+     * @param {Blob|string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type for string content
+     */
+    static download(content, fileName, type = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // The download has started once the click returned
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Turn a text into a file name part
+     * @param {string} text - Text (UUID, instance or section name)
+     * @returns {string} Text with everything but letters, digits, dots and dashes replaced by _
+     */
+    static toFileName(text) {
+        return String(text).trim().replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Format Utilities
+ * Helper functions for human-readable display values
+ */
+
+export class FormatUtils {
+    /**
+     * Format a byte count
+     * @param {number} bytes - Number of bytes
+     * @returns {string} Formatted size (e.g. "1.4 MB")
+     */
+    static formatBytes(bytes) {
+        if (!Number.isFinite(bytes) || bytes < 0) return '-';
+        if (bytes < 1024) return `${bytes} B`;
+
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unitIndex = 0;
+
+        while (value >= 1024 && unitIndex < units.length - 1) {
+            value /= 1024;
+            unitIndex++;
+        }
+
+        return `${value.toFixed(1)} ${units[unitIndex]}`;
+    }
+
+    /**
+     * Shorten a text to a maximum length
+     * @param {string} text - Text
+     * @param {number} maxLength - Maximum length including the ellipsis
+     * @returns {string} Text, cut at a word boundary if possible and ended with …
+     */
+    static truncate(text, maxLength) {
+        if (text.length <= maxLength) return text;
+
+        const cut = text.slice(0, maxLength - 1);
+        const wordEnd = cut.lastIndexOf(' ');
+        return `${(wordEnd > maxLength / 2 ? cut.slice(0, wordEnd) : cut).trimEnd()}…`;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * IndexedDB Utilities
+ * Promise based access to the application's IndexedDB database
+ */
+
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+export class IndexedDBUtils {
+    static databasePromise = null;
+
+    /**
+     * Check if IndexedDB is available in this browser
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating missing object stores
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    static openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(STORAGE_CONFIG.DB_NAME, STORAGE_CONFIG.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.values(STORAGE_CONFIG.STORES).forEach(storeName => {
+                        if (!db.objectStoreNames.contains(storeName)) {
+                            db.createObjectStore(storeName);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+            });
+
+            // Allow a new attempt after a failed open
+            this.databasePromise.catch(() => {
+                this.databasePromise = null;
+            });
+        }
+
+        return this.databasePromise;
+    }
+
+    /**
+     * Run an operation in a transaction
+     * @param {string|string[]} storeNames - Object stores used by the operation
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the transaction, may return an IDBRequest
+     * @returns {Promise<*>} Result of the returned request once the transaction completed
+     */
+    static async transaction(storeNames, mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            const request = operation(transaction);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a value by key
+     * @param {string} storeName - Object store name
+     * @param {string} key - Key
+     * @returns {Promise<*>} Stored value or undefined
+     */
+    static get(storeName, key) {
+        return this.transaction(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+    }
+
+    /**
+     * Get all values of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Stored values
+     */
+    static getAll(storeName) {
+        return this.transaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Store a value
+     * @param {string} storeName - Object store name
+     * @param {string} key - Key
+     * @param {*} value - Value (structured-cloneable)
+     * @returns {Promise<void>} Resolves once written
+     */
+    static put(storeName, key, value) {
+        return this.transaction(storeName, 'readwrite', tx => tx.objectStore(storeName).put(value, key));
+    }
+
+    /**
+     * Delete a value from one or more stores
+     * @param {string|string[]} storeNames - Object store name(s)
+     * @param {string} key - Key
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    static delete(storeNames, key) {
+        const names = [].concat(storeNames);
+        return this.transaction(names, 'readwrite', tx => {
+            names.forEach(storeName => tx.objectStore(storeName).delete(key));
+        });
+    }
+
+    /**
+     * Remove all values from one or more stores
+     * @param {string|string[]} storeNames - Object store name(s)
+     * @returns {Promise<void>} Resolves once cleared
+     */
+    static clear(storeNames) {
+        const names = [].concat(storeNames);
+        return this.transaction(names, 'readwrite', tx => {
+            names.forEach(storeName => tx.objectStore(storeName).clear());
+        });
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * XML Utilities
+ * Pretty-printing of XML elements, as plain text or syntax highlighted HTML
+ */
+
+import { DOMUtils } from './DOMUtils.js';
+
+export class XMLUtils {
+    static INDENT = '  ';
+
+    /**
+     * Pretty-print an element
+     * @param {Element} element - XML element
+     * @returns {string} Indented XML
+     */
+    static format(element) {
+        return this.print(element, (type, text) => text);
+    }
+
+    /**
+     * Pretty-print an element as HTML with xml-tag, xml-attr, xml-value, xml-text and xml-comment spans
+     * @param {Element} element - XML element
+     * @returns {string} HTML string
+     */
+    static highlight(element) {
+        return this.print(element, (type, text) => {
+            const escaped = DOMUtils.escapeHtml(text);
+            return type ? `<span class="xml-${type}">${escaped}</span>` : escaped;
+        });
+    }
+
+    /**
+     * Print an element with a token formatter
+     * Elements with nothing but text stay on one line, whitespace-only text is dropped
+     * @param {Element} element - XML element
+     * @param {Function} token - Receives a token type (tag, attr, value, text, comment or null) and its text
+     * @param {number} depth - Indentation level
+     * @returns {string} Printed element
+     */
+    static print(element, token, depth = 0) {
+        const indent = this.INDENT.repeat(depth);
+        const attributes = Array.from(element.attributes)
+            .map(attribute => ` ${token('attr', attribute.name)}${token(null, '=')}${token('value', `"${this.escape(attribute.value, true)}"`)}`)
+            .join('');
+        const open = `${token('tag', `<${element.nodeName}`)}${attributes}`;
+
+        const children = Array.from(element.childNodes).filter(child =>
+            child.nodeType === 1 || child.nodeType === 8 || ((child.nodeType === 3 || child.nodeType === 4) && child.nodeValue.trim() !== ''));
+
+        if (children.length === 0) {
+            return `${indent}${open}${token('tag', '/>')}`;
+        }
+
+        const close = token('tag', `</${element.nodeName}>`);
+        if (children.every(child => child.nodeType === 3 || child.nodeType === 4)) {
+            const text = this.escape(children.map(child => child.nodeValue).join('').trim());
+
+            // Code blocks keep their own lines
+            if (text.includes('\n')) {
+                return `${indent}${open}${token('tag', '>')}\n${token('text', this.dedent(text))}\n${indent}${close}`;
+            }
+            return `${indent}${open}${token('tag', '>')}${token('text', text)}${close}`;
+        }
+
+        const lines = children.map(child => {
+            if (child.nodeType === 1) return this.print(child, token, depth + 1);
+            if (child.nodeType === 8) return `${indent}${this.INDENT}${token('comment', `<!--${child.nodeValue}-->`)}`;
+            return `${indent}${this.INDENT}${token('text', this.escape(child.nodeValue.trim()))}`;
+        });
+
+        return `${indent}${open}${token('tag', '>')}\n${lines.join('\n')}\n${indent}${close}`;
+    }
+
+    /**
+     * Escape the characters XML reserves
+     * @param {string} text - Text or attribute value
+     * @param {boolean} attribute - Also escape double quotes
+     * @returns {string} Escaped text
+     */
+    static escape(text, attribute = false) {
+        const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return attribute ? escaped.replace(/"/g, '&quot;') : escaped;
+    }
+
+    /**
+     * Remove the indentation all lines of a text share
+     * @param {string} text - Text, e.g. a code block
+     * @returns {string} Text without the common indentation
+     */
+    static dedent(text) {
+        const lines = text.split(/\r?\n/);
+        const indents = lines.slice(1)
+            .filter(line => line.trim() !== '')
+            .map(line => line.match(/^\s*/)[0].length);
+        const common = indents.length > 0 ? Math.min(...indents) : 0;
+
+        return [lines[0], ...lines.slice(1).map(line => line.slice(common))].join('\n');
+    }
+}
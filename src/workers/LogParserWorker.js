@@ -0,0 +1,143 @@
+/**
+ * Log Parser Worker
+ * Parses CPEE logs off the main thread
+ * Consumes the log chunk by chunk and posts parsed events document by document
+ *
+ * Messages received:
+ *   { type: 'stream', totalBytes } - start a job fed by the main thread (downloads go through HttpClient)
+ *   { type: 'chunk', chunk }       - next Uint8Array of the log
+ *   { type: 'end' }                - log complete
+ *   { type: 'blob', blob }         - stream a local File/Blob
+ *
+ * Messages posted:
+ *   { type: 'progress', bytesRead, totalBytes, eventsParsed }
+ *   { type: 'events', events, errors }
+ *   { type: 'done', content, bytesRead, eventsParsed }
+ *   { type: 'error', message }
+ */
+
+import { YAMLParser, YAMLDocumentStream } from '../parsers/YAMLParser.js';
+
+class LogParseJob {
+    constructor(totalBytes = null) {
+        this.documentStream = new YAMLDocumentStream();
+        this.decoder = new TextDecoder();
+        this.chunks = [];
+        this.bytesRead = 0;
+        this.totalBytes = totalBytes;
+        this.eventsParsed = 0;
+    }
+
+    /**
+     * Read a local File/Blob to its end
+     * @param {Blob} blob - Log content
+     */
+    async consumeBlob(blob) {
+        const reader = blob.stream().getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            this.processChunk(value);
+        }
+
+        this.finish();
+    }
+
+    /**
+     * Decode and parse the next chunk of the log
+     * @param {Uint8Array} bytes - Raw bytes
+     */
+    processChunk(bytes) {
+        this.bytesRead += bytes.byteLength;
+        this.processText(this.decoder.decode(bytes, { stream: true }));
+    }
+
+    /**
+     * Parse the remaining text and post the complete log
+     */
+    finish() {
+        this.processText(this.decoder.decode(), true);
+
+        const content = this.chunks.join('');
+        if (content.trim().length < 10) {
+            throw new Error('Received empty or invalid response');
+        }
+
+        self.postMessage({
+            type: 'done',
+            content,
+            bytesRead: this.bytesRead,
+            eventsParsed: this.eventsParsed
+        });
+    }
+
+    /**
+     * Split decoded text into documents, parse them and post the results
+     * @param {string} text - Decoded text
+     * @param {boolean} isLast - True for the final call after the stream ended
+     */
+    processText(text, isLast = false) {
+        if (text) {
+            this.chunks.push(text);
+        }
+
+        const documents = this.documentStream.push(text);
+        if (isLast) {
+            documents.push(...this.documentStream.end());
+        }
+
+        if (documents.length > 0) {
+            const { events, errors } = YAMLParser.parseDocuments(documents);
+            this.eventsParsed += events.length;
+
+            self.postMessage({
+                type: 'events',
+                events,
+                errors: errors.map(error => error.toObject())
+            });
+        }
+
+        self.postMessage({
+            type: 'progress',
+            bytesRead: this.bytesRead,
+            totalBytes: this.totalBytes,
+            eventsParsed: this.eventsParsed
+        });
+    }
+}
+
+let job = null;
+
+/**
+ * Post a failed job to the main thread
+ * @param {Error} error - Failure
+ */
+function reportError(error) {
+    self.postMessage({ type: 'error', message: error.message });
+}
+
+self.addEventListener('message', ({ data }) => {
+    try {
+        switch (data.type) {
+            case 'blob':
+                job = new LogParseJob(data.blob.size);
+                job.consumeBlob(data.blob).catch(reportError);
+                break;
+            case 'stream':
+                job = new LogParseJob(data.totalBytes);
+                break;
+            case 'chunk':
+                job.processChunk(data.chunk);
+                break;
+            case 'end':
+                job.finish();
+                break;
+            default:
+                throw new Error(`Unknown job type: ${data.type}`);
+        }
+    } catch (error) {
+        reportError(error);
+    }
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * CPEE Replay Server
+ * Local stand-in for a CPEE engine that replays a recorded .xes.yaml log
+ * a few documents at a time, for testing the live-follow mode
+ *
+ * Usage:
+ *   node tools/replay-server.js <log.xes.yaml> [--port 9298] [--interval 2000] [--batch 5] [--no-notifications]
+ *
+ * Then choose "Self-hosted CPEE" in the settings panel with
+ *   Engine URL: http://localhost:9298/engine
+ *   Logs URL:   http://localhost:9298/logs
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Options
+ */
+function parseArguments(argv) {
+    const options = { file: null, port: 9298, interval: 2000, batch: 5, notifications: true };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--interval') options.interval = parseInt(argv[++i], 10);
+        else if (arg === '--batch') options.batch = parseInt(argv[++i], 10);
+        else if (arg === '--no-notifications') options.notifications = false;
+        else options.file = arg;
+    }
+
+    return options;
+}
+
+/**
+ * Split a log into its YAML documents (each starting with its --- line)
+ * @param {string} content - Log content
+ * @returns {string[]} Documents
+ */
+function splitDocuments(content) {
+    const documents = [];
+    let current = [];
+
+    content.split(/\r?\n/).forEach(line => {
+        if (/^---(?:[ \t]|$)/.test(line) && current.some(l => l.trim() !== '')) {
+            documents.push(current.join('\n') + '\n');
+            current = [];
+        }
+        current.push(line);
+    });
+
+    if (current.some(l => l.trim() !== '')) {
+        documents.push(current.join('\n') + '\n');
+    }
+
+    return documents;
+}
+
+/**
+ * Encode a text message as an unmasked WebSocket frame
+ * @param {string} text - Message
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Build a CPEE style notification message
+ * @param {string} topic - Notification topic
+ * @param {string} name - Event name
+ * @param {Object} notification - Notification content
+ * @returns {string} XML event
+ */
+function buildNotification(topic, name, notification) {
+    return `<event><topic>${topic}</topic><type>event</type><name>${name}</name>` +
+           `<notification>${JSON.stringify(notification)}</notification></event>`;
+}
+
+const options = parseArguments(process.argv.slice(2));
+
+if (!options.file) {
+    console.error('Usage: node tools/replay-server.js <log.xes.yaml> [--port 9298] [--interval 2000] [--batch 5] [--no-notifications]');
+    process.exit(1);
+}
+
+const documents = splitDocuments(fs.readFileSync(options.file, 'utf8'));
+const header = documents[0] || '';
+const uuid = header.match(/cpee:instance:\s*['"]?([^\s'"]+)/)?.[1] ||
+             options.file.replace(/^.*\//, '').replace(/\.xes\.ya?ml$/i, '');
+const processNumber = parseInt(header.match(/concept:name:\s*['"]?(\d+)/)?.[1], 10) || 1;
+
+// Header document is available right away, events follow in batches
+let released = Math.min(1, documents.length);
+const sockets = new Set();
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const path = url.pathname;
+
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', '*');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+
+    const engine = `/engine/${processNumber}/`;
+
+    if (request.method === 'GET' && path === `/logs/${uuid}.xes.yaml`) {
+        response.writeHead(200, { 'Content-Type': 'text/yaml; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(documents.slice(0, released).join(''));
+    } else if (request.method === 'GET' && path === `${engine}properties/attributes/uuid/`) {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(uuid);
+    } else if (request.method === 'POST' && path === `${engine}notifications/subscriptions/` && options.notifications) {
+        response.writeHead(200, { 'Content-Type': 'application/x-www-form-urlencoded' });
+        response.end(`key=${crypto.randomBytes(8).toString('hex')}`);
+    } else if (request.method === 'DELETE' && path.startsWith(`${engine}notifications/subscriptions/`)) {
+        response.writeHead(200).end();
+    } else {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+    }
+});
+
+// Notification stream: <engine>/<n>/notifications/subscriptions/<key>/ws/
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!options.notifications || !key || !/\/notifications\/subscriptions\/[^/]+\/ws\/?$/.test(request.url)) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    sockets.add(socket);
+    console.log(`Subscriber connected (${sockets.size} total)`);
+
+    socket.on('data', data => {
+        // Opcode 0x8 is a close frame
+        if ((data[0] & 0x0f) === 0x8) socket.end();
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+});
+
+/**
+ * Send a notification to all connected subscribers
+ * @param {string} message - Notification message
+ */
+function broadcast(message) {
+    const frame = encodeFrame(message);
+    sockets.forEach(socket => socket.write(frame));
+}
+
+const timer = setInterval(() => {
+    if (released >= documents.length) {
+        console.log('Log fully replayed');
+        broadcast(buildNotification('state', 'change', { state: 'finished' }));
+        clearInterval(timer);
+        return;
+    }
+
+    const batch = documents.slice(released, released + options.batch);
+    released += batch.length;
+    console.log(`Released ${released} / ${documents.length} documents`);
+
+    if (batch.some(doc => doc.includes('description/exposition'))) {
+        broadcast(buildNotification('description', 'exposition', { 'cpee:instance': uuid }));
+    }
+}, options.interval);
+
+server.listen(options.port, () => {
+    console.log(`Replaying ${options.file} as instance ${uuid} (process number ${processNumber})`);
+    console.log(`Engine URL: http://localhost:${options.port}/engine`);
+    console.log(`Logs URL:   http://localhost:${options.port}/logs`);
+});